@@ -6,7 +6,9 @@ import compression from 'compression';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
-import fs from 'fs';
+import { scrypt, randomInt } from 'crypto';
+import { promisify } from 'util';
+import { readFile } from 'fs/promises';
 import { createClient } from '@supabase/supabase-js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,7 +17,6 @@ const __dirname = path.dirname(__filename);
 const config = {
   port: process.env.PORT || 3000,
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-  streamUrl: process.env.STREAM_URL || 'https://5c50a1c26792b.streamlock.net/live/ngrp:MaseruBridgeLS.stream_all/playlist.m3u8',
   captureInterval: 180000,       // Capture every 3 minutes
   cacheTimeout: 180000,         // Cache analysis for 3 minutes
   maxBufferSize: 12,            // Keep last 12 frames (6 minutes of history)
@@ -23,8 +24,33 @@ const config = {
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseServiceKey: process.env.SUPABASE_SERVICE_KEY,
   detectorUrl: process.env.DETECTOR_URL || 'https://traffic-detector-jzbg.onrender.com',
+  detectorBackends: (process.env.DETECTOR_BACKENDS || 'remote,onnx').split(',').map(s => s.trim()),
+  detectorOnnxModel: process.env.DETECTOR_ONNX_MODEL || '',
   publicUrl: process.env.PUBLIC_URL || '',
   plausibleDomain: process.env.PLAUSIBLE_DOMAIN || '',
+  ingestEnabled: process.env.HLS_INGEST !== 'off',
+  ingestFrameInterval: (parseInt(process.env.INGEST_FRAME_INTERVAL_SEC) || 10) * 1000,  // Keep one decoded keyframe per interval
+  ingestRingSize: 10,           // Decoded keyframes kept in memory per post
+  alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || '',        // SMS/WhatsApp gateway for alerts
+  alertWebhookSecret: process.env.ALERT_WEBHOOK_SECRET || '',
+  resendApiKey: process.env.RESEND_API_KEY || '',
+  alertEmailFrom: process.env.ALERT_EMAIL_FROM || 'alerts@maserubridge.co.ls',
+  alertStub: process.env.ALERT_STUB === 'on',                    // Stub alert channel, for local testing only
+  supportEmail: process.env.SUPPORT_EMAIL || 'admin@4dcs.co.za',   // Gets password reset help requests
+  vapidPublicKey: process.env.VAPID_PUBLIC_KEY || '',
+  vapidPrivateKey: process.env.VAPID_PRIVATE_KEY || '',
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@4dcs.co.za',
+  twilioAuthToken: process.env.TWILIO_AUTH_TOKEN || '',          // Verifies Twilio webhook signatures
+  whatsappVerifyToken: process.env.WHATSAPP_VERIFY_TOKEN || '',  // Meta Cloud API webhook handshake
+  whatsappToken: process.env.WHATSAPP_TOKEN || '',               // Meta Graph API access token for replies
+  whatsappAppSecret: process.env.WHATSAPP_APP_SECRET || '',      // Verifies Meta webhook signatures
+  whatsappAttachFrame: process.env.WHATSAPP_ATTACH_FRAME === 'on',
+  gatewayWebhookSecret: process.env.GATEWAY_WEBHOOK_SECRET || '',  // Shared secret for the USSD/SMS webhooks
+  sessionSecret: process.env.SESSION_SECRET || '',             // Signs user session tokens
+  otpProvider: process.env.OTP_PROVIDER || (process.env.ALERT_WEBHOOK_URL ? 'webhook' : 'console'),
+  otpLogin: process.env.OTP_LOGIN === 'on',                     // Passwordless login with an SMS code
+  trustProxy: parseInt(process.env.TRUST_PROXY || '1', 10),     // Proxy hops in front of us (Render: 1) - used for client IPs
+  dailyBudgetUsd: parseFloat(process.env.DAILY_BUDGET_USD || '5'),   // Model spend per local day, 0 = unlimited
 };
 
 if (!config.anthropicApiKey) {
@@ -47,13 +73,398 @@ if (config.supabaseUrl && config.supabaseServiceKey) {
 }
 
 // =============================================
-// VEHICLE DETECTOR SERVICE (YOLO + Geometry)
+// RATE LIMITS AND MODEL BUDGET
 // =============================================
-// Calls external Python service for deterministic lane-based detection
-// Direction is computed by geometry, NOT language inference
+// Every model call goes through callModel(), which adds the token usage the API
+// reports to today's spend (border local time). Once DAILY_BUDGET_USD is used up it
+// throws BudgetExceededError and callers fall back: chat serves the last reading or a
+// template, angle classification keeps its local guess, summaries use the questions.
+// Routes that can trigger a capture or a model call also take a token from a bucket -
+// one per signed-in user, otherwise one per IP (carrier NAT puts many phones behind
+// one address, so accounts get their own).
+
+const MODEL_PRICES = {                              // USD per million tokens
+  'claude-haiku-4-5-20251001': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 }
+};
+const RATE_LIMITS = {                               // capacity = burst, refill = tokens per minute
+  chat: {
+    ip: { capacity: 6, refill: 2 },
+    user: { capacity: 12, refill: 4 },
+    phone: { capacity: 6, refill: 2 }               // WhatsApp senders (webhooks all come from the provider's IPs)
+  },
+  capture: {
+    ip: { capacity: 10, refill: 4 },
+    user: { capacity: 20, refill: 8 }
+  },
+  webhook: {
+    ip: { capacity: 60, refill: 60 },               // Gateway deliveries: every sender shares the provider's IPs
+    phone: { capacity: 5, refill: 1 }               // SMS replies per sender number
+  },
+  alertConfirm: {                                   // Confirmation emails for email alerts, per day
+    user: { capacity: 5, refill: 5 / (24 * 60) },
+    email: { capacity: 3, refill: 3 / (24 * 60) }   // Per target address, across accounts
+  }
+};
 
-async function detectVehicles(imageBase64, cameraView = 'bridge') {
+const rateBuckets = new Map();                      // "chat:ip:1.2.3.4" / "chat:user:<id>" -> { tokens, updatedAt }
+const rateLimitRefusals = { chat: 0, capture: 0, webhook: 0, alertConfirm: 0 };  // Refused requests since start
+let modelSpend = null;                              // Today's tally, see currentSpend()
+
+class BudgetExceededError extends Error {
+  constructor() {
+    super('Daily model budget used up');
+    this.name = 'BudgetExceededError';
+  }
+}
+
+// "2026-10-19" in border local time
+function localDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: ALERT_TIME_ZONE }).format(date);
+}
+
+// Today's spend, starting a fresh tally at local midnight
+function currentSpend() {
+  const day = localDate();
+  if (modelSpend?.day !== day) {
+    modelSpend = { day, costUsd: 0, calls: 0, inputTokens: 0, outputTokens: 0, refused: 0, degraded: 0, byPurpose: {} };
+  }
+  return modelSpend;
+}
+
+function modelBudgetExhausted() {
+  return config.dailyBudgetUsd > 0 && currentSpend().costUsd >= config.dailyBudgetUsd;
+}
+
+function usageCost(model, usage) {
+  const price = MODEL_PRICES[model];
+  if (!price || !usage) return 0;
+  return ((usage.input_tokens || 0) * price.input
+    + (usage.output_tokens || 0) * price.output
+    + (usage.cache_creation_input_tokens || 0) * price.cacheWrite
+    + (usage.cache_read_input_tokens || 0) * price.cacheRead) / 1_000_000;
+}
+
+function recordModelUsage(purpose, model, usage) {
+  const spend = currentSpend();
+  const cost = usageCost(model, usage);
+  const wasExhausted = modelBudgetExhausted();
+  spend.byPurpose[purpose] ||= { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  for (const tally of [spend, spend.byPurpose[purpose]]) {
+    tally.calls++;
+    tally.inputTokens += usage?.input_tokens || 0;
+    tally.outputTokens += usage?.output_tokens || 0;
+    tally.costUsd += cost;
+  }
+  if (!wasExhausted && modelBudgetExhausted()) {
+    console.warn(`💸 Daily model budget of $${config.dailyBudgetUsd} used up - cached and template answers until midnight`);
+  }
+}
+
+// The one way to call the model. `purpose` labels the spend (analysis, classification, summary);
+// `stream` collects a streamed response instead of a single create call, passing the raw
+// tool input JSON received so far to `onInput` as it arrives. `post`, `endpoint` and `category`
+// (question intent) only label the telemetry row.
+async function callModel(purpose, request, { stream = false, onInput = null, post = null, endpoint = null, category = null } = {}) {
+  const call = { purpose, model: request.model, post, endpoint, category, imageCount: countImages(request) };
+  if (modelBudgetExhausted()) {
+    currentSpend().refused++;
+    const error = new BudgetExceededError();
+    recordModelCall({ ...call, error });
+    throw error;
+  }
+
+  const startedAt = Date.now();
+  try {
+    let response;
+    if (stream) {
+      const messageStream = anthropic.messages.stream(request);
+      let inputJson = '';
+      if (onInput) messageStream.on('inputJson', delta => onInput(inputJson += delta));
+      response = await messageStream.finalMessage();
+    } else {
+      response = await anthropic.messages.create(request);
+    }
+    recordModelUsage(purpose, request.model, response.usage);
+    recordModelCall({ ...call, usage: response.usage, latencyMs: Date.now() - startedAt });
+    return response;
+  } catch (error) {
+    recordModelCall({ ...call, latencyMs: Date.now() - startedAt, error });
+    throw error;
+  }
+}
+
+// Take a token from a bucket: 0 when allowed, otherwise seconds until one is free
+function takeRateToken(name, kind, id) {
+  const { capacity, refill } = RATE_LIMITS[name][kind];
+  const key = `${name}:${kind}:${id}`;
+  const now = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 60000 * refill);
+  bucket.updatedAt = now;
+  rateBuckets.set(key, bucket);
+
+  if (bucket.tokens < 1) {
+    rateLimitRefusals[name]++;
+    return Math.ceil((1 - bucket.tokens) / refill * 60);
+  }
+  bucket.tokens--;
+  return 0;
+}
+
+// Middleware (after optionalUser): the user's bucket for a session, the IP's otherwise
+function rateLimit(name) {
+  return (req, res, next) => {
+    const retryAfter = req.user
+      ? takeRateToken(name, 'user', req.user.id)
+      : takeRateToken(name, 'ip', req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', retryAfter);
+      const language = resolveLanguage(req.body?.lang || req.query.lang);
+      return res.status(429).json({
+        success: false,
+        error: 'rate_limited',
+        message: t(language, 'rateLimited', { seconds: retryAfter })
+      });
+    }
+    next();
+  };
+}
+
+// Spend and limiter counters for /api/admin/stats
+function modelUsageReport() {
+  const spend = currentSpend();
+  const round = usd => Math.round(usd * 10000) / 10000;
+  return {
+    day: spend.day,
+    budgetUsd: config.dailyBudgetUsd || null,
+    spentUsd: round(spend.costUsd),
+    remainingUsd: config.dailyBudgetUsd > 0 ? round(Math.max(config.dailyBudgetUsd - spend.costUsd, 0)) : null,
+    exhausted: modelBudgetExhausted(),
+    calls: spend.calls,
+    inputTokens: spend.inputTokens,
+    outputTokens: spend.outputTokens,
+    refusedCalls: spend.refused,
+    degradedAnswers: spend.degraded,
+    byPurpose: Object.fromEntries(Object.entries(spend.byPurpose)
+      .map(([purpose, tally]) => [purpose, { ...tally, costUsd: round(tally.costUsd) }])),
+    rateLimited: { ...rateLimitRefusals, activeBuckets: rateBuckets.size }
+  };
+}
+
+// Full buckets carry no state worth keeping
+// (buckets refill at different rates, so idle time alone doesn't say which are full)
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of rateBuckets) {
+    const [name, kind] = key.split(':');
+    const { capacity, refill } = RATE_LIMITS[name][kind];
+    if (bucket.tokens + (now - bucket.updatedAt) / 60000 * refill >= capacity) rateBuckets.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+// =============================================
+// MODEL CALL TELEMETRY
+// =============================================
+// Each model call - and each question answered from the response cache instead - is a
+// row in model_calls: tokens, images sent, latency, cost, error class, and which
+// endpoint and question category it served. Without a database the newest rows are
+// kept in memory so the admin view still works.
+
+const LOCAL_MODEL_CALL_LIMIT = 1000;
+const MAX_MODEL_USAGE_DAYS = 90;
+
+const localModelCalls = [];
+
+function countImages(request) {
+  return request.messages.reduce((count, message) => count + (Array.isArray(message.content)
+    ? message.content.filter(block => block.type === 'image').length
+    : 0), 0);
+}
+
+// { purpose, model, post, endpoint, category, imageCount, usage?, latencyMs?, error?, cacheHit? }
+function recordModelCall(call) {
+  const row = {
+    created_at: new Date().toISOString(),
+    border_post: call.post?.id ?? null,
+    purpose: call.purpose,
+    endpoint: call.endpoint,
+    question_category: call.category,
+    model: call.model ?? null,
+    input_tokens: call.usage?.input_tokens || 0,
+    output_tokens: call.usage?.output_tokens || 0,
+    cache_read_tokens: call.usage?.cache_read_input_tokens || 0,
+    cache_write_tokens: call.usage?.cache_creation_input_tokens || 0,
+    image_count: call.imageCount || 0,
+    latency_ms: call.latencyMs ?? null,
+    cost_usd: usageCost(call.model, call.usage),
+    cache_hit: Boolean(call.cacheHit),
+    error_class: call.error ? (call.error.name || call.error.constructor?.name || 'Error') : null
+  };
+
+  localModelCalls.push(row);
+  if (localModelCalls.length > LOCAL_MODEL_CALL_LIMIT) localModelCalls.shift();
+
+  if (supabase) {
+    supabase.from('model_calls').insert(row)
+      .then(({ error }) => { if (error) console.error('❌ Failed to log model call:', error.message); });
+  }
+}
+
+// A question answered from the response cache, so no model call was made
+function recordCacheHit(post, endpoint, category) {
+  recordModelCall({ purpose: 'analysis', model: null, post, endpoint, category, cacheHit: true });
+}
+
+// Same rows as get_model_costs(), built from the in-memory log
+function localModelCosts(days) {
+  const since = localDate(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+  const groups = new Map();
+  for (const row of localModelCalls) {
+    const day = localDate(new Date(row.created_at));
+    if (day < since) continue;
+    const key = [day, row.purpose, row.endpoint, row.question_category].join('|');
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        day, purpose: row.purpose, endpoint: row.endpoint, question_category: row.question_category,
+        calls: 0, cache_hits: 0, errors: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, latencyTotal: 0, timed: 0
+      };
+      groups.set(key, group);
+    }
+    group.calls++;
+    if (row.cache_hit) group.cache_hits++;
+    if (row.error_class) group.errors++;
+    group.input_tokens += row.input_tokens;
+    group.output_tokens += row.output_tokens;
+    group.cost_usd += row.cost_usd;
+    if (!row.cache_hit && row.latency_ms !== null) {
+      group.latencyTotal += row.latency_ms;
+      group.timed++;
+    }
+  }
+  return [...groups.values()].map(({ latencyTotal, timed, ...group }) => ({
+    ...group,
+    avg_latency_ms: timed > 0 ? Math.round(latencyTotal / timed) : null
+  }));
+}
+
+async function getModelCosts(days) {
+  if (!supabase) return localModelCosts(days);
+  const { data, error } = await supabase.rpc('get_model_costs', { p_days: days });
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// Roll get_model_costs() rows up along one dimension, weighting latency by timed calls
+function rollUpModelCosts(rows, field) {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = row[field] ?? 'none';
+    let total = totals.get(key);
+    if (!total) {
+      total = { [field]: key, calls: 0, cacheHits: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, latencyTotal: 0, timed: 0 };
+      totals.set(key, total);
+    }
+    const timed = row.calls - row.cache_hits;
+    total.calls += row.calls;
+    total.cacheHits += row.cache_hits;
+    total.errors += row.errors;
+    total.inputTokens += Number(row.input_tokens);
+    total.outputTokens += Number(row.output_tokens);
+    total.costUsd += Number(row.cost_usd);
+    if (row.avg_latency_ms !== null && timed > 0) {
+      total.latencyTotal += row.avg_latency_ms * timed;
+      total.timed += timed;
+    }
+  }
+  return [...totals.values()]
+    .map(({ latencyTotal, timed, ...total }) => ({
+      ...total,
+      costUsd: Math.round(total.costUsd * 10000) / 10000,
+      avgLatencyMs: timed > 0 ? Math.round(latencyTotal / timed) : null
+    }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+// Pick up today's spend from model_calls so a restart doesn't reset the budget
+async function loadTodaySpend() {
+  try {
+    const rows = await getModelCosts(1);
+    const spend = currentSpend();
+    for (const row of rows) {
+      const calls = row.calls - row.cache_hits - row.errors;
+      if (calls === 0) continue;
+      spend.byPurpose[row.purpose] ||= { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+      for (const tally of [spend, spend.byPurpose[row.purpose]]) {
+        tally.calls += calls;
+        tally.inputTokens += Number(row.input_tokens);
+        tally.outputTokens += Number(row.output_tokens);
+        tally.costUsd += Number(row.cost_usd);
+      }
+    }
+    if (spend.calls > 0) {
+      console.log(`💸 Model spend so far today: $${spend.costUsd.toFixed(4)} over ${spend.calls} calls`);
+    }
+  } catch (err) {
+    console.error('❌ Failed to load today\'s model spend:', err.message);
+  }
+}
+
+// =============================================
+// VEHICLE DETECTOR BACKENDS (YOLO + Geometry)
+// =============================================
+// Direction is computed by geometry, NOT language inference.
+// Backends are tried in DETECTOR_BACKENDS order; each one has its own health
+// stats and circuit breaker so a dead service is skipped instead of costing a
+// 30s timeout on every analysis.
+//   remote - the hosted Python detector service (config.detectorUrl)
+//   onnx   - in-process YOLO on CPU (needs onnxruntime-node + DETECTOR_ONNX_MODEL)
+//   mock   - deterministic counts derived from the image bytes, for local testing
+
+const BREAKER_FAILURE_THRESHOLD = 3;        // Consecutive failures before a backend is skipped
+const BREAKER_COOLDOWN_MS = 60 * 1000;      // How long it is skipped before one trial call
+const REMOTE_DETECTOR_TIMEOUT_MS = 30000;
+
+// COCO class ids the YOLO model reports for the vehicles we count
+const ONNX_VEHICLE_CLASSES = { 2: 'cars', 5: 'buses', 7: 'trucks' };
+const ONNX_INPUT_SIZE = 640;
+const ONNX_SCORE_THRESHOLD = 0.35;
+const ONNX_IOU_THRESHOLD = 0.45;
+const UNASSIGNED_RATIO_LIMIT = 0.3;         // More unassigned than this = direction uncertain
+
+// Lane geometry for the in-process detector: vehicles are split by their centre
+// along one axis (normalised 0-1); anything within `margin` of the split line is
+// left unassigned. The bridge split is approximate - override with DETECTOR_LANES
+// (JSON keyed by camera view) once calibrated against the remote service.
+const DEFAULT_LANE_GEOMETRY = {
+  bridge: { axis: 'x', split: 0.5, margin: 0.04, below: 'LS_to_SA', above: 'SA_to_LS' }
+};
+
+function loadLaneGeometry() {
+  if (!process.env.DETECTOR_LANES) return DEFAULT_LANE_GEOMETRY;
   try {
+    return { ...DEFAULT_LANE_GEOMETRY, ...JSON.parse(process.env.DETECTOR_LANES) };
+  } catch (err) {
+    console.error('❌ Invalid DETECTOR_LANES JSON, using defaults:', err.message);
+    return DEFAULT_LANE_GEOMETRY;
+  }
+}
+
+const LANE_GEOMETRY = loadLaneGeometry();
+
+// Empty per-direction breakdown in the detector service's response shape
+function emptyBreakdown() {
+  return {
+    LS_to_SA: { cars: 0, trucks: 0, buses: 0 },
+    SA_to_LS: { cars: 0, trucks: 0, buses: 0 }
+  };
+}
+
+// Remote Python detector service
+const remoteDetector = {
+  name: 'remote',
+  isConfigured: () => !!config.detectorUrl,
+  async detect(imageBase64, cameraView) {
     const response = await fetch(`${config.detectorUrl}/analyze`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -61,149 +472,1208 @@ async function detectVehicles(imageBase64, cameraView = 'bridge') {
         image: imageBase64,
         camera_view: cameraView
       }),
-      timeout: 30000
+      signal: AbortSignal.timeout(REMOTE_DETECTOR_TIMEOUT_MS)
     });
     
     if (!response.ok) {
-      console.error(`❌ Detector service error: ${response.status}`);
-      return null;
+      throw new Error(`service returned ${response.status}`);
     }
     
     const result = await response.json();
-    console.log(`🎯 Detector: SA→LS: ${result.SA_to_LS}, LS→SA: ${result.LS_to_SA}, Total: ${result.total}`);
+    if (result.success === false) {
+      throw new Error(result.error || 'service reported failure');
+    }
     return result;
-  } catch (error) {
-    console.error('❌ Detector service failed:', error.message);
-    return null;
   }
+};
+
+// Decode a JPEG into a square RGB buffer with ffmpeg (already required for capture)
+function decodeFrameRGB(imageBuffer, size) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-vf', `scale=${size}:${size}`,
+      '-f', 'rawvideo', '-pix_fmt', 'rgb24',
+      'pipe:1'
+    ]);
+    const chunks = [];
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', code => {
+      const rgb = Buffer.concat(chunks);
+      if (code !== 0 || rgb.length !== size * size * 3) {
+        reject(new Error(`frame decode failed (ffmpeg exit ${code})`));
+      } else {
+        resolve(rgb);
+      }
+    });
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(imageBuffer);
+  });
+}
+
+// Intersection over union of two centre-format boxes
+function boxIoU(a, b) {
+  const overlapW = Math.min(a.cx + a.w / 2, b.cx + b.w / 2) - Math.max(a.cx - a.w / 2, b.cx - b.w / 2);
+  const overlapH = Math.min(a.cy + a.h / 2, b.cy + b.h / 2) - Math.max(a.cy - a.h / 2, b.cy - b.h / 2);
+  if (overlapW <= 0 || overlapH <= 0) return 0;
+  const intersection = overlapW * overlapH;
+  return intersection / (a.w * a.h + b.w * b.h - intersection);
+}
+
+// Parse a YOLOv8 [1, 4 + classes, anchors] output into vehicle boxes (after NMS)
+function parseYoloOutput(output) {
+  const [, rows, anchors] = output.dims;
+  const data = output.data;
+  const candidates = [];
+
+  for (let i = 0; i < anchors; i++) {
+    let best = null;
+    for (const classId of Object.keys(ONNX_VEHICLE_CLASSES)) {
+      const row = 4 + Number(classId);
+      if (row >= rows) continue;
+      const score = data[row * anchors + i];
+      if (score >= ONNX_SCORE_THRESHOLD && (!best || score > best.score)) {
+        best = { vehicleClass: ONNX_VEHICLE_CLASSES[classId], score };
+      }
+    }
+    if (!best) continue;
+    candidates.push({
+      ...best,
+      cx: data[i] / ONNX_INPUT_SIZE,
+      cy: data[anchors + i] / ONNX_INPUT_SIZE,
+      w: data[2 * anchors + i] / ONNX_INPUT_SIZE,
+      h: data[3 * anchors + i] / ONNX_INPUT_SIZE
+    });
+  }
+
+  // Class-agnostic NMS - a truck is often also scored as a bus
+  candidates.sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const box of candidates) {
+    if (kept.every(k => boxIoU(k, box) < ONNX_IOU_THRESHOLD)) kept.push(box);
+  }
+  return kept;
+}
+
+// Assign boxes to directions using the view's lane geometry
+function countByLane(boxes, cameraView) {
+  const geometry = LANE_GEOMETRY[cameraView];
+  const breakdown = emptyBreakdown();
+  let unassigned = 0;
+
+  for (const box of boxes) {
+    const position = geometry ? (geometry.axis === 'y' ? box.cy : box.cx) : null;
+    if (position === null || Math.abs(position - geometry.split) < geometry.margin) {
+      unassigned++;
+      continue;
+    }
+    const direction = position < geometry.split ? geometry.below : geometry.above;
+    breakdown[direction][box.vehicleClass]++;
+  }
+
+  const sum = counts => counts.cars + counts.trucks + counts.buses;
+  return {
+    success: true,
+    LS_to_SA: sum(breakdown.LS_to_SA),
+    SA_to_LS: sum(breakdown.SA_to_LS),
+    total: boxes.length,
+    unassigned: unassigned,
+    breakdown: breakdown,
+    direction_uncertain: boxes.length > 0 && unassigned / boxes.length > UNASSIGNED_RATIO_LIMIT
+  };
+}
+
+let onnxSessionPromise = null;
+
+// Load onnxruntime-node and the model once; a failed load is retried after the breaker cooldown
+function getOnnxSession() {
+  if (!onnxSessionPromise) {
+    onnxSessionPromise = (async () => {
+      const ort = await import('onnxruntime-node');
+      const session = await ort.InferenceSession.create(config.detectorOnnxModel);
+      console.log(`✅ ONNX detector loaded: ${config.detectorOnnxModel}`);
+      return { ort, session };
+    })().catch(err => {
+      onnxSessionPromise = null;
+      throw err;
+    });
+  }
+  return onnxSessionPromise;
+}
+
+// In-process YOLO on CPU
+const onnxDetector = {
+  name: 'onnx',
+  isConfigured: () => !!config.detectorOnnxModel,
+  async detect(imageBase64, cameraView) {
+    const { ort, session } = await getOnnxSession();
+    const rgb = await decodeFrameRGB(Buffer.from(imageBase64, 'base64'), ONNX_INPUT_SIZE);
+
+    // HWC uint8 -> CHW float 0-1
+    const pixels = ONNX_INPUT_SIZE * ONNX_INPUT_SIZE;
+    const input = new Float32Array(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+      input[i] = rgb[i * 3] / 255;
+      input[pixels + i] = rgb[i * 3 + 1] / 255;
+      input[2 * pixels + i] = rgb[i * 3 + 2] / 255;
+    }
+
+    const tensor = new ort.Tensor('float32', input, [1, 3, ONNX_INPUT_SIZE, ONNX_INPUT_SIZE]);
+    const outputs = await session.run({ [session.inputNames[0]]: tensor });
+    return countByLane(parseYoloOutput(outputs[session.outputNames[0]]), cameraView);
+  }
+};
+
+// Deterministic counts from the image hash - same frame, same answer
+const mockDetector = {
+  name: 'mock',
+  isConfigured: () => true,
+  async detect(imageBase64) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', Buffer.from(imageBase64, 'base64')));
+    const breakdown = {
+      LS_to_SA: { cars: digest[0] % 10, trucks: digest[1] % 4, buses: digest[2] % 2 },
+      SA_to_LS: { cars: digest[3] % 10, trucks: digest[4] % 4, buses: digest[5] % 2 }
+    };
+    const sum = counts => counts.cars + counts.trucks + counts.buses;
+    return {
+      success: true,
+      LS_to_SA: sum(breakdown.LS_to_SA),
+      SA_to_LS: sum(breakdown.SA_to_LS),
+      total: sum(breakdown.LS_to_SA) + sum(breakdown.SA_to_LS),
+      unassigned: 0,
+      breakdown: breakdown,
+      direction_uncertain: false
+    };
+  }
+};
+
+const DETECTOR_IMPLEMENTATIONS = { remote: remoteDetector, onnx: onnxDetector, mock: mockDetector };
+
+// Backends in failover order, each with its own health record
+const detectorBackends = config.detectorBackends
+  .map(name => DETECTOR_IMPLEMENTATIONS[name])
+  .filter(backend => backend && backend.isConfigured())
+  .map(backend => ({
+    ...backend,
+    health: {
+      state: 'closed',            // closed = in use, open = skipped, half_open = one trial call allowed
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      avgLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }
+  }));
+
+// Whether the breaker lets a call through right now
+function detectorAvailable(backend) {
+  const health = backend.health;
+  if (health.state === 'closed') return true;
+  if (health.state === 'open' && Date.now() - health.openedAt >= BREAKER_COOLDOWN_MS) {
+    health.state = 'half_open';
+  }
+  return health.state === 'half_open' && !health.trialInFlight;
+}
+
+function recordDetectorSuccess(backend, latencyMs) {
+  const health = backend.health;
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.lastSuccessAt = new Date().toISOString();
+  health.avgLatencyMs = health.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(health.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  if (health.state !== 'closed') {
+    console.log(`✅ Detector ${backend.name} recovered, circuit closed`);
+    health.state = 'closed';
+    health.openedAt = null;
+  }
+}
+
+function recordDetectorFailure(backend, error) {
+  const health = backend.health;
+  health.failures++;
+  health.consecutiveFailures++;
+  health.lastFailureAt = new Date().toISOString();
+  health.lastError = error.message;
+  if (health.state === 'half_open' || health.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+    if (health.state !== 'open') {
+      console.log(`🔌 Detector ${backend.name} circuit open for ${BREAKER_COOLDOWN_MS / 1000}s after ${health.consecutiveFailures} failures`);
+    }
+    health.state = 'open';
+    health.openedAt = Date.now();
+  }
+}
+
+// Detect vehicles with the first healthy backend; null when every backend fails
+async function detectVehicles(imageBase64, cameraView = 'bridge') {
+  for (const backend of detectorBackends) {
+    if (!detectorAvailable(backend)) continue;
+
+    const health = backend.health;
+    const isTrial = health.state === 'half_open';
+    if (isTrial) health.trialInFlight = true;
+    health.calls++;
+    const startTime = Date.now();
+
+    try {
+      const result = await backend.detect(imageBase64, cameraView);
+      result.latency_ms = Date.now() - startTime;
+      result.backend = backend.name;
+      recordDetectorSuccess(backend, result.latency_ms);
+      console.log(`🎯 Detector (${backend.name}): SA→LS: ${result.SA_to_LS}, LS→SA: ${result.LS_to_SA}, Total: ${result.total} (${result.latency_ms}ms)`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Detector ${backend.name} failed:`, error.message);
+      recordDetectorFailure(backend, error);
+    } finally {
+      if (isTrial) health.trialInFlight = false;
+    }
+  }
+
+  return null;
 }
 
-// Map camera view to angle type
-const ANGLE_TO_VIEW = {
-  'bridge': 'bridge',
-  'processing': 'canopy',
-  'wide': 'engen'
+// Health snapshot of every configured backend, in failover order
+function getDetectorHealth() {
+  return detectorBackends.map(backend => ({
+    name: backend.name,
+    state: backend.health.state,
+    calls: backend.health.calls,
+    successes: backend.health.successes,
+    failures: backend.health.failures,
+    consecutiveFailures: backend.health.consecutiveFailures,
+    avgLatencyMs: backend.health.avgLatencyMs,
+    lastSuccessAt: backend.health.lastSuccessAt,
+    lastFailureAt: backend.health.lastFailureAt,
+    lastError: backend.health.lastError
+  }));
+}
+
+// Angle types
+const ANGLE_TYPES = {
+  BRIDGE: 'bridge',           // View of the bridge showing both lanes
+  WIDE: 'wide',               // Wide view showing ENGEN, road to bridge
+  PROCESSING: 'processing',   // Processing area with curved roof
+  USELESS: 'useless'          // Trees, darkness, no useful info
+};
+
+// =============================================
+// BORDER POST REGISTRY
+// =============================================
+// Every monitored crossing has its own stream, angle taxonomy, detector view
+// mapping and prompt context. `angles` is listed in analysis priority order;
+// `detectorView` is the lane geometry the detector service has been calibrated
+// for (null = not calibrated yet, the model assesses that view visually).
+// `queue` (optional) describes how far a queue can extend, zone by zone, and
+// needs a calibrated detector view on each zone's angle.
+// A post without a stream URL stays in the registry but is not captured.
+
+const BORDER_POSTS = {
+  maseru: {
+    id: 'maseru',
+    name: 'Maseru Bridge',
+    streamUrl: process.env.STREAM_URL || 'https://5c50a1c26792b.streamlock.net/live/ngrp:MaseruBridgeLS.stream_all/playlist.m3u8',
+    promptContext: 'Maseru Bridge border crossing between Maseru (Lesotho) and Ladybrand (South Africa)',
+    severeLandmark: 'Engen/approach road',
+    angles: {
+      bridge: { label: 'Bridge', detectorView: 'bridge', description: 'Shows bridge over river with orange/red pillar, vehicles on bridge lanes' },
+      processing: { label: 'Canopy', detectorView: 'canopy', description: 'Shows green curved roof canopy/shelter, vehicles in processing yard' },
+      wide: { label: 'Engen', detectorView: 'engen', description: 'Shows Engen petrol station OR Chiefs Fast Foods sign OR road with many vehicles heading to border' }
+    },
+    // Queue zones from the bridge outward. The queue reaches a zone when it and every
+    // zone before it hold at least minVehicles; reaching the last zone is SEVERE.
+    queue: {
+      direction: 'lsToSa',
+      zones: [
+        { angle: 'bridge', extent: 'bridge', label: 'bridge only', minVehicles: 1, minimumStatus: null },
+        { angle: 'processing', extent: 'yard', label: 'into the processing yard', minVehicles: 8, minimumStatus: 'HEAVY' },
+        { angle: 'wide', extent: 'engen', label: 'back to Engen', minVehicles: 5, minimumStatus: 'SEVERE' }
+      ]
+    }
+  },
+  ficksburg: {
+    id: 'ficksburg',
+    name: 'Ficksburg Bridge',
+    streamUrl: process.env.FICKSBURG_STREAM_URL || '',
+    promptContext: 'Ficksburg Bridge border crossing between Maputsoe (Lesotho) and Ficksburg (South Africa)',
+    severeLandmark: 'Maputsoe town/approach road',
+    angles: {
+      bridge: { label: 'Bridge', detectorView: null, description: 'Shows the bridge over the Caledon river with vehicles on the bridge lanes' },
+      processing: { label: 'Processing', detectorView: null, description: 'Shows the border buildings and vehicles waiting in the processing area' }
+    }
+  },
+  vanrooyens: {
+    id: 'vanrooyens',
+    name: "Van Rooyen's Gate",
+    streamUrl: process.env.VANROOYENS_STREAM_URL || '',
+    promptContext: "Van Rooyen's Gate border crossing between Mafeteng (Lesotho) and Wepener (South Africa)",
+    severeLandmark: 'approach road',
+    angles: {
+      processing: { label: 'Processing', detectorView: null, description: 'Shows the border gate and buildings with vehicles waiting to be processed' },
+      wide: { label: 'Approach', detectorView: null, description: 'Shows the approach road leading to the border gate' }
+    }
+  },
+  caledonspoort: {
+    id: 'caledonspoort',
+    name: 'Caledonspoort',
+    streamUrl: process.env.CALEDONSPOORT_STREAM_URL || '',
+    promptContext: 'Caledonspoort border crossing between Butha-Buthe (Lesotho) and Fouriesburg (South Africa)',
+    severeLandmark: 'approach road',
+    angles: {
+      bridge: { label: 'Bridge', detectorView: null, description: 'Shows the bridge over the Caledon river with vehicles on the bridge lanes' },
+      processing: { label: 'Processing', detectorView: null, description: 'Shows the border buildings and vehicles waiting in the processing area' }
+    }
+  }
 };
 
-// Buffer to store multiple screenshots with timestamps and angle classification
-let screenshotBuffer = [];
-let latestAnalysis = null;
-let lastAnalysisTime = 0;
-let isCapturing = false;
-let isClassifying = false;
+const DEFAULT_POST_ID = 'maseru';
+
+// Per-post runtime state: frame buffer, preserved frames, caches and capture flags
+function createPostState(post) {
+  return {
+    // Buffer to store multiple screenshots with timestamps and angle classification
+    screenshotBuffer: [],
+    // Preserved frames - one for each angle, never evicted
+    preservedFrames: Object.fromEntries(Object.keys(post.angles).map(angleType => [angleType, null])),
+    latestAnalysis: null,
+    lastAnalysisTime: 0,
+    captureInFlight: null,        // Shared promise while a capture runs (see captureFrame)
+    isClassifying: false,
+    // Angle classification: labelled reference fingerprints, LLM fallback queue, which path decided
+    referenceFrames: [],
+    classificationQueue: Promise.resolve(),
+    classifierStats: { local: 0, llm: 0 },
+    // Most recent detector run ({ counts, frameTimestamp, timestamp }) and learned wait-time model
+    latestDetection: null,
+    detectionInFlight: null,      // Shared promise while /api/wait-time re-runs the detector
+    waitTimeModel: null,
+    // HLS ingestion worker: rolling ring of decoded keyframes, worker stats, and the
+    // newest ring timestamp already fed to the analysis buffer
+    frameRing: [],
+    ingest: null,
+    lastIngestedTimestamp: 0,
+    // Frame quality: previous frame's luma for duplicate checks, duplicate streak, frozen flag
+    lastFrameLuma: null,
+    duplicateStreak: 0,
+    streamFrozen: false,
+    // PTZ rotation: classified-frame timeline, learned schedule, next planned capture, hit counts
+    angleTimeline: [],
+    samplesSinceFit: 0,
+    ptzSchedule: null,
+    nextCapture: null,
+    ptzHits: {},
+    // Cache common question responses to serve instantly, keyed by intent cache key
+    // ("en:status", "st:queue:ls_to_sa", "en:queue:engen:yesno" - see intentCacheKey)
+    responseCache: {},
+    // Typical weekday/hour statuses from get_typical_traffic, refreshed every half hour
+    typicalTraffic: null,
+    typicalTrafficAt: 0
+  };
+}
+
+for (const post of Object.values(BORDER_POSTS)) {
+  post.state = createPostState(post);
+}
+
+// Posts with a configured stream - the ones we capture and serve
+function getActivePosts() {
+  return Object.values(BORDER_POSTS).filter(post => post.streamUrl);
+}
+
+// Latest frame in a post's buffer (or null)
+function getLatestFrame(post) {
+  const buffer = post.state.screenshotBuffer;
+  return buffer.length > 0 ? buffer[buffer.length - 1] : null;
+}
+
+// Middleware: resolve ?post= (or body.post) to a registry entry on req.post
+function resolvePost(req, res, next) {
+  const postId = String(req.query.post || req.body?.post || DEFAULT_POST_ID).toLowerCase();
+  const post = BORDER_POSTS[postId];
+  if (!post || !post.streamUrl) {
+    return res.status(404).json({
+      success: false,
+      message: post ? `${post.name} camera is not configured` : 'Unknown border post',
+      availablePosts: getActivePosts().map(p => p.id)
+    });
+  }
+  req.post = post;
+  next();
+}
 
 // Maximum age for frames to be considered valid (10 minutes)
 const MAX_FRAME_AGE_MS = 10 * 60 * 1000;
 
-// Helper function to check if a frame is still fresh
+// Helper function to check if a frame is still fresh (and passed the quality gate)
 function isFrameFresh(frame) {
   if (!frame || !frame.timestamp) return false;
+  if (frame.quality && !frame.quality.usable) return false;
   const frameAge = Date.now() - new Date(frame.timestamp).getTime();
   return frameAge <= MAX_FRAME_AGE_MS;
 }
 
+// Reads older than this start a background refresh (they never wait for it)
+const FRAME_REFRESH_AGE_MS = 60 * 1000;
+
+// Freshness contract for anything served from the buffer: the frame it came from, how
+// old that is, and MAX_FRAME_AGE_MS, beyond which the buffer is too old to answer from
+function frameFreshness(post, frameTimestamp = getLatestFrame(post)?.timestamp) {
+  const ageMs = frameTimestamp ? Date.now() - new Date(frameTimestamp).getTime() : null;
+  return {
+    servedFrom: frameTimestamp ? new Date(frameTimestamp).toISOString() : null,
+    ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+    maxAgeSeconds: MAX_FRAME_AGE_MS / 1000,
+    stale: ageMs === null || ageMs > MAX_FRAME_AGE_MS,
+    refreshing: Boolean(post.state.captureInFlight)
+  };
+}
+
+// Kick off a capture when the newest buffered frame is getting old; callers carry on with the buffer
+function refreshIfStale(post) {
+  const latest = getLatestFrame(post);
+  if (!latest || Date.now() - latest.timestamp > FRAME_REFRESH_AGE_MS) {
+    captureFrame(post);
+  }
+}
+
 // =============================================
-// RESPONSE CACHE SYSTEM
+// LANGUAGES
 // =============================================
-// Cache common question responses to serve instantly
-const responseCache = {
-  status: null,      // "how's traffic", "current status"
-  good_time: null,   // "good time to cross", "should I go"
-  queue: null,       // "how long is the queue"
-  ls_to_sa: null,    // "going from LS to SA"
-  sa_to_ls: null,    // "coming from SA to LS"
+// Users write in English, Sesotho and (SA-side travellers) Afrikaans. Chat answers
+// come back in the language of the question; share pages take ?lang=.
+// Status codes (LIGHT/MODERATE/...) stay English in assessments and the direction boxes.
+
+const LANGUAGES = ['en', 'st', 'af'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = { en: 'English', st: 'Sesotho', af: 'Afrikaans' };
+const LANGUAGE_LOCALES = { en: 'en_ZA', st: 'st_LS', af: 'af_ZA' };
+
+const MESSAGES = {
+  en: {
+    noFeed: 'No camera feed available. The stream might be temporarily offline. Please try again in a moment.',
+    viewLimited: 'Camera view is currently limited. Please try again in a moment for a better view.',
+    invalidAssessment: "Couldn't get a reliable reading from the camera just now. Please try again in a moment.",
+    analysisUnavailable: 'Analysis temporarily unavailable: {error}',
+    noMessage: 'Please provide a message',
+    chatFailed: 'Failed to process your question',
+    rateLimited: 'Too many questions in a short time. Please wait {seconds}s and try again.',
+    budgetPaused: 'Live camera analysis is paused until tomorrow. The camera image still shows the current view.',
+    budgetCached: 'Live analysis is paused until tomorrow - this is the last reading, from {minutes} min ago.',
+    trafficLabel: 'Traffic',
+    adviceLabel: 'Advice',
+    disclaimer: 'AI estimate from camera snapshots. Conditions change quickly.',
+    headline: {
+      checking: 'Checking {name} traffic…',
+      SEVERE: 'Heavy queue at {name} — expect delays',
+      HEAVY: 'Busy at {name} right now',
+      MODERATE: 'Moderate traffic at {name}',
+      LIGHT: 'Moving freely at {name}',
+      unknown: '{name} live traffic'
+    },
+    share: {
+      description: 'Live AI-powered traffic check for the {name} border crossing (Lesotho ↔ South Africa). Updated every few minutes.',
+      region: 'Lesotho ↔ South Africa',
+      imageAlt: 'Live camera view of {name}',
+      lastFrame: 'Last frame: {age}',
+      secondsAgo: '{seconds}s ago',
+      waiting: 'waiting for first frame',
+      autoRefresh: 'Auto-refresh 60s',
+      askBot: 'Ask the bot →',
+      footer: 'AI estimate from live camera. Conditions change quickly.',
+      cameraBy: 'Camera by',
+      builtBy: 'Built by',
+      live: 'live',
+      embedTitle: '{name} · Live'
+    },
+    statusWords: { LIGHT: 'LIGHT', MODERATE: 'MODERATE', HEAVY: 'HEAVY', SEVERE: 'SEVERE' },
+    alerts: {
+      title: '{name} traffic alert',
+      message: '{emoji} {name}: {direction} is now {status}.'
+    },
+    otp: {
+      message: 'Your Maseru Bridge code is {code}. It expires in {minutes} minutes. Never share it.'
+    },
+    menu: {
+      main: '{name}\n1. Current status\n2. My direction\n3. Best time today',
+      chooseDirection: 'Which way?\n1. Lesotho to SA\n2. SA to Lesotho',
+      age: '{minutes} min ago',
+      wait: 'wait {low}-{high} min',
+      vehicles: '{count} vehicles in view.',
+      usually: 'Usually {status} at {time}.',
+      best: '{name} best today: {times} (usually {status}).',
+      avoid: 'Avoid {time} (usually {status}).',
+      noReading: 'No recent reading for {name}. Try again in a few minutes.',
+      noHistory: 'Not enough history for the rest of today yet.',
+      invalid: 'Invalid choice. Dial again.',
+      smsDirection: 'Reply 2 LS for Lesotho to SA or 2 SA for SA to Lesotho.',
+      smsHelp: 'Reply 1 for border status, 2 LS or 2 SA for your direction, 3 for best time today.'
+    },
+    whatsapp: {
+      help: 'Send me a question like "How\'s traffic?" or "Queue to SA?" and I\'ll check the border camera for you.'
+    }
+  },
+  st: {
+    noFeed: 'Ha ho setšoantšo sa khamera hona joale. Khamera e kanna ea be e sa sebetse nakoana. Ka kopo leka hape kamora nakoana.',
+    viewLimited: 'Pono ea khamera e fokola hona joale. Ka kopo leka hape kamora nakoana.',
+    invalidAssessment: 'Ha rea khona ho bala khamera hantle hona joale. Ka kopo leka hape kamora nakoana.',
+    analysisUnavailable: 'Tlhahlobo ha e fumanehe nakoana: {error}',
+    noMessage: 'Ka kopo ngola potso',
+    chatFailed: 'Ha rea khona ho araba potso ea hau',
+    rateLimited: 'U botsitse lipotso tse ngata ka nako e khutšoanyane. Ka kopo ema metsotsoana e {seconds} ebe u leka hape.',
+    budgetPaused: 'Tlhahlobo ea khamera e emisitsoe ho fihlela hosane. Setšoantšo sa khamera se ntse se bontša maemo a hona joale.',
+    budgetCached: 'Tlhahlobo e emisitsoe ho fihlela hosane - ena ke tekanyo ea ho qetela, ea metsotso e {minutes} e fetileng.',
+    trafficLabel: 'Sephethephethe',
+    adviceLabel: 'Keletso',
+    disclaimer: 'Khakanyo ea AI ho tsoa linepeng tsa khamera. Maemo a fetoha kapele.',
+    headline: {
+      checking: 'Re hlahloba sephethephethe sa {name}…',
+      SEVERE: 'Mola o molelele ho {name} — lebella tieho',
+      HEAVY: 'Ho phathahane ho {name} hona joale',
+      MODERATE: 'Sephethephethe se mahareng ho {name}',
+      LIGHT: 'Likoloi li tsamaea hantle ho {name}',
+      unknown: 'Sephethephethe sa {name} ka kotloloho'
+    },
+    share: {
+      description: 'Tlhahlobo ea sephethephethe ka AI moeling oa {name} (Lesotho ↔ Afrika Boroa), ka kotloloho. E nchafatsoa metsotso e meng le e meng e seng mekae.',
+      region: 'Lesotho ↔ Afrika Boroa',
+      imageAlt: 'Pono ea khamera ea {name} ka kotloloho',
+      lastFrame: 'Setšoantšo sa ho qetela: {age}',
+      secondsAgo: 'metsotsoana e {seconds} e fetileng',
+      waiting: 're emetse setšoantšo sa pele',
+      autoRefresh: 'E nchafala kamora metsotsoana e 60',
+      askBot: 'Botsa bot →',
+      footer: 'Khakanyo ea AI ho tsoa khamereng. Maemo a fetoha kapele.',
+      cameraBy: 'Khamera ea',
+      builtBy: 'E entsoe ke',
+      live: 'ka kotloloho',
+      embedTitle: '{name} · Ka kotloloho'
+    },
+    statusWords: { LIGHT: 'ho bobebe', MODERATE: 'ho mahareng', HEAVY: 'ho boima', SEVERE: 'ho tletse haholo' },
+    alerts: {
+      title: 'Temoso ea sephethephethe: {name}',
+      message: '{emoji} {name}: {direction} hona joale {status}.'
+    },
+    otp: {
+      message: 'Khoutu ea hao ea Maseru Bridge ke {code}. E fela ka mor\'a metsotso e {minutes}. U se ke ua e fa motho.'
+    },
+    menu: {
+      main: '{name}\n1. Boemo hona joale\n2. Tsela ea ka\n3. Nako e molemo kajeno',
+      chooseDirection: 'U ea kae?\n1. Lesotho ho ea SA\n2. SA ho ea Lesotho',
+      age: 'metsotso e {minutes} e fetileng',
+      wait: 'ho ema metsotso e {low}-{high}',
+      vehicles: 'Likoloi tse {count} li a bonahala.',
+      usually: 'Hangata {status} ka {time}.',
+      best: '{name} nako e molemo kajeno: {times} (hangata {status}).',
+      avoid: 'Qoba {time} (hangata {status}).',
+      noReading: 'Ha ho tlaleho ea morao tjena ea {name}. Leka hape kamora metsotso e seng mekae.',
+      noHistory: 'Ha ho so be le nalane e lekaneng bakeng sa kajeno.',
+      invalid: 'Khetho e fosahetseng. Leka hape.',
+      smsDirection: 'Araba 2 LS bakeng sa Lesotho ho ea SA kapa 2 SA bakeng sa SA ho ea Lesotho.',
+      smsHelp: 'Araba 1 bakeng sa boemo, 2 LS kapa 2 SA bakeng sa tsela ea hao, 3 bakeng sa nako e molemo kajeno.'
+    },
+    whatsapp: {
+      help: 'Romela potso e kang "Sephethephethe se joang?" kapa "Mola ho ea Afrika Boroa?" ke tla u shebela khamera ea moeli.'
+    }
+  },
+  af: {
+    noFeed: "Geen kamerabeeld beskikbaar nie. Die stroom is dalk tydelik af. Probeer asseblief oor 'n oomblik weer.",
+    viewLimited: "Die kamera-aansig is tans beperk. Probeer asseblief oor 'n oomblik weer vir 'n beter aansig.",
+    invalidAssessment: "Kon nie nou 'n betroubare lesing van die kamera kry nie. Probeer asseblief oor 'n oomblik weer.",
+    analysisUnavailable: 'Ontleding tydelik onbeskikbaar: {error}',
+    noMessage: "Stuur asseblief 'n boodskap",
+    chatFailed: 'Kon nie jou vraag verwerk nie',
+    rateLimited: "Te veel vrae in 'n kort tyd. Wag asseblief {seconds}s en probeer weer.",
+    budgetPaused: 'Regstreekse kamera-ontleding is tot môre gestaak. Die kamerabeeld wys steeds die huidige toestand.',
+    budgetCached: 'Regstreekse ontleding is tot môre gestaak - dit is die laaste lesing, van {minutes} min gelede.',
+    trafficLabel: 'Verkeer',
+    adviceLabel: 'Raad',
+    disclaimer: "KI-skatting uit kamerafoto's. Toestande verander vinnig.",
+    headline: {
+      checking: 'Kontroleer verkeer by {name}…',
+      SEVERE: 'Lang tou by {name} — verwag vertragings',
+      HEAVY: 'Besig by {name} op die oomblik',
+      MODERATE: 'Matige verkeer by {name}',
+      LIGHT: 'Verkeer beweeg vrylik by {name}',
+      unknown: '{name} regstreekse verkeer'
+    },
+    share: {
+      description: 'Regstreekse KI-verkeerstoets vir die {name}-grenspos (Lesotho ↔ Suid-Afrika). Elke paar minute bygewerk.',
+      region: 'Lesotho ↔ Suid-Afrika',
+      imageAlt: 'Regstreekse kamera-aansig van {name}',
+      lastFrame: 'Laaste beeld: {age}',
+      secondsAgo: '{seconds}s gelede',
+      waiting: 'wag vir die eerste beeld',
+      autoRefresh: 'Verfris elke 60s',
+      askBot: 'Vra die bot →',
+      footer: 'KI-skatting van regstreekse kamera. Toestande verander vinnig.',
+      cameraBy: 'Kamera deur',
+      builtBy: 'Gebou deur',
+      live: 'regstreeks',
+      embedTitle: '{name} · Regstreeks'
+    },
+    statusWords: { LIGHT: 'lig', MODERATE: 'matig', HEAVY: 'swaar', SEVERE: 'ernstig' },
+    alerts: {
+      title: '{name} verkeerswaarskuwing',
+      message: '{emoji} {name}: {direction} is nou {status}.'
+    },
+    otp: {
+      message: 'Jou Maseru Bridge-kode is {code}. Dit verval oor {minutes} minute. Moet dit nooit deel nie.'
+    },
+    menu: {
+      main: '{name}\n1. Huidige stand\n2. My rigting\n3. Beste tyd vandag',
+      chooseDirection: 'Watter kant toe?\n1. Lesotho na SA\n2. SA na Lesotho',
+      age: '{minutes} min gelede',
+      wait: 'wag {low}-{high} min',
+      vehicles: '{count} voertuie in sig.',
+      usually: 'Gewoonlik {status} om {time}.',
+      best: '{name} beste vandag: {times} (gewoonlik {status}).',
+      avoid: 'Vermy {time} (gewoonlik {status}).',
+      noReading: 'Geen onlangse lesing vir {name} nie. Probeer weer oor \'n paar minute.',
+      noHistory: 'Nog nie genoeg geskiedenis vir die res van vandag nie.',
+      invalid: 'Ongeldige keuse. Skakel weer.',
+      smsDirection: 'Antwoord 2 LS vir Lesotho na SA of 2 SA vir SA na Lesotho.',
+      smsHelp: 'Antwoord 1 vir die grensstand, 2 LS of 2 SA vir jou rigting, 3 vir die beste tyd vandag.'
+    },
+    whatsapp: {
+      help: 'Stuur vir my \'n vraag soos "Hoe is die verkeer?" of "Tou na SA?" en ek kyk vir jou na die grenskamera.'
+    }
+  }
 };
 
-const CACHE_TTL = 120000; // 2 minutes in milliseconds
+// Look up a message ('share.lastFrame') and fill {placeholders}; falls back to English
+function t(language, key, vars = {}) {
+  const lookup = messages => key.split('.').reduce((node, part) => node?.[part], messages);
+  const template = lookup(MESSAGES[language]) ?? lookup(MESSAGES[DEFAULT_LANGUAGE]) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
 
-// Categorize a question to determine cache key
-function categorizeQuestion(question) {
-  const q = question.toLowerCase().trim();
-  
-  // Direction-specific questions
-  if (q.match(/from\s*(ls|lesotho)|to\s*(sa|south\s*africa)|ls\s*(to|→)/i) && 
-      !q.match(/from\s*(sa|south\s*africa)/i)) {
-    return 'ls_to_sa';
+// A supported language code from a request (?lang=, body.lang), or null
+function resolveLanguage(requested) {
+  const code = String(requested || '').toLowerCase().slice(0, 2);
+  return LANGUAGES.includes(code) ? code : null;
+}
+
+// Words that only (or almost only) turn up in one language. Place names and words
+// shared with English ("is", "more", "sa") are left out on purpose.
+const LANGUAGE_MARKERS = {
+  st: new Set([
+    'dumela', 'dumelang', 'lumela', 'lumelang', 'kea', 'leboha', 'joang', 'jwang', 'hona', 'joale', 'jwale',
+    'tsela', 'moeli', 'moeling', 'koloi', 'likoloi', 'dikoloi', 'sephethephethe', 'mola', 'nako', 'hosane',
+    'hamorao', 'kajeno', 'tsoa', 'tswa', 'boroa', 'borwa', 'hantle', 'ntate', "'me", 'kopo', 'teng', 'eng',
+    'batho', 'tletse', 'phathahane', 'borokho', 'borokhong', 'kamora', 'fihla', 'ngata', 'leholimo', 'kae',
+    'batla', 'tsamaea', 'tsamaee', 'tsamaya', 'molelele'
+  ]),
+  af: new Set([
+    'hoe', 'die', 'verkeer', 'grens', 'grenspos', 'tou', 'toue', 'lank', 'wag', 'dankie', 'goeie', 'middag',
+    'naand', 'nou', 'baie', 'besig', 'ek', 'van', 'suid', 'brug', 'moet', 'kan', 'daar', 'hier', 'hallo',
+    'asseblief', 'vandag', 'vanaand', 'netnou', 'lyn', 'gaan', 'wat', 'waar', 'wanneer', 'totsiens', 'oor',
+    'uur', 'motors', 'karre', 'vragmotors', 'doeane', 'lyk', 'jy', 'nie', "'n", 'vir', 'wees', 'sal', 'vertel', 'grap', 'dit', 'ook', 'nog'
+  ])
+};
+
+// Short Sesotho particles ("ho", "le", "ke") are everywhere in Sesotho but also turn up
+// in English ("see ya", "o clock"), so they count for half a marker - one on its own
+// never tips a message, next to a distinctive word it does
+const WEAK_LANGUAGE_MARKERS = {
+  st: new Set(['ke', 'ho', 'ea', 'ya', 'li', 'le', 'ka', 'o', 'e', 'se'])
+};
+const WEAK_MARKER_WEIGHT = 0.5;
+
+// Guess the language of a message; null when nothing points away from English
+function detectLanguage(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const scores = Object.fromEntries(Object.entries(LANGUAGE_MARKERS).map(([language, markers]) => [
+    language, words.reduce((score, word) => {
+      if (markers.has(word)) return score + 1;
+      return WEAK_LANGUAGE_MARKERS[language]?.has(word) ? score + WEAK_MARKER_WEIGHT : score;
+    }, 0)
+  ]));
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  const runnerUp = Math.min(...Object.values(scores));
+  // Short messages ("Dumela", "Is dit besig?") get by on one marker word
+  const needed = words.length <= 3 ? 1 : 2;
+  return score >= needed && score > runnerUp ? best : null;
+}
+
+// Instructions appended to the system prompt for non-English questions
+const LANGUAGE_PROMPTS = {
+  st: `═══════════════════════════════════════════════════════════════
+LANGUAGE - SESOTHO:
+═══════════════════════════════════════════════════════════════
+The user writes in Sesotho. Write summary, both details, advice and reply in
+Sesotho (Lesotho spelling), in the same short, friendly style.
+Keep the status fields as LIGHT/MODERATE/HEAVY/SEVERE - they are codes the app translates.
+In reply text say the status in Sesotho: LIGHT = "ho bobebe", MODERATE = "ho mahareng",
+HEAVY = "ho boima", SEVERE = "ho tletse haholo".
+Words: traffic = sephethephethe, queue = mola, border = moeli, bridge = borokho,
+vehicles = likoloi, South Africa = Afrika Boroa, to wait = ho ema.
+Example advice: "Tsela e bulehile ho ea Afrika Boroa - u ka tsamaea hona joale!"`,
+  af: `═══════════════════════════════════════════════════════════════
+LANGUAGE - AFRIKAANS:
+═══════════════════════════════════════════════════════════════
+The user writes in Afrikaans. Write summary, both details, advice and reply in
+Afrikaans, in the same short, friendly style.
+Keep the status fields as LIGHT/MODERATE/HEAVY/SEVERE - they are codes the app translates.
+In reply text say the status in Afrikaans: LIGHT = "lig", MODERATE = "matig",
+HEAVY = "swaar", SEVERE = "ernstig".
+Words: traffic = verkeer, queue = tou, border post = grenspos, bridge = brug,
+vehicles = voertuie, South Africa = Suid-Afrika, wait = wag.
+Example advice: "Die pad na Suid-Afrika is oop - jy kan nou ry!"`
+};
+
+// =============================================
+// QUESTION INTENT
+// =============================================
+// Every question is reduced to an intent plus the entities it names: direction,
+// when (now / later / a clock time / a day) and where (Engen, the bridge, the yard).
+// The result picks the prompt style and the cache key and is logged for analytics.
+// Patterns match whole words so "this" is not "hi" and "usage" is not "sa".
+// Labelled examples live in data/intent-corpus.json (see /api/admin/intent-eval).
+
+const LS_PLACES = 'ls|lesotho|maseru|maputsoe|mafeteng';
+const SA_PLACES = 'sa|rsa|south africa|suid[- ]afrika|afrika bor[wo]a|ladybrand|ficksburg|wepener|bloem(fontein)?|joburg|johannesburg|jhb';
+const TO_WORDS = 'to|into|for|na|ho ea|ho ya|ho kena';
+const FROM_WORDS = 'from|leaving|out of|van|uit|ho tsoa|ho tswa|ho tloha';
+const ARROW = ' ?(to|na|→|->|-|>) ?';
+
+const DIRECTION_PATTERNS = {
+  lsToSa: new RegExp(`\\b(${TO_WORDS}) (${SA_PLACES})\\b|\\b(${FROM_WORDS}) (${LS_PLACES})\\b|\\b(ls|lesotho)${ARROW}(sa|rsa|south africa|suid[- ]afrika)\\b`),
+  saToLs: new RegExp(`\\b(${TO_WORDS}) (${LS_PLACES})\\b|\\b(${FROM_WORDS}) (${SA_PLACES})\\b|\\b(sa|rsa|south africa|suid[- ]afrika)${ARROW}(ls|lesotho)\\b`)
+};
+
+const LOCATION_PATTERNS = {
+  engen: /\bengen\b|\b(petrol|filling|gas) station\b|\bgarage\b|\bvulstasie\b/,
+  bridge: /\b(bridge|brug|borokho|borokhong)\b/,
+  yard: /\b(yard|processing|customs|immigration|inside the border|parking area|doeane)\b/
+};
+
+// English first, then Afrikaans and Sesotho phrasings of the same intent
+const INTENT_PATTERNS = {
+  info: /\b(open|opens|opening|close|closes|closed|closing)\b|\b(opening|closing|operating|business) hours\b|\b(documents?|passport|permit|visa|requirements?|fees?|toll)\b|\b(oop|oopmaak|sluit|dokumente|paspoort|visum|tolgeld|fooie?)\b|\b(bula|bulwa|bulehile|koala|koaloa|koetsoe|litokomane|tokomane|phasepoto)\b/,
+  goodTime: /\b(good|best|right|quiet(est)?|better) time\b|\bshould i (go|leave|cross|wait|travel|drive)\b|\b(ok|okay|safe|worth it|wise) to (go|cross|leave|travel)\b|\bwhen (should|can|is it best|is best)\b|\b(go|leave|cross) now\b|\bwait (until|till)\b|\b(goeie|beste|regte|stilste) tyd\b|\bmoet ek (nou )?(gaan|ry|wag|vertrek)\b|\bis dit (veilig|ok|goed) om\b|\bnako e (ntle|loketseng|molemo)\b|\bke (tsamaee|tsamaye|tsamaea|tsamaya|eme)\b|\bke ka (tsamaea|tsamaya|feta)\b/,
+  waitTime: /\bhow long (will|would|does|is the wait|to|until|till)\b|\bwait(ing)? times?\b|\bhow many (minutes|hours)\b|\bhow long\b(?! (is|are) the (queue|line))|\bhoe lank\b(?! is die (tou|lyn))|\bwagtyd\b|\bhoeveel (minute|ure)\b|\bnako e kae\b|\b(metsotso e mekae|lihora tse kae)\b/,
+  queue: /\b(queues?|lines?|backed up|backlog|backup|tailback|(cars|trucks|vehicles|people) waiting)\b|\b(tou|toue|lyn)\b|\b(mola|mela)\b/,
+  visual: /\b(look|looks|looking|see|show|picture|photo|camera|view)\b|\b(lyk|sien|wys|kamera|foto)\b|\b(shebahala|bona|bontsha|setsoantso)\b/,
+  status: /\b(traffic|busy|status|quiet|congest(ed|ion)|moving|flow(ing)?|clear|jam|packed|full|empty|situation|crossing|border)\b|\bhow('?s| is) (it|things)\b|\b(verkeer|besig|stil|vol|leeg|grens|grenspos|beweeg|motors|karre)\b|\bhoe is (dit|die)\b|\b(sephethephethe|phathahane|tletse|koloi|likoloi|dikoloi|moeli|moeling)\b|\bho (joang|jwang)\b/,
+  greeting: /^(hi|hello|hey|howzit|good (morning|afternoon|evening)|hallo|goeie (more|middag|naand)|dumela|dumelang|lumela|lumelang)\b/,
+  thanks: /\b(thanks|thank you|thx|cheers|bye|goodbye)\b|\b(dankie|totsiens|mooi loop)\b|\b(kea leboha|ke a leboha|ke leboha|sala hantle|tsamaea hantle|tsamaya hantle)\b/,
+  offtopic: /\b(weather|rain(ing)?|sunny|cold|hot|temperature|joke|funny|news|president|politics|election|sports?|soccer|football|rugby|cricket|food|restaurant|eat|movie|music|song|who are you|your name|what can you do|how are you|what'?s up)\b|\b(weer|reen|grap|nuus|sokker|kos|eet|wie is jy|hoe gaan dit)\b|\b(pula|leholimo|motlae|litaba|bolo|lijo|u mang|o mang|(o|u|le) phela joang)\b/
+};
+
+const INTENT_CORPUS_PATH = path.join(__dirname, 'data', 'intent-corpus.json');
+const YES_NO_PATTERN = /^(is|are|do|does|can|will|any)\b|\b(is there|are there)\b|^(sal|kan|gaan|enige)\b|\bis daar\b|^(na|ebe)\b|\bho na le\b/;
+const WEEKDAYS = [
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+  'sondag', 'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrydag', 'saterdag',
+  'sontaha', 'mantaha', 'labobeli', 'laboraro', 'labone', 'labohlano', 'moqebelo'
+];
+const DAY_WORDS = [
+  'tomorrow', 'tonight', 'yesterday', 'this (morning|afternoon|evening)', 'weekend', 'month ?end', 'end of (the )?month',
+  'vanaand', 'vanmiddag', 'vanoggend', 'gister', 'naweek', 'maandeinde',
+  'hosane', 'maobane', 'bosiung', 'mantsiboea', 'mafelong a khoeli'
+];
+
+// When the question asks about - { kind: 'now' } unless it names a later time
+function extractTimeReference(text, language = DEFAULT_LANGUAGE) {
+  const relative = text.match(/\bin (an?|\d+|half an?) (min(ute)?s?|hours?|hrs?)\b|\boor ('?n|een|\d+) (min(ute)?|uur|ure)\b|\bka ?mor'?a (hora|metsotso e (\d+))\b/);
+  if (relative) {
+    const amountText = relative[1] || relative[4];
+    const unit = relative[2] || relative[5] || relative[7];
+    const amount = relative[8] ? parseInt(relative[8], 10)
+      : amountText?.startsWith('half') ? 0.5
+      : (parseInt(amountText, 10) || 1);
+    const minutes = /^(h|uur|ure)/.test(unit) ? amount * 60 : amount;
+    return { kind: 'relative', offsetMinutes: Math.round(minutes), text: relative[0] };
   }
-  if (q.match(/from\s*(sa|south\s*africa)|to\s*(ls|lesotho)|sa\s*(to|→)/i) && 
-      !q.match(/from\s*(ls|lesotho)/i)) {
-    return 'sa_to_ls';
+
+  const clock = text.match(/\b(?:at|around|by|before|after|om|voor|teen|ka) (\d{1,2})\b(?::(\d{2}))? ?(am|pm)?(?! ?[a-z])|\b(\d{1,2})(?::(\d{2}))? ?(am|pm)\b|\b(\d{1,2}):(\d{2})\b/);
+  if (clock) {
+    const hourText = clock[1] || clock[4] || clock[7];
+    const minuteText = clock[2] || clock[5] || clock[8];
+    const meridiem = clock[3] || clock[6];
+    let hour = parseInt(hourText, 10);
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    if (hour <= 23) {
+      return { kind: 'clock', hour, minute: minuteText ? parseInt(minuteText, 10) : 0, text: clock[0].trim() };
+    }
   }
-  
-  // Good time questions
-  if (q.match(/good\s*time|should\s*i\s*(go|cross)|best\s*time|right\s*time|okay\s*to\s*cross|safe\s*to\s*cross/i)) {
-    return 'good_time';
+
+  // Afrikaans "môre" (tomorrow) is English "more", so it only counts in Afrikaans
+  const dayWords = language === 'af' ? [...DAY_WORDS, '(?<!goeie )more'] : DAY_WORDS;
+  const day = text.match(new RegExp(`\\b(${[...dayWords, ...WEEKDAYS].join('|')})\\b`));
+  if (day) {
+    return { kind: 'day', day: day[0].replace(/\s+/g, '_'), text: day[0] };
   }
-  
-  // Queue questions
-  if (q.match(/queue|line|wait|waiting|backed|backup|long/i) && 
-      !q.match(/how.*(traffic|busy|status)/i)) {
-    return 'queue';
+
+  const vague = text.match(/\b(later|in a (bit|while)|soon|netnou|hamorao|kamora nakoana)\b/);
+  if (vague) {
+    return { kind: 'relative', offsetMinutes: null, text: vague[0] };
   }
-  
-  // General status questions (most common)
-  if (q.match(/status|traffic|busy|current|now|right\s*now|at\s*the\s*moment|how.*(is|are)|what.*(is|like)/i)) {
-    return 'status';
+
+  return { kind: 'now' };
+}
+
+// Which direction a question names, if any
+function detectDirection(text) {
+  const lsToSa = DIRECTION_PATTERNS.lsToSa.test(text);
+  const saToLs = DIRECTION_PATTERNS.saToLs.test(text);
+  if (lsToSa === saToLs) return null;
+  return lsToSa ? 'lsToSa' : 'saToLs';
+}
+
+function detectLocation(text) {
+  return Object.keys(LOCATION_PATTERNS).find(location => LOCATION_PATTERNS[location].test(text)) || null;
+}
+
+function normalizeQuestion(question) {
+  return (question || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9':→>\-\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// How the answer should be written - the RESPONSE STYLES in the system prompt
+function answerStyleFor(intent, direction, location, timeReference, text) {
+  if (['greeting', 'thanks', 'offtopic'].includes(intent)) return 'offtopic';
+  if (intent === 'info') return 'info';
+  if (intent === 'visual') return 'visual';
+  if (intent === 'good_time' || timeReference.kind !== 'now') return 'timing';
+  if (intent === 'wait_time') return 'waittime';
+  if (YES_NO_PATTERN.test(text) || location) return 'yesno';
+  return direction ? 'directional' : 'general';
+}
+
+// Cache key for answers that only depend on the current frames, null otherwise
+function intentCacheKey(language, intent, direction, location, timeReference, answerStyle) {
+  if (!['status', 'queue', 'wait_time', 'good_time'].includes(intent)) return null;
+  if (timeReference.kind !== 'now') return null;
+
+  const parts = [language, intent];
+  if (direction) parts.push(direction === 'lsToSa' ? 'ls_to_sa' : 'sa_to_ls');
+  if (location) parts.push(location);
+  if (!['general', 'directional'].includes(answerStyle)) parts.push(answerStyle);
+  return parts.join(':');
+}
+
+// Classify a chat question. Automatic analyses (no question) are plain status reads.
+// `language` overrides detection when the user picked one (?lang=, or earlier in a conversation).
+function classifyIntent(question, language = null) {
+  const text = normalizeQuestion(question);
+  language = language || detectLanguage(text) || DEFAULT_LANGUAGE;
+  const direction = text ? detectDirection(text) : null;
+  const location = text ? detectLocation(text) : null;
+  const timeReference = extractTimeReference(text, language);
+  const mentionsTraffic = !!direction || INTENT_PATTERNS.status.test(text);
+
+  let intent;
+  if (!text) intent = 'status';
+  else if (INTENT_PATTERNS.info.test(text)) intent = 'info';
+  else if (INTENT_PATTERNS.goodTime.test(text)) intent = 'good_time';
+  else if (INTENT_PATTERNS.waitTime.test(text)) intent = 'wait_time';
+  else if (INTENT_PATTERNS.queue.test(text)) intent = 'queue';
+  else if (INTENT_PATTERNS.visual.test(text) && !INTENT_PATTERNS.offtopic.test(text)) intent = 'visual';
+  else if (INTENT_PATTERNS.offtopic.test(text) && !mentionsTraffic) intent = 'offtopic';
+  else if (mentionsTraffic || location) intent = 'status';
+  else if (INTENT_PATTERNS.thanks.test(text)) intent = 'thanks';
+  else if (INTENT_PATTERNS.greeting.test(text)) intent = 'greeting';
+  else intent = 'status';
+
+  const answerStyle = question ? answerStyleFor(intent, direction, location, timeReference, text) : 'general';
+
+  return {
+    intent,
+    language,
+    direction,
+    location,
+    timeReference,
+    answerStyle,
+    cacheKey: intentCacheKey(language, intent, direction, location, timeReference, answerStyle)
+  };
+}
+
+// Describe the extracted entities for the model
+function describeIntent(intent) {
+  const lines = [];
+  if (intent.direction) lines.push(`Direction asked about: ${DIRECTION_LABELS[intent.direction]}`);
+  if (intent.location) lines.push(`Place asked about: ${LOCATION_LABELS[intent.location]}`);
+  if (intent.timeReference.kind !== 'now') {
+    lines.push(`Time asked about: "${intent.timeReference.text}" - the camera only shows NOW. Say so, give the current reading, and add what is typical for that time if you know it.`);
   }
-  
-  // No cache for off-topic or unique questions
-  return null;
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
 }
 
+const LOCATION_LABELS = {
+  engen: 'the Engen garage (end of the approach road)',
+  bridge: 'the bridge',
+  yard: 'the processing yard'
+};
+
+// =============================================
+// RESPONSE CACHE SYSTEM
+// =============================================
+// Cache common question responses to serve instantly (per border post, see createPostState)
+const CACHE_TTL = 120000; // 2 minutes in milliseconds
+
 // Check if cached response is still valid
-function getCachedResponse(category) {
-  if (!category || !responseCache[category]) return null;
+function getCachedResponse(post, category) {
+  if (!category || !post.state.responseCache[category]) return null;
   
-  const cached = responseCache[category];
+  const cached = post.state.responseCache[category];
   const age = Date.now() - cached.timestamp;
   
   if (age < CACHE_TTL) {
-    console.log(`✅ Cache HIT for "${category}" (${Math.round(age/1000)}s old)`);
+    console.log(`✅ Cache HIT for ${post.id} "${category}" (${Math.round(age/1000)}s old)`);
     return cached;
   }
   
-  console.log(`⏰ Cache EXPIRED for "${category}" (${Math.round(age/1000)}s old)`);
+  console.log(`⏰ Cache EXPIRED for ${post.id} "${category}" (${Math.round(age/1000)}s old)`);
   return null;
 }
 
 // Store response in cache
-function cacheResponse(category, response, frameTimestamp) {
+function cacheResponse(post, category, response, frameTimestamp) {
   if (!category) return;
   
-  responseCache[category] = {
+  post.state.responseCache[category] = {
     response: response,
     frameTimestamp: frameTimestamp,
     timestamp: Date.now()
   };
   
-  console.log(`💾 Cached response for "${category}"`);
+  console.log(`💾 Cached response for ${post.id} "${category}"`);
 }
 
-// Preserved frames - one for each angle, never evicted
-let preservedFrames = {
-  bridge: null,
-  processing: null,
-  wide: null
-};
-
-// Angle types
-const ANGLE_TYPES = {
-  BRIDGE: 'bridge',           // View of the bridge showing both lanes
-  WIDE: 'wide',               // Wide view showing ENGEN, road to bridge
-  PROCESSING: 'processing',   // Processing area with curved roof
-  USELESS: 'useless'          // Trees, darkness, no useful info
+// =============================================
+// STRUCTURED TRAFFIC ASSESSMENT
+// =============================================
+// The model reports its reading through a forced tool call instead of prose.
+// The tool input is validated, merged with detector counts, and the resulting
+// assessment object drives both the chat text and the traffic_readings row.
+
+const TRAFFIC_STATUSES = ['LIGHT', 'MODERATE', 'HEAVY', 'SEVERE'];
+const STATUS_EMOJI = { LIGHT: '🟢', MODERATE: '🟡', HEAVY: '🟠', SEVERE: '🔴' };
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const ASSESSMENT_TOOL = {
+  name: 'report_traffic_assessment',
+  description: 'Report the traffic assessment for the border crossing and the reply to show the user.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One simple sentence summarising traffic in both directions.' },
+      ls_to_sa: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: TRAFFIC_STATUSES },
+          detail: { type: 'string', description: 'Short, simple detail, e.g. "Only 2 vehicles, no queue."' }
+        },
+        required: ['status', 'detail']
+      },
+      sa_to_ls: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: TRAFFIC_STATUSES },
+          detail: { type: 'string', description: 'Short, simple detail, e.g. "Steady flow, short wait expected."' }
+        },
+        required: ['status', 'detail']
+      },
+      advice: { type: 'string', description: 'Practical advice, personalised if the user mentioned a direction.' },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS, description: 'How clearly the camera views support this reading.' },
+      reply: { type: 'string', description: 'Conversational answer for questions that should NOT use direction boxes (off-topic, yes/no, visual, timing, border info). Omit for general status questions.' }
+    },
+    required: ['summary', 'ls_to_sa', 'sa_to_ls', 'advice', 'confidence']
+  }
 };
 
+// Tool input fields a stream passes on while the model is still writing
+const STREAMED_ASSESSMENT_FIELDS = ['summary', 'advice', 'reply'];
+
+// The text of a top-level string field in unfinished tool input JSON, as far as it has
+// arrived (null until it starts). Field names inside string values are escaped, so they
+// can't match.
+function partialJsonString(json, field) {
+  const match = json.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+  if (!match) return null;
+  try {
+    return JSON.parse(`"${match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '')}"`);
+  } catch {
+    return null;
+  }
+}
+
+// System prompt section describing how to report the assessment
+const ASSESSMENT_FORMAT_PROMPT = `═══════════════════════════════════════════════════════════════
+HOW TO RESPOND:
+═══════════════════════════════════════════════════════════════
+
+ALWAYS respond by calling the ${ASSESSMENT_TOOL.name} tool. Never answer in plain text.
+
+• summary: One simple sentence about traffic
+• ls_to_sa / sa_to_ls: status (LIGHT/MODERATE/HEAVY/SEVERE) and a SHORT detail
+  e.g. "Only 2 vehicles, no queue." or "About 8 vehicles waiting."
+• advice: Practical, personalized if direction mentioned
+• confidence: low / medium / high - how clearly the camera shows each direction
+• reply: ONLY for question types that should NOT use direction boxes (off-topic,
+  yes/no, visual, timing, border info). Put your full conversational answer here.
+  Leave it out for general status and direction-specific questions.
+
+Fill in BOTH direction statuses for every question, even when you use reply.`;
+
+class AssessmentError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AssessmentError';
+    this.errors = errors;
+  }
+}
+
+// Validate the tool input against ASSESSMENT_TOOL.input_schema, returning a list of problems
+function validateAssessmentInput(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return ['assessment is not an object'];
+  }
+
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+  if (!isText(input.summary)) errors.push('summary must be a non-empty string');
+  if (!isText(input.advice)) errors.push('advice must be a non-empty string');
+  if (!CONFIDENCE_LEVELS.includes(input.confidence)) {
+    errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  if (input.reply !== undefined && typeof input.reply !== 'string') {
+    errors.push('reply must be a string when present');
+  }
+
+  for (const key of ['ls_to_sa', 'sa_to_ls']) {
+    const direction = input[key];
+    if (!direction || typeof direction !== 'object') {
+      errors.push(`${key} is missing`);
+      continue;
+    }
+    if (!TRAFFIC_STATUSES.includes(String(direction.status).toUpperCase())) {
+      errors.push(`${key}.status must be one of ${TRAFFIC_STATUSES.join(', ')}`);
+    }
+    if (!isText(direction.detail)) errors.push(`${key}.detail must be a non-empty string`);
+  }
+
+  return errors;
+}
+
+// Pull the assessment tool call out of a model response and build the typed assessment.
+// Throws AssessmentError when the model did not call the tool or the input doesn't conform.
+function buildAssessment(response, detectorCounts, framesUsed, waitTime = null, queue = null) {
+  const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === ASSESSMENT_TOOL.name);
+  if (!toolUse) {
+    throw new AssessmentError('Model did not return a traffic assessment', [`stop_reason: ${response.stop_reason}`]);
+  }
+
+  const input = toolUse.input;
+  const errors = validateAssessmentInput(input);
+  if (errors.length > 0) {
+    throw new AssessmentError('Model assessment failed schema validation', errors);
+  }
+
+  const hasCounts = !!(detectorCounts && !detectorCounts.direction_uncertain);
+  const breakdown = detectorCounts?.breakdown || {};
+  const direction = (key, countKey) => ({
+    status: input[key].status.toUpperCase(),
+    detail: input[key].detail.trim(),
+    vehicleCount: hasCounts ? detectorCounts[countKey] : null,
+    breakdown: hasCounts ? (breakdown[countKey] || { cars: 0, trucks: 0, buses: 0 }) : null
+  });
+
+  const assessment = {
+    summary: input.summary.trim(),
+    lsToSa: direction('ls_to_sa', 'LS_to_SA'),
+    saToLs: direction('sa_to_ls', 'SA_to_LS'),
+    advice: input.advice.trim(),
+    confidence: input.confidence,
+    reply: input.reply?.trim() || null,
+    detector: {
+      available: !!detectorCounts,
+      directionUncertain: !!detectorCounts?.direction_uncertain,
+      total: detectorCounts?.total ?? null,
+      latencyMs: detectorCounts?.latency_ms ?? null,
+      // Raw detector output, kept even when directions are uncertain
+      counts: detectorCounts ? {
+        SA_to_LS: detectorCounts.SA_to_LS ?? null,
+        LS_to_SA: detectorCounts.LS_to_SA ?? null,
+        total: detectorCounts.total ?? null,
+        breakdown: detectorCounts.breakdown || null,
+        backend: detectorCounts.backend || null
+      } : null
+    },
+    waitTime: waitTime,
+    queue: queue,
+    framesUsed: framesUsed
+  };
+
+  // SEVERE comes from the measured queue extent, not the prose
+  if (queue) {
+    const queued = assessment[queue.direction];
+    const rank = status => TRAFFIC_STATUSES.indexOf(status);
+    if (queue.minimumStatus && rank(queued.status) < rank(queue.minimumStatus)) {
+      queued.status = queue.minimumStatus;
+    } else if (queue.severeRuledOut && queued.status === 'SEVERE') {
+      queued.status = 'HEAVY';
+    }
+  }
+
+  return assessment;
+}
+
+// Render an assessment as chat text. Question types that should not show direction
+// boxes use the model's conversational reply; everything else gets the standard format.
+function renderAssessment(assessment, questionType = 'general', language = DEFAULT_LANGUAGE) {
+  const boxStyles = ['general', 'directional'];
+  if (assessment.reply && !boxStyles.includes(questionType)) {
+    return assessment.reply;
+  }
+
+  return `**${t(language, 'trafficLabel')}:** ${assessment.summary}
+
+[LS_TO_SA]
+status: ${assessment.lsToSa.status}
+detail: ${assessment.lsToSa.detail}
+[/LS_TO_SA]
+
+[SA_TO_LS]
+status: ${assessment.saToLs.status}
+detail: ${assessment.saToLs.detail}
+[/SA_TO_LS]
+
+**${t(language, 'adviceLabel')}:** ${assessment.advice}
+
+⚠️ ${t(language, 'disclaimer')}`;
+}
+
 // =============================================
 // SUPABASE HELPER FUNCTIONS
 // =============================================
 
 // Upload frame to Supabase Storage
-async function uploadFrameToStorage(imageBuffer, angleType, timestamp) {
+async function uploadFrameToStorage(post, imageBuffer, angleType, timestamp) {
   if (!supabase) return null;
   
   try {
-    const fileName = `${angleType}/${timestamp}.jpg`;
+    const fileName = `${post.id}/${angleType}/${timestamp}.jpg`;
     
     const { data, error } = await supabase.storage
       .from('frames')
@@ -230,13 +1700,14 @@ async function uploadFrameToStorage(imageBuffer, angleType, timestamp) {
 }
 
 // Log frame to history table (keeps 7 days of history)
-async function logFrameHistory(angleType, framePath, timestamp) {
+async function logFrameHistory(post, angleType, framePath, timestamp) {
   if (!supabase) return;
   
   try {
     const { error } = await supabase
       .from('frame_history')
       .insert({
+        border_post: post.id,
         angle_type: angleType,
         frame_path: framePath,
         timestamp: new Date(timestamp).toISOString()
@@ -251,19 +1722,20 @@ async function logFrameHistory(angleType, framePath, timestamp) {
 }
 
 // Update preserved frame in database
-async function updatePreservedFrame(angleType, framePath, timestamp) {
+async function updatePreservedFrame(post, angleType, framePath, timestamp) {
   if (!supabase) return;
   
   try {
     const { error } = await supabase
       .from('preserved_frames')
       .upsert({
+        border_post: post.id,
         angle_type: angleType,
         frame_path: framePath,
         timestamp: new Date(timestamp).toISOString(),
         updated_at: new Date().toISOString()
       }, {
-        onConflict: 'angle_type'
+        onConflict: 'border_post,angle_type'
       });
     
     if (error) {
@@ -275,83 +1747,49 @@ async function updatePreservedFrame(angleType, framePath, timestamp) {
 }
 
 // Log traffic reading to database
-async function logTrafficReading(analysisResult, framesUsed, responseTimeMs) {
+// `intent` (from classifyIntent) is set for answers to user questions
+async function logTrafficReading(post, assessment, responseTimeMs, intent = null) {
   if (!supabase) {
     console.log('⚠️ Supabase not connected, skipping traffic log');
     return;
   }
   
   try {
-    const message = analysisResult.message || '';
-    
     console.log('📝 Attempting to log traffic reading...');
     
-    // Extract status from direction boxes - multiple regex patterns for flexibility
-    let lsStatus = null, lsDetail = null, saStatus = null, saDetail = null;
-    
-    // Pattern 1: Standard format [LS_TO_SA] status: X detail: Y [/LS_TO_SA]
-    const lsMatch1 = message.match(/\[LS_TO_SA\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/LS_TO_SA\]/i);
-    const saMatch1 = message.match(/\[SA_TO_LS\][\s\S]*?status:\s*(\w+)[\s\S]*?detail:\s*([\s\S]*?)\[\/SA_TO_LS\]/i);
-    
-    if (lsMatch1) {
-      lsStatus = lsMatch1[1];
-      lsDetail = lsMatch1[2];
-    }
-    if (saMatch1) {
-      saStatus = saMatch1[1];
-      saDetail = saMatch1[2];
-    }
-    
-    // Pattern 2: Look for status badges like "LIGHT" after direction headers
-    if (!lsStatus) {
-      const lsAlt = message.match(/Lesotho\s*→\s*South Africa[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
-      if (lsAlt) lsStatus = lsAlt[1];
-    }
-    if (!saStatus) {
-      const saAlt = message.match(/South Africa\s*→\s*Lesotho[^]*?(LIGHT|MODERATE|HEAVY|SEVERE)/i);
-      if (saAlt) saStatus = saAlt[1];
-    }
-    
-    // Extract traffic summary and advice
-    const trafficMatch = message.match(/\*\*Traffic:\*\*\s*([^\n\[]+)/i);
-    const adviceMatch = message.match(/\*\*Advice:\*\*\s*([^\n⚠]+)/i);
-    
-    // For non-standard responses, try to extract a summary
-    let summary = trafficMatch ? trafficMatch[1].trim() : null;
-    if (!summary && message.length > 0) {
-      // Take first sentence as summary for non-standard responses
-      const firstSentence = message.match(/^[^.!?]*[.!?]/);
-      if (firstSentence) {
-        summary = firstSentence[0].trim().substring(0, 200);
-      }
-    }
-    
-    // Normalize status values to match CHECK constraint
-    const normalizeStatus = (status) => {
-      if (!status) return null;
-      const upper = status.toUpperCase().trim();
-      if (['LIGHT', 'MODERATE', 'HEAVY', 'SEVERE'].includes(upper)) {
-        return upper;
-      }
-      return null;
-    };
-    
     const reading = {
       timestamp: new Date().toISOString(),
-      traffic_summary: summary,
-      ls_to_sa_status: normalizeStatus(lsStatus),
-      ls_to_sa_detail: lsDetail ? lsDetail.trim() : null,
-      sa_to_ls_status: normalizeStatus(saStatus),
-      sa_to_ls_detail: saDetail ? saDetail.trim() : null,
-      advice: adviceMatch ? adviceMatch[1].trim() : null,
-      frames_used: framesUsed,
-      angles_available: framesUsed.map(f => f.angleType),
-      response_time_ms: responseTimeMs
+      border_post: post.id,
+      traffic_summary: assessment.summary,
+      ls_to_sa_status: assessment.lsToSa.status,
+      ls_to_sa_detail: assessment.lsToSa.detail,
+      sa_to_ls_status: assessment.saToLs.status,
+      sa_to_ls_detail: assessment.saToLs.detail,
+      ls_to_sa_count: assessment.lsToSa.vehicleCount,
+      sa_to_ls_count: assessment.saToLs.vehicleCount,
+      ls_to_sa_breakdown: assessment.lsToSa.breakdown,
+      sa_to_ls_breakdown: assessment.saToLs.breakdown,
+      vehicle_total: assessment.detector.total,
+      direction_uncertain: assessment.detector.available ? assessment.detector.directionUncertain : null,
+      detector_counts: assessment.detector.counts,
+      detector_latency_ms: assessment.detector.latencyMs,
+      queue_extent: assessment.queue?.extent ?? null,
+      zone_counts: assessment.queue?.zones ?? null,
+      advice: assessment.advice,
+      frames_used: assessment.framesUsed,
+      angles_available: assessment.framesUsed.map(f => f.angleType),
+      response_time_ms: responseTimeMs,
+      question_intent: intent?.intent ?? null,
+      question_language: intent?.language ?? null,
+      question_direction: intent?.direction ?? null,
+      question_location: intent?.location ?? null,
+      question_time_ref: intent ? intent.timeReference : null
     };
     
-    console.log('📊 Parsed reading:', JSON.stringify({
+    console.log('📊 Assessment reading:', JSON.stringify({
       ls_status: reading.ls_to_sa_status,
       sa_status: reading.sa_to_ls_status,
+      confidence: assessment.confidence,
       summary: reading.traffic_summary?.substring(0, 50)
     }));
     
@@ -393,6 +1831,10 @@ async function loadPreservedFramesFromDB() {
     for (const row of data) {
       if (!row.frame_path) continue;
       
+      // Rows written before multi-post support have no border_post
+      const post = BORDER_POSTS[row.border_post || DEFAULT_POST_ID];
+      if (!post || !post.state.preservedFrames.hasOwnProperty(row.angle_type)) continue;
+      
       try {
         // Download from storage
         const { data: fileData, error: downloadError } = await supabase.storage
@@ -400,7 +1842,7 @@ async function loadPreservedFramesFromDB() {
           .download(row.frame_path.replace(/^.*\/frames\//, ''));
         
         if (downloadError || !fileData) {
-          console.log(`⚠️ Could not download ${row.angle_type} frame`);
+          console.log(`⚠️ Could not download ${post.id} ${row.angle_type} frame`);
           continue;
         }
         
@@ -409,38 +1851,49 @@ async function loadPreservedFramesFromDB() {
         const buffer = Buffer.from(arrayBuffer);
         
         // Restore to memory
-        preservedFrames[row.angle_type] = {
+        post.state.preservedFrames[row.angle_type] = {
           screenshot: buffer,
           timestamp: new Date(row.timestamp).getTime(),
           angleType: row.angle_type
         };
         
-        console.log(`✅ Restored ${row.angle_type} frame from database`);
+        console.log(`✅ Restored ${post.id} ${row.angle_type} frame from database`);
       } catch (err) {
-        console.log(`⚠️ Error restoring ${row.angle_type}:`, err.message);
+        console.log(`⚠️ Error restoring ${row.border_post || DEFAULT_POST_ID} ${row.angle_type}:`, err.message);
       }
     }
     
-    const restored = Object.values(preservedFrames).filter(f => f !== null).length;
-    console.log(`📷 Restored ${restored}/3 preserved frames from database`);
+    for (const post of getActivePosts()) {
+      const frames = Object.values(post.state.preservedFrames);
+      const restored = frames.filter(f => f !== null).length;
+      console.log(`📷 Restored ${restored}/${frames.length} ${post.name} preserved frames from database`);
+    }
     
   } catch (err) {
     console.error('❌ Failed to load preserved frames:', err.message);
   }
 }
 
-// Get typical traffic for current time (for predictions)
-async function getTypicalTraffic() {
+const TYPICAL_TRAFFIC_TTL = 30 * 60 * 1000;
+
+// Typical traffic per weekday and hour for a post (for predictions), cached on the post
+async function getTypicalTraffic(post = BORDER_POSTS[DEFAULT_POST_ID]) {
   if (!supabase) return null;
-  
+  const { state } = post;
+  if (state.typicalTraffic && Date.now() - state.typicalTrafficAt < TYPICAL_TRAFFIC_TTL) {
+    return state.typicalTraffic;
+  }
+
   try {
-    const { data, error } = await supabase.rpc('get_typical_traffic');
+    const { data, error } = await supabase.rpc('get_typical_traffic', { p_border_post: post.id });
     
     if (error) {
       console.error('❌ Failed to get typical traffic:', error.message);
       return null;
     }
     
+    state.typicalTraffic = data;
+    state.typicalTrafficAt = Date.now();
     return data;
   } catch (err) {
     console.error('❌ Error getting typical traffic:', err.message);
@@ -452,13 +1905,212 @@ async function getTypicalTraffic() {
 // END SUPABASE HELPER FUNCTIONS
 // =============================================
 
-// Classify frame angle using AI
-async function classifyFrameAngle(imageBuffer) {
-  if (isClassifying) return ANGLE_TYPES.USELESS;
+// =============================================
+// LOCAL ANGLE CLASSIFIER
+// =============================================
+// Each frame is reduced to a fingerprint: a difference hash of an 8x8 brightness
+// grid (layout) plus a 64-bin colour histogram (trees vs tarmac vs canopy roof).
+// A frame takes the angle of its most similar labelled reference frame when the
+// match is strong and clearly ahead of the next angle; otherwise the LLM decides.
+
+const FINGERPRINT_SIZE = 32;                // Frames are decoded to 32x32 RGB for fingerprinting
+const LOCAL_MIN_SIMILARITY = 0.8;
+const LOCAL_MIN_MARGIN = 0.05;              // Lead over the best other angle
+
+// Fingerprint a JPEG: { hash: '0101...', histogram: [64 fractions] }
+async function computeFrameFingerprint(imageBuffer) {
+  const rgb = await decodeFrameRGB(imageBuffer, FINGERPRINT_SIZE);
+  const pixels = FINGERPRINT_SIZE * FINGERPRINT_SIZE;
+  const cellSize = FINGERPRINT_SIZE / 8;
+  const grid = new Array(64).fill(0);
+  const histogram = new Array(64).fill(0);
+
+  for (let i = 0; i < pixels; i++) {
+    const r = rgb[i * 3];
+    const g = rgb[i * 3 + 1];
+    const b = rgb[i * 3 + 2];
+    const x = i % FINGERPRINT_SIZE;
+    const y = Math.floor(i / FINGERPRINT_SIZE);
+    grid[Math.floor(y / cellSize) * 8 + Math.floor(x / cellSize)] += 0.299 * r + 0.587 * g + 0.114 * b;
+    histogram[(r >> 6) * 16 + (g >> 6) * 4 + (b >> 6)]++;
+  }
+
+  // Difference hash: is each grid cell brighter than its right-hand neighbour?
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 7; col++) {
+      hash += grid[row * 8 + col] > grid[row * 8 + col + 1] ? '1' : '0';
+    }
+  }
+
+  return {
+    hash,
+    histogram: histogram.map(count => Math.round(count / pixels * 10000) / 10000)
+  };
+}
+
+// Similarity 0-1: half hash agreement, half histogram intersection
+function fingerprintSimilarity(a, b) {
+  let differing = 0;
+  for (let i = 0; i < a.hash.length; i++) {
+    if (a.hash[i] !== b.hash[i]) differing++;
+  }
+  const hashSimilarity = 1 - differing / a.hash.length;
+  const histogramSimilarity = a.histogram.reduce((sum, value, i) => sum + Math.min(value, b.histogram[i]), 0);
+  return (hashSimilarity + histogramSimilarity) / 2;
+}
+
+// Best-matching angle from the post's reference frames; null when there are no
+// references or the frame can't be decoded
+async function classifyFrameLocally(post, imageBuffer) {
+  const references = post.state.referenceFrames;
+  if (references.length === 0) return null;
+
+  let fingerprint;
+  try {
+    fingerprint = await computeFrameFingerprint(imageBuffer);
+  } catch (err) {
+    console.error('❌ Fingerprint failed:', err.message);
+    return null;
+  }
+
+  const bestByAngle = {};
+  for (const reference of references) {
+    const score = fingerprintSimilarity(fingerprint, reference.fingerprint);
+    if (!(reference.angleType in bestByAngle) || score > bestByAngle[reference.angleType]) {
+      bestByAngle[reference.angleType] = score;
+    }
+  }
+
+  const ranked = Object.entries(bestByAngle).sort((a, b) => b[1] - a[1]);
+  const [angleType, score] = ranked[0];
+  const margin = ranked.length > 1 ? score - ranked[1][1] : null;
+
+  return {
+    angleType,
+    score: Math.round(score * 1000) / 1000,
+    margin: margin === null ? null : Math.round(margin * 1000) / 1000,
+    // A single labelled angle can't tell frames apart, so it never counts as confident
+    confident: margin !== null && score >= LOCAL_MIN_SIMILARITY && margin >= LOCAL_MIN_MARGIN
+  };
+}
+
+// Classify a frame locally, falling back to the LLM when the match is weak
+async function classifyFrameAngle(post, imageBuffer) {
+  const local = await classifyFrameLocally(post, imageBuffer);
+  if (local?.confident) {
+    post.state.classifierStats.local++;
+    console.log(`📷 ${post.name} frame matched ${local.angleType.toUpperCase()} locally (similarity ${local.score}, margin ${local.margin})`);
+    return local.angleType;
+  }
+
+  // Over the daily budget a weak local match is the best guess available
+  if (local && modelBudgetExhausted()) {
+    post.state.classifierStats.local++;
+    return local.angleType;
+  }
+
+  post.state.classifierStats.llm++;
+  return classifyFrameWithLLM(post, imageBuffer);
+}
+
+// Add a labelled reference frame for a post (persisted when Supabase is connected)
+async function addReferenceFrame(post, angleType, imageBuffer) {
+  const fingerprint = await computeFrameFingerprint(imageBuffer);
+  const createdAt = new Date();
+  const reference = {
+    id: `${post.id}-${angleType}-${createdAt.getTime()}`,
+    angleType,
+    fingerprint,
+    framePath: null,
+    createdAt: createdAt.toISOString()
+  };
+
+  if (supabase) {
+    reference.framePath = await uploadFrameToStorage(post, imageBuffer, `reference/${angleType}`, createdAt.getTime());
+    const { data, error } = await supabase
+      .from('angle_reference_frames')
+      .insert({
+        border_post: post.id,
+        angle_type: angleType,
+        frame_path: reference.framePath,
+        fingerprint: fingerprint,
+        created_at: reference.createdAt
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('❌ Failed to save reference frame:', error.message);
+    } else {
+      reference.id = data.id;
+    }
+  }
+
+  post.state.referenceFrames.push(reference);
+  console.log(`🏷️ ${post.name} reference frame added: ${angleType} (${post.state.referenceFrames.length} total)`);
+  return reference;
+}
+
+// Remove a reference frame by id
+async function removeReferenceFrame(post, id) {
+  const index = post.state.referenceFrames.findIndex(r => String(r.id) === String(id));
+  if (index === -1) return false;
+
+  post.state.referenceFrames.splice(index, 1);
+  if (supabase) {
+    const { error } = await supabase.from('angle_reference_frames').delete().eq('id', id);
+    if (error) console.error('❌ Failed to delete reference frame:', error.message);
+  }
+  return true;
+}
+
+// Load reference fingerprints on startup (no image downloads needed)
+async function loadReferenceFramesFromDB() {
+  if (!supabase) return;
+
+  try {
+    const { data, error } = await supabase
+      .from('angle_reference_frames')
+      .select('id, border_post, angle_type, frame_path, fingerprint, created_at');
+
+    if (error) {
+      console.error('❌ Failed to load reference frames:', error.message);
+      return;
+    }
+
+    for (const row of data || []) {
+      const post = BORDER_POSTS[row.border_post];
+      if (!post || !row.fingerprint) continue;
+      post.state.referenceFrames.push({
+        id: row.id,
+        angleType: row.angle_type,
+        fingerprint: row.fingerprint,
+        framePath: row.frame_path,
+        createdAt: row.created_at
+      });
+    }
+    console.log(`🏷️ Loaded ${data?.length || 0} angle reference frames`);
+  } catch (err) {
+    console.error('❌ Reference frame load error:', err.message);
+  }
+}
+
+// Classify frame angle using AI, against the post's own angle taxonomy.
+// One call at a time per post - later frames wait their turn instead of being dropped.
+async function classifyFrameWithLLM(post, imageBuffer) {
+  const previous = post.state.classificationQueue;
+  let release;
+  post.state.classificationQueue = new Promise(resolve => { release = resolve; });
+  await previous;
   
-  isClassifying = true;
+  const angleLines = Object.entries(post.angles)
+    .map(([angleType, angle]) => `- ${angleType.toUpperCase()}: ${angle.description}`)
+    .join('\n');
+
+  post.state.isClassifying = true;
   try {
-    const response = await anthropic.messages.create({
+    const response = await callModel('classification', {
       model: 'claude-haiku-4-5-20251001',
       max_tokens: 50,
       messages: [{
@@ -474,11 +2126,9 @@ async function classifyFrameAngle(imageBuffer) {
           },
           {
             type: 'text',
-            text: `Classify this Maseru Border camera image. Reply with ONLY one word:
+            text: `Classify this ${post.name} border camera image. Reply with ONLY one word:
 
-- BRIDGE: Shows bridge over river with orange/red pillar, vehicles on bridge lanes
-- PROCESSING: Shows green curved roof canopy/shelter, vehicles in processing yard
-- WIDE: Shows Engen petrol station OR Chiefs Fast Foods sign OR road with many vehicles heading to border
+${angleLines}
 - USELESS: Shows mainly trees, bushes, greenery, darkness, sky, or no clear road/vehicles visible
 
 IMPORTANT: If the image is mostly trees/vegetation with no clear infrastructure, answer USELESS.
@@ -487,25 +2137,25 @@ Reply with ONE word only.`
           }
         ],
       }],
-    });
+    }, { post, endpoint: 'capture' });
     
     const result = response.content[0].text.trim().toUpperCase();
-    console.log(`📷 Frame classified as: ${result}`);
+    console.log(`📷 ${post.name} frame classified as: ${result}`);
     
-    if (result.includes('BRIDGE')) return ANGLE_TYPES.BRIDGE;
-    if (result.includes('PROCESSING')) return ANGLE_TYPES.PROCESSING;
-    if (result.includes('WIDE')) return ANGLE_TYPES.WIDE;
-    return ANGLE_TYPES.USELESS;
+    const angleType = Object.keys(post.angles).find(a => result.includes(a.toUpperCase()));
+    return angleType || ANGLE_TYPES.USELESS;
     
   } catch (error) {
     console.error('❌ Classification failed:', error.message);
     return ANGLE_TYPES.USELESS;
   } finally {
-    isClassifying = false;
+    post.state.isClassifying = false;
+    release();
   }
 }
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
 
 // Compression with filter to skip SSE streams
 app.use(compression({
@@ -519,284 +2169,1246 @@ app.use(compression({
 }));
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhooks that sign it (Meta WhatsApp)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook/')) req.rawBody = buf;
+  }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Capture a frame from the HLS stream using ffmpeg
-async function captureFrame() {
-  if (isCapturing) {
-    console.log('⏳ Capture already in progress');
-    return screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null;
+// =============================================
+// ACCESS POLICY
+// =============================================
+// Every route declares who may call it, in one table:
+//   public   - anyone (webhooks check their own signatures)
+//   user     - a signed-in user session (req.user)
+//   admin    - any admin session (req.admin); operator/owner need that role or higher
+// The guard runs before routing, so handlers don't repeat auth middleware. Requests
+// that match no entry are refused, and start() reports routes missing from the table.
+
+const ACCESS_SCOPES = ['public', 'user', 'admin', 'operator', 'owner'];
+
+const ACCESS_POLICY = [
+  // Chat, traffic data and share pages
+  ['GET', '/', 'public'],
+  ['GET', '/status', 'public'],
+  ['GET', '/embed', 'public'],
+  ['GET', '/og.jpg', 'public'],
+  ['GET', '/admin', 'public'],                         // Page only - its API calls need an admin token
+  ['GET', '/api/health', 'public'],
+  ['GET', '/api/posts', 'public'],
+  ['GET', '/api/status', 'public'],
+  ['GET', '/api/screenshot', 'public'],
+  ['GET', '/api/frames', 'public'],
+  ['GET', '/api/wait-time', 'public'],
+  ['GET', '/api/history', 'public'],
+  ['GET', '/api/patterns', 'public'],
+  ['GET', '/api/insights', 'public'],
+  ['POST', '/api/chat', 'public'],
+  ['POST', '/api/chat/stream', 'public'],
+  ['GET', '/api/chat/conversations/:id', 'public'],    // Unguessable id
+  ['POST', '/api/reactions', 'public'],
+  ['POST', '/api/feedback', 'public'],
+  ['POST', '/api/activity/track', 'public'],
+  ['GET', '/api/alerts/push-key', 'public'],
+  ['GET', '/api/alerts/confirm/:token', 'public'],      // Unguessable token from the confirmation email
+
+  // Messaging gateways
+  ['GET', '/webhook/whatsapp', 'public'],
+  ['POST', '/webhook/whatsapp', 'public'],
+  ['POST', '/webhook/ussd', 'public'],
+  ['POST', '/webhook/sms', 'public'],
+
+  // User accounts
+  ['POST', '/api/auth/register', 'public'],
+  ['POST', '/api/auth/login', 'public'],
+  ['POST', '/api/auth/reset/init', 'public'],
+  ['POST', '/api/auth/reset/verify', 'public'],
+  ['POST', '/api/auth/reset/complete', 'public'],
+  ['POST', '/api/auth/reset/email', 'public'],
+  ['POST', '/api/auth/otp/request', 'public'],         // "verify" requires a session inside the handler
+  ['POST', '/api/auth/otp/verify', 'public'],
+  ['GET', '/api/auth/me', 'user'],
+  ['GET', '/api/alerts', 'user'],
+  ['POST', '/api/alerts', 'user'],
+  ['DELETE', '/api/alerts/:id', 'user'],
+  ['GET', '/api/activity/stats', 'user'],
+
+  // Operations and analytics
+  ['POST', '/api/admin/login', 'public'],
+  ['POST', '/api/admin/logout', 'public'],
+  ['GET', '/api/debug', 'admin'],
+  ['GET', '/api/reactions/stats', 'admin'],
+  ['GET', '/api/feedback/stats', 'admin'],
+  ['GET', '/api/admin/stats', 'admin'],
+  ['GET', '/api/admin/model-usage', 'admin'],
+  ['GET', '/api/admin/questions', 'admin'],
+  ['GET', '/api/admin/intent-eval', 'admin'],
+  ['GET', '/api/admin/alerts', 'admin'],
+  ['GET', '/api/admin/access-policy', 'admin'],
+  ['GET', '/api/admin/reference-frames', 'admin'],
+  ['POST', '/api/admin/reference-frames', 'operator'],
+  ['DELETE', '/api/admin/reference-frames/:id', 'operator'],
+  ['GET', '/api/admin/users', 'owner'],
+  ['POST', '/api/admin/users', 'owner'],
+  ['PATCH', '/api/admin/users/:id', 'owner'],
+  ['GET', '/api/admin/audit', 'owner']
+].map(([method, route, scope]) => ({
+  method,
+  route,
+  scope,
+  // "/api/alerts/:id" -> /^\/api\/alerts\/[^/]+\/?$/
+  pattern: new RegExp(`^${route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\/:\w+/g, '/[^/]+')}/?$`)
+}));
+
+// Resolved per request: the admin guards are declared further down
+function accessGuard(scope) {
+  switch (scope) {
+    case 'user': return requireUser;
+    case 'admin': return requireAdmin;
+    case 'operator': return requireOperator;
+    case 'owner': return requireOwner;
+    default: return null;
   }
+}
 
-  isCapturing = true;
-  const outputPath = '/tmp/frame.jpg';
+function findAccessRule(method, requestPath) {
+  const lookup = method === 'HEAD' ? 'GET' : method;
+  return ACCESS_POLICY.find(rule => rule.method === lookup && rule.pattern.test(requestPath)) || null;
+}
 
-  return new Promise((resolve) => {
-    console.log('📸 Capturing frame from HLS stream...');
-    
-    const ffmpeg = spawn('ffmpeg', [
-      '-y',
-      '-i', config.streamUrl,
-      '-vframes', '1',
-      '-q:v', '2',
-      '-vf', 'scale=800:-1',
-      outputPath
-    ], {
-      timeout: 30000,
-    });
+app.use((req, res, next) => {
+  // CORS preflights carry no credentials and never reach a handler
+  if (req.method === 'OPTIONS') return next();
 
-    let stderr = '';
-    
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  const rule = findAccessRule(req.method, req.path);
+  if (!rule) {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  const guard = accessGuard(rule.scope);
+  return guard ? guard(req, res, next) : next();
+});
 
-    ffmpeg.on('close', async (code) => {
-      isCapturing = false;
-      
-      if (code === 0 && fs.existsSync(outputPath)) {
-        try {
-          const imageBuffer = fs.readFileSync(outputPath);
-          const timestamp = Date.now();
-          
-          // Classify the frame angle
-          const angleType = await classifyFrameAngle(imageBuffer);
-          
-          const frameData = {
-            screenshot: imageBuffer,
-            timestamp: timestamp,
-            angleType: angleType
-          };
-          
-          // Add to buffer
-          screenshotBuffer.push(frameData);
-          
-          // Also preserve the latest frame for each useful angle type
-          if (angleType !== 'useless' && preservedFrames.hasOwnProperty(angleType)) {
-            preservedFrames[angleType] = frameData;
-            
-            // Upload to Supabase Storage and update database
-            const framePath = await uploadFrameToStorage(imageBuffer, angleType, timestamp);
-            if (framePath) {
-              await updatePreservedFrame(angleType, framePath, timestamp);
-              await logFrameHistory(angleType, framePath, timestamp);
-            }
-          }
-          
-          // Keep only recent frames in main buffer
-          if (screenshotBuffer.length > config.maxBufferSize) {
-            screenshotBuffer = screenshotBuffer.slice(-config.maxBufferSize);
-          }
-          
-          // Count frames by type
-          const counts = screenshotBuffer.reduce((acc, f) => {
-            acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-            return acc;
-          }, {});
-          
-          console.log(`✅ Frame captured (${angleType}), buffer: ${JSON.stringify(counts)}`);
-          resolve(imageBuffer);
-        } catch (err) {
-          console.error('❌ Failed to read captured frame:', err.message);
-          resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-        }
+// Compare the table with the routes Express actually has: routes without a rule are
+// unreachable (and a sign someone forgot to declare them), rules without a route are stale
+function checkAccessPolicy() {
+  const routes = app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method: method.toUpperCase(), route: layer.route.path })));
+  const declared = rule => `${rule.method} ${rule.route}`;
+  const routeKeys = new Set(routes.map(declared));
+  const policyKeys = new Set(ACCESS_POLICY.map(declared));
+
+  return {
+    undeclared: [...new Set(routes.map(declared).filter(key => !policyKeys.has(key)))],
+    stale: ACCESS_POLICY.map(declared).filter(key => !routeKeys.has(key)),
+    invalid: ACCESS_POLICY.filter(rule => !ACCESS_SCOPES.includes(rule.scope)).map(declared)
+  };
+}
+
+// =============================================
+// HLS INGESTION WORKER
+// =============================================
+// One long-lived worker per post follows the HLS playlist itself, pipes each new
+// MPEG-TS segment into a persistent ffmpeg decoder and keeps the decoded keyframes
+// in a small in-memory ring. Capture and /api/screenshot read from the ring, so
+// nobody waits on an ffmpeg cold start. The worker reconnects with exponential
+// backoff; segment sizes and PROGRAM-DATE-TIME tags give bitrate and latency.
+
+const INGEST_BACKOFF_MIN_MS = 1000;
+const INGEST_BACKOFF_MAX_MS = 60 * 1000;
+const INGEST_STALL_MS = 30 * 1000;          // No new segment for this long = reconnect
+const INGEST_FETCH_TIMEOUT_MS = 15000;
+const INGEST_STATS_WINDOW = 10;             // Segments averaged for bitrate/latency
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parse an HLS playlist into variants (master playlist) or segments (media playlist)
+function parseM3U8(text, baseUrl) {
+  const playlist = { variants: [], segments: [], mediaSequence: 0, targetDuration: 6 };
+  let pending = {};
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const bandwidth = line.match(/BANDWIDTH=(\d+)/);
+      pending = { variant: true, bandwidth: bandwidth ? parseInt(bandwidth[1]) : 0 };
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(line.split(':')[1]) || 6;
+    } else if (line.startsWith('#EXTINF:')) {
+      pending.duration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      const programDateTime = Date.parse(line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length));
+      pending.programDateTime = Number.isNaN(programDateTime) ? null : programDateTime;
+    } else if (!line.startsWith('#')) {
+      const url = new URL(line, baseUrl).toString();
+      if (pending.variant) {
+        playlist.variants.push({ url, bandwidth: pending.bandwidth });
       } else {
-        console.error(`❌ ffmpeg failed with code ${code}`);
-        resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
+        playlist.segments.push({
+          url,
+          duration: pending.duration || 0,
+          programDateTime: pending.programDateTime ?? null,
+          sequence: playlist.mediaSequence + playlist.segments.length
+        });
       }
-    });
-
-    ffmpeg.on('error', (err) => {
-      isCapturing = false;
-      console.error('❌ ffmpeg error:', err.message);
-      resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-    });
+      pending = {};
+    }
+  }
 
-    setTimeout(() => {
-      if (isCapturing) {
-        ffmpeg.kill('SIGKILL');
-        isCapturing = false;
-        console.error('❌ ffmpeg timeout');
-        resolve(screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1].screenshot : null);
-      }
-    }, 25000);
-  });
+  return playlist;
 }
 
-// Get the latest screenshot for display
-function getLatestScreenshot() {
-  if (screenshotBuffer.length > 0) {
-    return screenshotBuffer[screenshotBuffer.length - 1].screenshot;
+async function fetchWithTimeout(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(INGEST_FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${response.status} fetching ${url}`);
   }
-  return null;
+  return response;
 }
 
-async function analyzeTraffic(userQuestion = null) {
-  if (screenshotBuffer.length === 0) {
-    return {
-      success: false,
-      message: "No camera feed available. The stream might be temporarily offline. Please try again in a moment.",
-    };
+// Keep a decoded keyframe if the configured interval has passed since the last one
+function onDecodedFrame(post, jpeg) {
+  const { ingest } = post.state;
+  const now = Date.now();
+  if (ingest.lastFrameAt && now - ingest.lastFrameAt < config.ingestFrameInterval) {
+    ingest.framesDropped++;
+    return;
   }
 
-  const now = Date.now();
-  if (!userQuestion && latestAnalysis && (now - lastAnalysisTime) < config.cacheTimeout) {
-    return latestAnalysis;
+  ingest.lastFrameAt = now;
+  ingest.framesDecoded++;
+  post.state.frameRing.push({ screenshot: jpeg, timestamp: now });
+  if (post.state.frameRing.length > config.ingestRingSize) {
+    post.state.frameRing.shift();
   }
+}
 
-  try {
-    // Filter out useless frames and group by angle type
-    const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS);
-    
-    if (usefulFrames.length === 0 && !preservedFrames.bridge && !preservedFrames.processing && !preservedFrames.wide) {
-      return {
-        success: false,
-        message: "Camera view is currently limited. Please try again in a moment for a better view.",
-      };
-    }
-    
-    // Group frames by angle type
-    const framesByAngle = {};
-    usefulFrames.forEach(frame => {
-      if (!framesByAngle[frame.angleType]) {
-        framesByAngle[frame.angleType] = [];
-      }
-      framesByAngle[frame.angleType].push(frame);
-    });
-    
-    // Get the MOST RECENT frame from EACH useful angle type
-    const framesToUse = [];
-    const anglesUsed = [];
-    
-    // Priority: Bridge first (shows both directions), then others
-    const anglePriority = [ANGLE_TYPES.BRIDGE, ANGLE_TYPES.PROCESSING, ANGLE_TYPES.WIDE];
-    
-    for (const angleType of anglePriority) {
-      if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
-        // Get the most recent frame from this angle
-        const frames = framesByAngle[angleType];
-        framesToUse.push(frames[frames.length - 1]);
-        anglesUsed.push(angleType);
-      } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
-        // Use preserved frame as fallback ONLY if it's fresh
-        framesToUse.push(preservedFrames[angleType]);
-        anglesUsed.push(angleType + ' (preserved)');
+// Long-lived ffmpeg that turns piped MPEG-TS into a stream of JPEG keyframes
+function startDecoder(post) {
+  const { ingest } = post.state;
+  const decoder = spawn('ffmpeg', [
+    '-hide_banner', '-loglevel', 'error',
+    '-skip_frame', 'nokey',
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-vf', 'scale=800:-1',
+    '-q:v', '2',
+    '-f', 'image2pipe', '-c:v', 'mjpeg',
+    'pipe:1'
+  ]);
+
+  // Split the MJPEG byte stream on JPEG start/end markers
+  let pending = Buffer.alloc(0);
+  decoder.stdout.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    let end;
+    while ((end = pending.indexOf(JPEG_EOI)) !== -1) {
+      const start = pending.indexOf(JPEG_SOI);
+      if (start !== -1 && start < end) {
+        onDecodedFrame(post, Buffer.from(pending.subarray(start, end + 2)));
       }
+      pending = pending.subarray(end + 2);
     }
-    
-    // If we have less than 3 frames, add more from the most common angle
-    if (framesToUse.length < 3) {
-      // Find angle with most frames
-      let bestAngle = null;
-      let maxCount = 0;
-      for (const [angle, frames] of Object.entries(framesByAngle)) {
-        if (frames.length > maxCount) {
-          maxCount = frames.length;
-          bestAngle = angle;
-        }
-      }
-      
-      // Add older frames from best angle if needed
-      if (bestAngle && framesByAngle[bestAngle].length > 1) {
-        const additionalFrames = framesByAngle[bestAngle].slice(0, -1); // exclude the one we already added
-        for (const frame of additionalFrames.reverse()) {
-          if (framesToUse.length >= 3) break;
-          if (!framesToUse.includes(frame)) {
-            framesToUse.push(frame);
-          }
-        }
-      }
+  });
+
+  decoder.stderr.on('data', (data) => {
+    ingest.lastDecoderError = data.toString().trim().slice(-200);
+  });
+  decoder.stdin.on('error', () => {});
+  decoder.on('error', (err) => {
+    console.error(`❌ ${post.name} decoder error:`, err.message);
+  });
+  decoder.on('close', (code) => {
+    if (ingest.decoder === decoder) {
+      ingest.decoder = null;
+      console.error(`⚠️ ${post.name} decoder exited with code ${code}, restarting on next segment`);
     }
+  });
 
-    console.log(`🔍 Analyzing ${framesToUse.length} frames from angles: ${anglesUsed.join(', ')}`);
+  return decoder;
+}
 
-    // =============================================
-    // STEP 1: Call YOLO detector for vehicle counts
-    // =============================================
-    // Direction is determined by GEOMETRY, not language inference
-    let detectorCounts = null;
-    
-    // Find the bridge frame and call detector
-    const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
-    if (bridgeFrame) {
-      detectorCounts = await detectVehicles(
-        bridgeFrame.screenshot.toString('base64'),
-        'bridge'
-      );
-    }
-    
-    // Determine traffic levels from detector counts
-    let lsToSaStatus = 'LIGHT';
-    let saToLsStatus = 'LIGHT';
-    let lsToSaCount = 0;
-    let saToLsCount = 0;
-    
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      lsToSaCount = detectorCounts.LS_to_SA;
-      saToLsCount = detectorCounts.SA_to_LS;
-      
-      // Determine status levels
-      if (lsToSaCount <= 3) lsToSaStatus = 'LIGHT';
-      else if (lsToSaCount <= 10) lsToSaStatus = 'MODERATE';
-      else lsToSaStatus = 'HEAVY';
-      
-      if (saToLsCount <= 3) saToLsStatus = 'LIGHT';
-      else if (saToLsCount <= 10) saToLsStatus = 'MODERATE';
-      else saToLsStatus = 'HEAVY';
-      
-      console.log(`📊 Traffic levels - LS→SA: ${lsToSaStatus} (${lsToSaCount}), SA→LS: ${saToLsStatus} (${saToLsCount})`);
-    } else if (detectorCounts?.direction_uncertain) {
-      console.log(`⚠️ Direction uncertain - too many unassigned vehicles`);
-    }
+// Update bitrate/latency stats from a downloaded segment
+function recordSegment(ingest, segment, bytes, fetchMs) {
+  const now = Date.now();
+  ingest.segments++;
+  ingest.bytes += bytes;
+  ingest.lastSegmentAt = now;
+  ingest.recent.push({
+    bytes,
+    duration: segment.duration,
+    fetchMs,
+    // Wall-clock delay between the end of the segment and us having it
+    latencyMs: segment.programDateTime !== null ? now - (segment.programDateTime + segment.duration * 1000) : null
+  });
+  if (ingest.recent.length > INGEST_STATS_WINDOW) {
+    ingest.recent.shift();
+  }
 
-    // =============================================
-    // STEP 2: Build prompt with KNOWN counts
-    // =============================================
-    // Claude generates friendly text - it does NOT infer direction
-    
-    // Extract breakdown if available
-    const breakdown = detectorCounts?.breakdown || {};
-    const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
-    const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
-    
-    const countsInfo = detectorCounts && !detectorCounts.direction_uncertain
-      ? `
-VEHICLE COUNTS (from automated detection - these are ACCURATE):
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• LS→SA (Lesotho to South Africa): ${lsToSaCount} vehicles - ${lsToSaStatus}
-  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
-  
-• SA→LS (South Africa to Lesotho): ${saToLsCount} vehicles - ${saToLsStatus}
-  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
+  const totalDuration = ingest.recent.reduce((sum, s) => sum + s.duration, 0);
+  const totalBytes = ingest.recent.reduce((sum, s) => sum + s.bytes, 0);
+  ingest.bitrateKbps = totalDuration > 0 ? Math.round(totalBytes * 8 / totalDuration / 1000) : null;
+  ingest.segmentFetchMs = Math.round(ingest.recent.reduce((sum, s) => sum + s.fetchMs, 0) / ingest.recent.length);
 
-• Total detected: ${detectorCounts.total}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  const latencies = ingest.recent.filter(s => s.latencyMs !== null).map(s => s.latencyMs);
+  ingest.latencyMs = latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null;
+}
 
-⚠️ IMPORTANT: Use these EXACT counts. Do NOT try to count vehicles yourself.
-The counts above are determined by automated detection and are authoritative.
+// Follow one playlist connection until it errors or stalls
+async function followPlaylist(post) {
+  const { ingest } = post.state;
 
-📌 TRUCK CONTEXT: Trucks take longer to process at border. If trucks are present:
-- Mention truck presence in your response
-- If cars are behind trucks, note they may experience slight delays
+  // Master playlists list quality variants - take the highest bitrate one
+  let mediaUrl = post.streamUrl;
+  const master = parseM3U8(await (await fetchWithTimeout(mediaUrl)).text(), mediaUrl);
+  if (master.variants.length > 0) {
+    mediaUrl = master.variants.reduce((best, v) => v.bandwidth > best.bandwidth ? v : best).url;
+  }
+
+  ingest.status = 'connected';
+  ingest.variantUrl = mediaUrl;
+  ingest.connectedAt = new Date().toISOString();
+  console.log(`📡 ${post.name} ingestion connected: ${mediaUrl}`);
+
+  let lastSequence = null;
+  let lastNewSegmentAt = Date.now();
+
+  for (;;) {
+    const playlist = parseM3U8(await (await fetchWithTimeout(mediaUrl)).text(), mediaUrl);
+    if (playlist.segments.length === 0) {
+      throw new Error('playlist has no segments');
+    }
+
+    // Media sequence went backwards: the encoder restarted, rejoin at the live edge
+    const newest = playlist.segments[playlist.segments.length - 1];
+    if (lastSequence !== null && newest.sequence < lastSequence) {
+      lastSequence = null;
+    }
+
+    // Join at the live edge, then take every segment we haven't seen yet
+    const fresh = lastSequence === null
+      ? [newest]
+      : playlist.segments.filter(s => s.sequence > lastSequence);
+
+    for (const segment of fresh) {
+      const startTime = Date.now();
+      const data = Buffer.from(await (await fetchWithTimeout(segment.url)).arrayBuffer());
+      recordSegment(ingest, segment, data.length, Date.now() - startTime);
+
+      if (!ingest.decoder) {
+        ingest.decoder = startDecoder(post);
+      }
+      ingest.decoder.stdin.write(data);
+      lastSequence = segment.sequence;
+      lastNewSegmentAt = Date.now();
+    }
+
+    ingest.consecutiveErrors = 0;
+    if (Date.now() - lastNewSegmentAt > INGEST_STALL_MS) {
+      throw new Error(`no new segments for ${INGEST_STALL_MS / 1000}s`);
+    }
+
+    await sleep(Math.max(playlist.targetDuration * 500, 1000));
+  }
+}
+
+// Start the ingestion worker for a post; it runs for the life of the process
+function startIngestion(post) {
+  post.state.ingest = {
+    status: 'starting',
+    variantUrl: null,
+    connectedAt: null,
+    lastSegmentAt: null,
+    segments: 0,
+    bytes: 0,
+    bitrateKbps: null,
+    latencyMs: null,
+    segmentFetchMs: null,
+    framesDecoded: 0,
+    framesDropped: 0,
+    lastFrameAt: null,
+    reconnects: 0,
+    consecutiveErrors: 0,
+    lastError: null,
+    lastDecoderError: null,
+    recent: [],
+    decoder: null
+  };
+
+  (async () => {
+    const { ingest } = post.state;
+    for (;;) {
+      try {
+        await followPlaylist(post);
+      } catch (err) {
+        const delay = Math.min(INGEST_BACKOFF_MIN_MS * 2 ** ingest.consecutiveErrors, INGEST_BACKOFF_MAX_MS);
+        ingest.status = 'reconnecting';
+        ingest.reconnects++;
+        ingest.consecutiveErrors++;
+        ingest.lastError = err.message;
+        console.error(`❌ ${post.name} ingestion error: ${err.message} - reconnecting in ${delay / 1000}s`);
+        await sleep(delay);
+      }
+    }
+  })();
+}
+
+// Ingestion stats for /api/debug (null when the worker isn't running) - holds the stream URL
+function getIngestStats(post) {
+  const ingest = post.state.ingest;
+  if (!ingest) return null;
+  return {
+    status: ingest.status,
+    variantUrl: ingest.variantUrl,
+    connectedAt: ingest.connectedAt,
+    lastSegmentAt: ingest.lastSegmentAt ? new Date(ingest.lastSegmentAt).toISOString() : null,
+    segments: ingest.segments,
+    bytes: ingest.bytes,
+    bitrateKbps: ingest.bitrateKbps,
+    latencyMs: ingest.latencyMs,
+    segmentFetchMs: ingest.segmentFetchMs,
+    framesDecoded: ingest.framesDecoded,
+    framesDropped: ingest.framesDropped,
+    ringSize: post.state.frameRing.length,
+    lastFrameAt: ingest.lastFrameAt ? new Date(ingest.lastFrameAt).toISOString() : null,
+    decoderRunning: !!ingest.decoder,
+    reconnects: ingest.reconnects,
+    lastError: ingest.lastError,
+    lastDecoderError: ingest.lastDecoderError
+  };
+}
+
+// Newest ring frame that hasn't been fed into the analysis buffer yet
+function takeIngestedFrame(post) {
+  const state = post.state;
+  const newest = state.frameRing[state.frameRing.length - 1];
+  if (!newest || newest.timestamp <= state.lastIngestedTimestamp) return null;
+  state.lastIngestedTimestamp = newest.timestamp;
+  return newest;
+}
+
+// One-shot ffmpeg grab, used while the ingestion worker has nothing new (or is off).
+// Output goes to stdout so concurrent posts never share a temp file.
+function grabSingleFrame(post) {
+  return new Promise((resolve) => {
+    console.log(`📸 Capturing ${post.name} frame from HLS stream...`);
+
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', post.streamUrl,
+      '-vframes', '1',
+      '-q:v', '2',
+      '-vf', 'scale=800:-1',
+      '-f', 'image2pipe', '-c:v', 'mjpeg',
+      'pipe:1'
+    ]);
+
+    const chunks = [];
+    let finished = false;
+    const finish = (result) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', () => {});
+
+    ffmpeg.on('close', (code) => {
+      const imageBuffer = Buffer.concat(chunks);
+      if (code === 0 && imageBuffer.length > 0) {
+        finish(imageBuffer);
+      } else {
+        console.error(`❌ ffmpeg failed with code ${code}`);
+        finish(null);
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      console.error('❌ ffmpeg error:', err.message);
+      finish(null);
+    });
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      console.error('❌ ffmpeg timeout');
+      finish(null);
+    }, 25000);
+  });
+}
+
+// =============================================
+// FRAME QUALITY
+// =============================================
+// Every captured frame is scored before it is classified. Night/black frames,
+// glare, blur (rain or fog on the lens), obstruction (large featureless areas)
+// and exact repeats of the previous frame are caught here. Unusable frames are
+// kept for status reporting but never classified, preserved or analysed.
+// Repeated duplicates mean the stream has frozen on one picture.
+
+const QUALITY_SAMPLE_SIZE = 64;             // Frames are decoded to 64x64 RGB for scoring
+const QUALITY_MIN_SCORE = 0.4;
+const DARK_BRIGHTNESS = 0.12;               // Mean luma (0-1) below this = night or black frame
+const GLARE_FRACTION = 0.35;                // Share of near-white pixels that means glare/overexposure
+const SHARPNESS_REFERENCE = 150;            // Laplacian variance of a clear daytime frame at 64px
+const BLURRY_SHARPNESS = 0.15;
+const FLAT_CELL_STDDEV = 4;                 // 8x8 cell with less luma spread than this is featureless
+const OBSTRUCTED_FRACTION = 0.6;
+const DUPLICATE_MEAN_DIFF = 0.8;            // Mean absolute luma difference (0-255) of identical frames
+const FROZEN_AFTER_DUPLICATES = 2;          // Consecutive duplicates before the stream counts as frozen
+
+// Score a frame 0-1 and list its problems; null when it can't be decoded
+async function assessFrameQuality(post, imageBuffer) {
+  let rgb;
+  try {
+    rgb = await decodeFrameRGB(imageBuffer, QUALITY_SAMPLE_SIZE);
+  } catch (err) {
+    console.error('❌ Frame quality decode failed:', err.message);
+    return null;
+  }
+
+  const size = QUALITY_SAMPLE_SIZE;
+  const pixels = size * size;
+  const luma = new Float32Array(pixels);
+  let lumaSum = 0;
+  let nearWhite = 0;
+  for (let i = 0; i < pixels; i++) {
+    luma[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    lumaSum += luma[i];
+    if (luma[i] > 245) nearWhite++;
+  }
+  const brightness = lumaSum / pixels / 255;
+  const glare = nearWhite / pixels;
+
+  // Sharpness: variance of the Laplacian
+  let lapSum = 0;
+  let lapSquares = 0;
+  let lapCount = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const laplacian = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - size] - luma[i + size];
+      lapSum += laplacian;
+      lapSquares += laplacian * laplacian;
+      lapCount++;
+    }
+  }
+  const lapMean = lapSum / lapCount;
+  const sharpness = Math.min((lapSquares / lapCount - lapMean * lapMean) / SHARPNESS_REFERENCE, 1);
+
+  // Obstruction: share of 8x8 cells with almost no detail
+  const cell = size / 8;
+  let flatCells = 0;
+  for (let cy = 0; cy < 8; cy++) {
+    for (let cx = 0; cx < 8; cx++) {
+      let sum = 0;
+      let squares = 0;
+      for (let y = cy * cell; y < (cy + 1) * cell; y++) {
+        for (let x = cx * cell; x < (cx + 1) * cell; x++) {
+          sum += luma[y * size + x];
+          squares += luma[y * size + x] ** 2;
+        }
+      }
+      const mean = sum / (cell * cell);
+      if (Math.sqrt(Math.max(squares / (cell * cell) - mean * mean, 0)) < FLAT_CELL_STDDEV) flatCells++;
+    }
+  }
+  const obstruction = flatCells / 64;
+
+  // Duplicate of the previous captured frame
+  const previous = post.state.lastFrameLuma;
+  let duplicate = false;
+  if (previous) {
+    let diff = 0;
+    for (let i = 0; i < pixels; i++) diff += Math.abs(luma[i] - previous[i]);
+    duplicate = diff / pixels < DUPLICATE_MEAN_DIFF;
+  }
+  post.state.lastFrameLuma = luma;
+
+  const issues = [];
+  if (brightness < DARK_BRIGHTNESS) issues.push('dark');
+  if (glare > GLARE_FRACTION) issues.push('glare');
+  if (sharpness < BLURRY_SHARPNESS) issues.push('blurry');
+  // A dark frame is featureless anyway - only call it obstructed in daylight
+  if (obstruction > OBSTRUCTED_FRACTION && brightness >= DARK_BRIGHTNESS) issues.push('obstructed');
+  if (duplicate) issues.push('duplicate');
+
+  // Weakest of exposure, sharpness and clarity
+  const exposure = brightness < 0.25
+    ? Math.max((brightness - 0.05) / 0.2, 0)
+    : Math.max(1 - glare / GLARE_FRACTION * 0.5, 0);
+  const score = duplicate ? 0 : Math.min(exposure, sharpness, 1 - obstruction);
+
+  return {
+    score: Math.round(Math.max(score, 0) * 100) / 100,
+    usable: !duplicate && score >= QUALITY_MIN_SCORE,
+    brightness: Math.round(brightness * 100) / 100,
+    sharpness: Math.round(Math.max(sharpness, 0) * 100) / 100,
+    obstruction: Math.round(obstruction * 100) / 100,
+    duplicate,
+    issues
+  };
+}
+
+// Track consecutive duplicate frames and flip the post's stream_frozen state
+function updateFrozenState(post, quality) {
+  const state = post.state;
+  state.duplicateStreak = quality?.duplicate ? state.duplicateStreak + 1 : 0;
+  const frozen = state.duplicateStreak >= FROZEN_AFTER_DUPLICATES;
+
+  if (frozen && !state.streamFrozen) {
+    console.error(`🧊 ${post.name} stream appears frozen (${state.duplicateStreak + 1} identical frames)`);
+  } else if (!frozen && state.streamFrozen) {
+    console.log(`✅ ${post.name} stream moving again`);
+  }
+  state.streamFrozen = frozen;
+}
+
+// Capture one frame into the buffer. Callers that arrive while a capture is running
+// share its promise instead of starting another ffmpeg grab.
+function captureFrame(post = BORDER_POSTS[DEFAULT_POST_ID]) {
+  const state = post.state;
+  if (!state.captureInFlight) {
+    state.captureInFlight = runCapture(post).finally(() => {
+      state.captureInFlight = null;
+    });
+  }
+  return state.captureInFlight;
+}
+
+async function runCapture(post) {
+  const state = post.state;
+  try {
+    let frame = takeIngestedFrame(post);
+    if (!frame) {
+      // A connected worker with nothing new just means no new keyframe yet
+      if (state.ingest?.status === 'connected' && state.screenshotBuffer.length > 0) {
+        return getLatestScreenshot(post);
+      }
+      const imageBuffer = await grabSingleFrame(post);
+      if (!imageBuffer) return getLatestScreenshot(post);
+      frame = { screenshot: imageBuffer, timestamp: Date.now() };
+    }
+
+    const imageBuffer = frame.screenshot;
+    const timestamp = frame.timestamp;
+    
+    // Score quality first; unusable frames skip classification (and its LLM fallback)
+    const quality = await assessFrameQuality(post, imageBuffer);
+    updateFrozenState(post, quality);
+    const usable = !quality || quality.usable;
+    
+    // Classify the frame angle
+    const angleType = usable ? await classifyFrameAngle(post, imageBuffer) : ANGLE_TYPES.USELESS;
+    if (usable) {
+      recordAngleSample(post, timestamp, angleType);
+    }
+    
+    const frameData = {
+      screenshot: imageBuffer,
+      timestamp: timestamp,
+      angleType: angleType,
+      quality: quality
+    };
+    
+    // Add to buffer
+    state.screenshotBuffer.push(frameData);
+    
+    // Also preserve the latest frame for each useful angle type
+    if (usable && angleType !== 'useless' && state.preservedFrames.hasOwnProperty(angleType)) {
+      state.preservedFrames[angleType] = frameData;
+      
+      // Upload to Supabase Storage and update database
+      const framePath = await uploadFrameToStorage(post, imageBuffer, angleType, timestamp);
+      if (framePath) {
+        await updatePreservedFrame(post, angleType, framePath, timestamp);
+        await logFrameHistory(post, angleType, framePath, timestamp);
+      }
+    }
+    
+    // Keep only recent frames in main buffer
+    if (state.screenshotBuffer.length > config.maxBufferSize) {
+      state.screenshotBuffer = state.screenshotBuffer.slice(-config.maxBufferSize);
+    }
+    
+    // Count frames by type
+    const counts = state.screenshotBuffer.reduce((acc, f) => {
+      acc[f.angleType] = (acc[f.angleType] || 0) + 1;
+      return acc;
+    }, {});
+    
+    if (usable) {
+      console.log(`✅ ${post.name} frame captured (${angleType}${quality ? `, quality ${quality.score}` : ''}), buffer: ${JSON.stringify(counts)}`);
+    } else {
+      console.log(`🚫 ${post.name} frame rejected (quality ${quality.score}: ${quality.issues.join(', ') || 'low score'})`);
+    }
+    return imageBuffer;
+  } catch (err) {
+    console.error('❌ Failed to process captured frame:', err.message);
+    return getLatestScreenshot(post);
+  }
+}
+
+// Get the latest screenshot for display
+function getLatestScreenshot(post = BORDER_POSTS[DEFAULT_POST_ID]) {
+  const latest = getLatestFrame(post);
+  return latest ? latest.screenshot : null;
+}
+
+// =============================================
+// WAIT-TIME ESTIMATION
+// =============================================
+// Turns detector counts into minutes per direction. Each vehicle class costs a
+// number of "car equivalents" of processing time, and the rate at which the
+// border clears car equivalents is learned from how queues drained between
+// consecutive stored readings. The spread of those drain rates gives the band.
+
+const VEHICLE_CLASS_WEIGHTS = { cars: 1, buses: 2.5, trucks: 4 };
+const WAIT_HISTORY_DAYS = 14;
+const WAIT_MODEL_TTL = 15 * 60 * 1000;       // Re-learn throughput every 15 minutes
+const DEFAULT_THROUGHPUT = 1.5;              // Car equivalents cleared per minute until we have history
+const MIN_THROUGHPUT_SAMPLES = 5;
+const CONFIDENT_THROUGHPUT_SAMPLES = 20;
+const MIN_SAMPLE_GAP_MS = 60 * 1000;         // Readings logged seconds apart share the same frames
+const MAX_SAMPLE_GAP_MS = 15 * 60 * 1000;    // Only compare readings taken close together
+
+const DIRECTIONS = [
+  { key: 'lsToSa', countKey: 'LS_to_SA', column: 'ls_to_sa' },
+  { key: 'saToLs', countKey: 'SA_to_LS', column: 'sa_to_ls' }
+];
+
+// Car-equivalent load of one direction; vehicles without a class count as cars
+function carEquivalents(count, breakdown) {
+  const total = count || 0;
+  if (!breakdown) return total;
+
+  const cars = breakdown.cars || 0;
+  const buses = breakdown.buses || 0;
+  const trucks = breakdown.trucks || 0;
+  const unclassified = Math.max(total - cars - buses - trucks, 0);
+  return cars * VEHICLE_CLASS_WEIGHTS.cars +
+    buses * VEHICLE_CLASS_WEIGHTS.buses +
+    trucks * VEHICLE_CLASS_WEIGHTS.trucks +
+    unclassified * VEHICLE_CLASS_WEIGHTS.cars;
+}
+
+// Linear-interpolated quantile of an ascending array
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[Math.min(base + 1, sorted.length - 1)];
+  return sorted[base] + (next - sorted[base]) * (pos - base);
+}
+
+// Learn per-direction throughput (car equivalents per minute) from stored readings
+async function getWaitTimeModel(post) {
+  const cachedModel = post.state.waitTimeModel;
+  if (cachedModel && Date.now() - cachedModel.builtAt < WAIT_MODEL_TTL) {
+    return cachedModel;
+  }
+
+  const samples = { lsToSa: [], saToLs: [] };
+
+  if (supabase) {
+    try {
+      const since = new Date(Date.now() - WAIT_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const { data, error } = await supabase
+        .from('traffic_readings')
+        .select('timestamp, ls_to_sa_count, sa_to_ls_count, ls_to_sa_breakdown, sa_to_ls_breakdown')
+        .eq('border_post', post.id)
+        .gte('timestamp', since)
+        .not('ls_to_sa_count', 'is', null)
+        .order('timestamp', { ascending: true });
+
+      if (error) {
+        console.error('❌ Failed to load wait-time history:', error.message);
+      } else {
+        for (let i = 1; i < (data || []).length; i++) {
+          const prev = data[i - 1];
+          const next = data[i];
+          const gap = new Date(next.timestamp) - new Date(prev.timestamp);
+          if (gap < MIN_SAMPLE_GAP_MS || gap > MAX_SAMPLE_GAP_MS) continue;
+
+          for (const direction of DIRECTIONS) {
+            const before = carEquivalents(prev[`${direction.column}_count`], prev[`${direction.column}_breakdown`]);
+            const after = carEquivalents(next[`${direction.column}_count`], next[`${direction.column}_breakdown`]);
+            // A shrinking queue shows (at least) how fast the border clears vehicles
+            if (before > after) {
+              samples[direction.key].push((before - after) / (gap / 60000));
+            }
+          }
+        }
+      }
+    } catch (err) {
+      console.error('❌ Wait-time history error:', err.message);
+    }
+  }
+
+  const model = { builtAt: Date.now(), directions: {} };
+  for (const direction of DIRECTIONS) {
+    const rates = samples[direction.key].sort((a, b) => a - b);
+    model.directions[direction.key] = rates.length >= MIN_THROUGHPUT_SAMPLES
+      ? { throughput: quantile(rates, 0.5), fast: quantile(rates, 0.75), slow: quantile(rates, 0.25), samples: rates.length }
+      : { throughput: DEFAULT_THROUGHPUT, fast: DEFAULT_THROUGHPUT * 2, slow: DEFAULT_THROUGHPUT / 2, samples: rates.length };
+  }
+
+  post.state.waitTimeModel = model;
+  console.log(`⏱️ ${post.name} wait-time model: LS→SA ${model.directions.lsToSa.throughput.toFixed(2)}/min (${model.directions.lsToSa.samples} samples), SA→LS ${model.directions.saToLs.throughput.toFixed(2)}/min (${model.directions.saToLs.samples} samples)`);
+  return model;
+}
+
+// Estimate crossing minutes per direction (with a low-high band) from detector counts.
+// Returns null when counts are missing or the detector couldn't assign directions.
+async function estimateWaitTimes(post, detectorCounts) {
+  if (!detectorCounts || detectorCounts.direction_uncertain) return null;
+
+  const model = await getWaitTimeModel(post);
+  const breakdown = detectorCounts.breakdown || {};
+  const estimate = {};
+
+  for (const direction of DIRECTIONS) {
+    const load = carEquivalents(detectorCounts[direction.countKey], breakdown[direction.countKey]);
+    const rate = model.directions[direction.key];
+
+    let confidence = 'low';
+    if (rate.samples >= CONFIDENT_THROUGHPUT_SAMPLES) confidence = 'high';
+    else if (rate.samples >= MIN_THROUGHPUT_SAMPLES) confidence = 'medium';
+
+    estimate[direction.key] = {
+      minutes: Math.round(load / rate.throughput),
+      low: Math.floor(load / rate.fast),
+      high: Math.ceil(load / rate.slow),
+      confidence: confidence,
+      vehicles: detectorCounts[direction.countKey] || 0,
+      carEquivalents: Math.round(load * 10) / 10,
+      throughputPerMin: Math.round(rate.throughput * 100) / 100,
+      samples: rate.samples
+    };
+  }
+
+  return estimate;
+}
+
+// =============================================
+// CONVERSATION SESSIONS
+// =============================================
+// Chat channels pass a conversationId so follow-ups ("what about the other
+// direction?", "and in an hour?") resolve against earlier turns. The last few
+// turns are kept verbatim; older ones are folded into a short model-written
+// summary once the history grows past the limit. Sessions live in memory and
+// expire after a period of inactivity.
+
+const CONVERSATION_TTL = 2 * 60 * 60 * 1000;    // Idle sessions expire after 2 hours
+const MAX_CONVERSATIONS = 5000;
+const MAX_RECENT_TURNS = 6;                     // Verbatim turns kept (3 exchanges)
+const TURN_TEXT_LIMIT = 300;                    // Characters of each turn kept for the prompt
+
+const conversations = new Map();
+
+const FOLLOW_UP_PATTERN = /^(and|but|so|then|also|what about|how about|what if|ok(ay)?|same)\b|\b(in an? (hour|bit|while)|later|instead|that side|that way)\b|^(en|maar|wat van|en as)\b|\b(netnou|eerder)\b|^('?me|empa|hape|ho thoe'?ng ka)\b|\bhamorao\b/;
+// Words that point back at the last answer ("is that still the case?", "and those trucks?")
+const REFERENCE_PATTERN = /\b(that|those|them|still)\b|\b(daardie|nog steeds)\b/;
+const OTHER_DIRECTION_PATTERN = /\b(other|opposite) (direction|way|side|lane)\b|\bthe other one\b|\breturn trip\b|\bcoming back\b|\bander(e)? (kant|rigting)\b|\bterugreis\b|\blehlakore le leng\b|\bha ke khutla\b/;
+
+const DIRECTION_LABELS = {
+  lsToSa: 'LS→SA (Lesotho to South Africa)',
+  saToLs: 'SA→LS (South Africa to Lesotho)'
+};
+
+// Fetch a live conversation for this post, or start a new one
+function getConversation(conversationId, post) {
+  const existing = conversationId ? conversations.get(conversationId) : null;
+  if (existing && existing.postId === post.id && Date.now() - existing.updatedAt < CONVERSATION_TTL) {
+    return existing;
+  }
+
+  if (conversations.size >= MAX_CONVERSATIONS) {
+    // Maps iterate in insertion order - drop the oldest session
+    conversations.delete(conversations.keys().next().value);
+  }
+
+  const conversation = {
+    id: crypto.randomUUID(),
+    postId: post.id,
+    turns: [],
+    summary: null,
+    context: { language: null, direction: null, intent: null, location: null },
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    summarizing: false
+  };
+  conversations.set(conversation.id, conversation);
+  return conversation;
+}
+
+// Whether a message asks something of its own rather than just naming a place or time
+function asksOwnQuestion(text) {
+  return ['info', 'goodTime', 'waitTime', 'queue', 'visual', 'status'].some(name => INTENT_PATTERNS[name].test(text));
+}
+
+// Resolve a question against the conversation: follow-ups inherit the earlier
+// direction, place and intent; "the other direction" flips it. Short messages
+// with no language of their own ("ok", "and now?") keep the conversation's language.
+// A follow-up needs a cue - "and", "what about", a pronoun, or a bare direction or
+// place ("to SA?") - and no question of its own that already names a direction or
+// time. Short standalone questions ("is it busy?") are answered (and cached) as new.
+function resolveFollowUp(conversation, question, language = null) {
+  const text = normalizeQuestion(question);
+  const previous = conversation.context;
+  const hasHistory = conversation.turns.length > 0 || !!conversation.summary;
+  const asksOtherDirection = OTHER_DIRECTION_PATTERN.test(text);
+
+  const intent = classifyIntent(question, language || detectLanguage(text) || previous.language);
+  const ownQuestion = asksOwnQuestion(text);
+  const bareEntity = !ownQuestion && !!(intent.direction || intent.location);
+  const hasCue = FOLLOW_UP_PATTERN.test(text) || REFERENCE_PATTERN.test(text) || bareEntity;
+  const selfContained = ownQuestion && (!!intent.direction || intent.timeReference.kind !== 'now');
+  const isFollowUp = hasHistory && (asksOtherDirection || (hasCue && !selfContained));
+  if (!isFollowUp) {
+    return { intent, questionType: intent.answerStyle, direction: intent.direction, isFollowUp };
+  }
+
+  let direction = intent.direction;
+  if (asksOtherDirection && previous.direction) {
+    direction = previous.direction === 'lsToSa' ? 'saToLs' : 'lsToSa';
+  } else if (!direction) {
+    direction = previous.direction;
+  }
+
+  // "and in an hour?" asks the earlier question again, only the entities change
+  const resolvedIntent = intent.intent === 'status' && previous.intent ? previous.intent : intent.intent;
+  const location = intent.location || previous.location;
+  const resolved = {
+    ...intent,
+    intent: resolvedIntent,
+    direction,
+    location,
+    answerStyle: answerStyleFor(resolvedIntent, direction, location, intent.timeReference, text),
+    cacheKey: null
+  };
+
+  return { intent: resolved, questionType: resolved.answerStyle, direction, isFollowUp };
+}
+
+// Compact text of an answer for the history - the assessment, not the rendered boxes
+function describeAnswer(analysis) {
+  const assessment = analysis.assessment;
+  if (!assessment) return analysis.message;
+  return assessment.reply ||
+    `${assessment.summary} LS→SA ${assessment.lsToSa.status}, SA→LS ${assessment.saToLs.status}. ${assessment.advice}`;
+}
+
+// Append an exchange and fold older turns into the summary when over the limit
+function recordTurn(conversation, question, analysis, turn) {
+  const now = Date.now();
+  conversation.turns.push(
+    { role: 'user', text: question.slice(0, TURN_TEXT_LIMIT), timestamp: now },
+    { role: 'assistant', text: describeAnswer(analysis).slice(0, TURN_TEXT_LIMIT), timestamp: now }
+  );
+  // Small talk ("ok thanks") doesn't replace the intent a follow-up should inherit
+  const smallTalk = turn.questionType === 'offtopic';
+  conversation.context = {
+    language: turn.intent.language,
+    direction: turn.direction || conversation.context.direction,
+    intent: smallTalk ? conversation.context.intent : turn.intent.intent,
+    location: smallTalk ? conversation.context.location : turn.intent.location
+  };
+  conversation.updatedAt = now;
+
+  if (conversation.turns.length > MAX_RECENT_TURNS && !conversation.summarizing) {
+    summarizeOlderTurns(conversation);
+  }
+}
+
+// Replace turns beyond the verbatim window with a short summary (runs after the reply is sent)
+async function summarizeOlderTurns(conversation) {
+  const older = conversation.turns.slice(0, conversation.turns.length - MAX_RECENT_TURNS);
+  if (older.length === 0) return;
+
+  conversation.summarizing = true;
+  const transcript = older.map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.text}`).join('\n');
+
+  let summary;
+  try {
+    const response = await callModel('summary', {
+      model: 'claude-haiku-4-5-20251001',
+      max_tokens: 150,
+      messages: [{
+        role: 'user',
+        content: `Summarise this border traffic chat in at most 2 short sentences. Keep which direction and times the user cares about.
+${conversation.summary ? `\nEarlier summary: ${conversation.summary}\n` : ''}
+${transcript}`
+      }]
+    }, { post: BORDER_POSTS[conversation.postId], endpoint: 'conversation' });
+    summary = response.content[0].text.trim();
+  } catch (error) {
+    // Fall back to the user's own questions so the context isn't lost
+    console.error('❌ Conversation summary failed:', error.message);
+    summary = [conversation.summary, ...older.filter(t => t.role === 'user').map(t => `Asked: ${t.text}`)]
+      .filter(Boolean).join(' ').slice(-TURN_TEXT_LIMIT * 2);
+  }
+
+  conversation.summary = summary;
+  conversation.turns = conversation.turns.slice(older.length);
+  conversation.summarizing = false;
+}
+
+// Conversation context block for the user prompt (empty for a first question)
+function buildConversationContext(conversation, turn) {
+  if (!conversation || (conversation.turns.length === 0 && !conversation.summary)) return '';
+
+  const lines = conversation.turns.map(t => `${t.role === 'user' ? 'User' : 'You'}: ${t.text}`);
+  return `
+CONVERSATION SO FAR:
+${conversation.summary ? `Earlier: ${conversation.summary}\n` : ''}${lines.join('\n')}
+${turn.isFollowUp ? `\nThis question is a FOLLOW-UP to the conversation above.${turn.direction ? ` The user is asking about ${DIRECTION_LABELS[turn.direction]}.` : ''}` : ''}
+`;
+}
+
+// Drop idle sessions
+setInterval(() => {
+  const cutoff = Date.now() - CONVERSATION_TTL;
+  for (const [id, conversation] of conversations) {
+    if (conversation.updatedAt < cutoff) conversations.delete(id);
+  }
+}, 10 * 60 * 1000).unref();
+
+// =============================================
+// ANALYSIS ENGINE
+// =============================================
+// One pipeline for every chat channel: frame selection, detector counts, prompt
+// building, question typing and the model call. Channels that want progress as
+// it happens (SSE) pass a sink; everyone else just awaits the result.
+
+// Map a detector vehicle count to a traffic level
+function statusFromCount(count) {
+  if (count <= 3) return 'LIGHT';
+  if (count <= 10) return 'MODERATE';
+  return 'HEAVY';
+}
+
+// Pick frames for analysis: the most recent frame from EACH useful angle (falling back
+// to fresh preserved frames), topped up with older frames from the best-covered angle
+function selectAnalysisFrames(post) {
+  const { screenshotBuffer, preservedFrames } = post.state;
+
+  // Filter out useless and low-quality frames and group by angle type
+  const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS && f.quality?.usable !== false);
+  const framesByAngle = {};
+  usefulFrames.forEach(frame => {
+    if (!framesByAngle[frame.angleType]) {
+      framesByAngle[frame.angleType] = [];
+    }
+    framesByAngle[frame.angleType].push(frame);
+  });
+  
+  const framesToUse = [];
+  const anglesUsed = [];
+  
+  // Priority follows the post's angle order (Maseru: bridge first, it shows both directions)
+  for (const angleType of Object.keys(post.angles)) {
+    if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
+      // Get the most recent frame from this angle
+      const frames = framesByAngle[angleType];
+      framesToUse.push(frames[frames.length - 1]);
+      anglesUsed.push(angleType);
+    } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
+      // Use preserved frame as fallback ONLY if it's fresh
+      framesToUse.push(preservedFrames[angleType]);
+      anglesUsed.push(angleType + ' (preserved)');
+    }
+  }
+  
+  // If we have less than 3 frames, add more from the most common angle
+  if (framesToUse.length < config.analysisFrames) {
+    // Find angle with most frames
+    let bestAngle = null;
+    let maxCount = 0;
+    for (const [angle, frames] of Object.entries(framesByAngle)) {
+      if (frames.length > maxCount) {
+        maxCount = frames.length;
+        bestAngle = angle;
+      }
+    }
+    
+    // Add older frames from best angle if needed
+    if (bestAngle && framesByAngle[bestAngle].length > 1) {
+      const additionalFrames = framesByAngle[bestAngle].slice(0, -1); // exclude the one we already added
+      for (const frame of additionalFrames.reverse()) {
+        if (framesToUse.length >= config.analysisFrames) break;
+        if (!framesToUse.includes(frame)) {
+          framesToUse.push(frame);
+        }
+      }
+    }
+  }
+
+  return { framesToUse, anglesUsed };
+}
+
+// Call the YOLO detector on the bridge frame, if the post's bridge view is calibrated.
+// Direction is determined by GEOMETRY, not language inference
+async function runDetector(post, framesToUse) {
+  const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
+  const detectorView = post.angles[ANGLE_TYPES.BRIDGE]?.detectorView;
+  if (!bridgeFrame || !detectorView) return null;
+
+  const detectorCounts = await detectVehicles(
+    bridgeFrame.screenshot.toString('base64'),
+    detectorView
+  );
+  
+  if (detectorCounts) {
+    post.state.latestDetection = { counts: detectorCounts, frameTimestamp: bridgeFrame.timestamp, timestamp: Date.now() };
+  }
+  
+  if (detectorCounts && !detectorCounts.direction_uncertain) {
+    console.log(`📊 Traffic levels - LS→SA: ${statusFromCount(detectorCounts.LS_to_SA)} (${detectorCounts.LS_to_SA}), SA→LS: ${statusFromCount(detectorCounts.SA_to_LS)} (${detectorCounts.SA_to_LS})`);
+  } else if (detectorCounts?.direction_uncertain) {
+    console.log(`⚠️ Direction uncertain - too many unassigned vehicles`);
+  }
+
+  return detectorCounts;
+}
+
+// Run the detector on the post's other queue zones (yard, approach road) for vehicle totals
+async function runZoneDetection(post, framesToUse) {
+  const zones = (post.queue?.zones || []).filter(zone => zone.angle !== ANGLE_TYPES.BRIDGE);
+
+  const results = await Promise.all(zones.map(async zone => {
+    const frame = framesToUse.find(f => f.angleType === zone.angle);
+    const detectorView = post.angles[zone.angle]?.detectorView;
+    if (!frame || !detectorView) return [zone.angle, null];
+
+    const counts = await detectVehicles(frame.screenshot.toString('base64'), detectorView);
+    return [zone.angle, counts ? {
+      total: counts.total ?? 0,
+      frameTimestamp: frame.timestamp,
+      backend: counts.backend
+    } : null];
+  }));
+
+  return Object.fromEntries(results);
+}
+
+// Combine bridge and zone counts into how far the queue reaches. Zones without data
+// stop the walk (incomplete), so a missing frame never inflates the extent.
+function estimateQueueExtent(post, detectorCounts, zoneCounts) {
+  if (!post.queue) return null;
+
+  const direction = DIRECTIONS.find(d => d.key === post.queue.direction);
+  const vehicles = {};
+  for (const zone of post.queue.zones) {
+    if (zone.angle === ANGLE_TYPES.BRIDGE) {
+      if (!detectorCounts) vehicles[zone.angle] = null;
+      else vehicles[zone.angle] = detectorCounts.direction_uncertain ? detectorCounts.total : detectorCounts[direction.countKey];
+    } else {
+      vehicles[zone.angle] = zoneCounts[zone.angle]?.total ?? null;
+    }
+  }
+
+  if (Object.values(vehicles).every(count => count === null || count === undefined)) return null;
+
+  let reached = null;
+  let incomplete = false;
+  for (const zone of post.queue.zones) {
+    const count = vehicles[zone.angle];
+    if (count === null || count === undefined) {
+      incomplete = true;
+      break;
+    }
+    if (count < zone.minVehicles) break;
+    reached = zone;
+  }
+
+  const lastZone = post.queue.zones[post.queue.zones.length - 1];
+  return {
+    direction: post.queue.direction,
+    extent: reached ? reached.extent : 'none',
+    label: reached ? reached.label : 'no queue',
+    minimumStatus: reached?.minimumStatus || null,
+    // Every zone up to the end was measured and the queue stops short of the last one
+    severeRuledOut: !incomplete && reached !== lastZone,
+    incomplete: incomplete,
+    zones: vehicles
+  };
+}
+
+// Build the system prompt with KNOWN counts.
+// Claude generates friendly text - it does NOT infer direction
+function buildSystemPrompt(post, detectorCounts, waitTime = null, queue = null, language = DEFAULT_LANGUAGE) {
+  // Extract breakdown if available
+  const breakdown = detectorCounts?.breakdown || {};
+  const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
+  const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
+  
+  const countsInfo = detectorCounts && !detectorCounts.direction_uncertain
+    ? `
+VEHICLE COUNTS (from automated detection - these are ACCURATE):
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+• LS→SA (Lesotho to South Africa): ${detectorCounts.LS_to_SA} vehicles - ${statusFromCount(detectorCounts.LS_to_SA)}
+  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
+  
+• SA→LS (South Africa to Lesotho): ${detectorCounts.SA_to_LS} vehicles - ${statusFromCount(detectorCounts.SA_to_LS)}
+  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
+
+• Total detected: ${detectorCounts.total}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+⚠️ IMPORTANT: Use these EXACT counts. Do NOT try to count vehicles yourself.
+The counts above are determined by automated detection and are authoritative.
+
+📌 TRUCK CONTEXT: Trucks take longer to process at border. If trucks are present:
+- Mention truck presence in your response
+- If cars are behind trucks, note they may experience slight delays
 - Example: "3 cars waiting behind a truck being processed"
-`
-      : `
+${waitTime ? `
+ESTIMATED WAIT (from recent border throughput):
+• LS→SA: about ${waitTime.lsToSa.minutes} min (range ${waitTime.lsToSa.low}-${waitTime.lsToSa.high} min)
+• SA→LS: about ${waitTime.saToLs.minutes} min (range ${waitTime.saToLs.low}-${waitTime.saToLs.high} min)
+
+📌 Mention the estimated wait in each direction's detail, e.g. "About 8 vehicles, roughly 10 min wait."
+` : ''}`
+    : `
 ⚠️ Automated vehicle detection unavailable. Use your visual assessment.
 Use the camera images to estimate traffic in each direction.
 `;
 
-    const systemPrompt = `You are a friendly traffic assistant for Maseru Bridge border crossing between Lesotho and South Africa.
+  const queueDirectionLabel = queue?.direction === 'lsToSa' ? 'LS→SA' : 'SA→LS';
+  let queueRule = '';
+  if (queue?.minimumStatus) {
+    queueRule = `📌 ${queueDirectionLabel} status must be at least ${queue.minimumStatus}.`;
+  } else if (queue?.severeRuledOut) {
+    queueRule = `📌 ${queueDirectionLabel} is NOT SEVERE - the queue does not reach ${post.severeLandmark}.`;
+  }
+  const queueInfo = queue
+    ? `
+QUEUE EXTENT (${queueDirectionLabel}, from automated detection): ${queue.label}${queue.incomplete ? ' (some views unavailable)' : ''}
+Vehicles per zone: ${Object.entries(queue.zones).map(([angle, count]) => `${post.angles[angle]?.label || angle} ${count ?? 'n/a'}`).join(', ')}
+${queueRule}
+`
+    : '';
+  const languageInfo = LANGUAGE_PROMPTS[language] ? `\n\n${LANGUAGE_PROMPTS[language]}` : '';
 
-${countsInfo}
+  return `You are a friendly traffic assistant for ${post.promptContext}.
 
+${countsInfo}
+${queueInfo}
 ═══════════════════════════════════════════════════════════════
 TRAFFIC LEVELS:
 ═══════════════════════════════════════════════════════════════
 • LIGHT: 0-3 vehicles
 • MODERATE: 4-10 vehicles  
 • HEAVY: 10+ vehicles
-• SEVERE: Backed up to Engen/approach road
+• SEVERE: Backed up to ${post.severeLandmark}
 
 ═══════════════════════════════════════════════════════════════
 LANGUAGE RULES - EXTREMELY IMPORTANT:
@@ -823,17 +3435,17 @@ RESPONSE STYLES BY QUESTION TYPE:
 ═══════════════════════════════════════════════════════════════
 
 **OFF-TOPIC QUESTIONS** (weather, jokes, news, general knowledge, greetings, etc.):
-→ ⚠️ DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS] format!
+→ ⚠️ Put your answer in reply - it is shown INSTEAD of the direction boxes!
 → Keep response to 1-2 sentences MAX
 → Be friendly, acknowledge their question briefly
 → Mention what you CAN see from camera if relevant
-→ Include current status as just a word (LIGHT/MODERATE/HEAVY), not boxes
+→ Include current status in reply as just a word (LIGHT/MODERATE/HEAVY)
 → Examples (follow these exactly):
   - "Tell me a joke" → "I'm better at traffic updates than comedy! 😄 Traffic is LIGHT right now - great time to cross!"
   - "How's the weather?" → "Can't check forecasts, but I see wet roads in the camera. Traffic is LIGHT though!"
-  - "Hi/Hello" → "Hi there! 👋 Traffic at Maseru Bridge is LIGHT right now. How can I help with your crossing?"
+  - "Hi/Hello" → "Hi there! 👋 Traffic at ${post.name} is LIGHT right now. How can I help with your crossing?"
   - "Thanks/Bye" → "Safe travels! 🚗 Traffic is LIGHT if you're heading out now."
-  - "Who are you?" → "I'm your Maseru Bridge traffic assistant! I monitor the border crossing 24/7. Traffic is LIGHT right now."
+  - "Who are you?" → "I'm your ${post.name} traffic assistant! I monitor the border crossing 24/7. Traffic is LIGHT right now."
 
 **DIRECTION-SPECIFIC** ("I'm going from LS to SA"):
 → Show both directions BUT personalize advice to THEIR direction
@@ -841,42 +3453,31 @@ RESPONSE STYLES BY QUESTION TYPE:
 
 **YES/NO QUESTIONS** ("Is there a queue at Engen?"):
 → Answer directly: "No, no queue at Engen right now. The approach road is clear."
-→ Don't use direction boxes format
+→ Answer in reply, not direction boxes
 
 **VISUAL QUESTIONS** ("How does the bridge look?"):
 → Simple description: "The bridge looks quiet - just a couple of vehicles, no queues visible."
-→ Don't use direction boxes format
+→ Answer in reply, not direction boxes
 
 **TIME QUESTIONS** ("What time should I cross?"):
 → Current: "Right now traffic is light."
 → Tips: "Generally, early mornings (6-8 AM) are quieter. Avoid month-end and holidays."
 → End: "Check back before you travel for real-time conditions!"
+→ Asked about a later time ("in an hour", "tomorrow")? Say you can only see NOW, then give the tips
+→ Answer in reply, not direction boxes
+
+**WAIT-TIME QUESTIONS** ("How long will it take to cross?"):
+→ Lead with the ESTIMATED WAIT for their direction (both if they didn't say): "About 20-35 min heading to SA."
+→ No estimate available? Describe the queue instead and say you can't give minutes
+→ Answer in reply, not direction boxes
 
 **GENERAL/DEFAULT** ("How's traffic?", "Current status?"):
-→ Use standard format with BOTH direction boxes (see below)
+→ No reply - the direction boxes are built from your assessment
 
 **BORDER INFO** ("What are the hours?"):
 → "Border operates 6 AM to 10 PM daily. Check official sources to confirm."
 
-═══════════════════════════════════════════════════════════════
-STANDARD FORMAT (for general traffic questions):
-═══════════════════════════════════════════════════════════════
-
-**Traffic:** [One simple sentence]
-
-[LS_TO_SA]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Simple - e.g., "Only 2 vehicles, no queue." or "About 8 vehicles waiting."]
-[/LS_TO_SA]
-
-[SA_TO_LS]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Simple - e.g., "Clear with minimal traffic." or "Steady flow, short wait expected."]
-[/SA_TO_LS]
-
-**Advice:** [Practical, personalized if direction mentioned]
-
-⚠️ AI estimate from camera snapshots. Conditions change quickly.
+${ASSESSMENT_FORMAT_PROMPT}
 
 ═══════════════════════════════════════════════════════════════
 REMEMBER:
@@ -885,161 +3486,253 @@ REMEMBER:
 2. Keep details SHORT and SIMPLE
 3. If they mention their direction, focus advice on THEIR journey
 4. NEVER use technical camera terminology
-5. ALWAYS show both directions in standard format
-6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully`;
-
-
-    // Detect question type for better responses
-    const questionLower = userQuestion ? userQuestion.toLowerCase() : '';
-    let questionType = 'general';
-    
-    // Check for off-topic questions first
-    const offTopicKeywords = [
-      'weather', 'rain', 'sunny', 'cold', 'hot', 'temperature',
-      'joke', 'funny', 'laugh',
-      'news', 'president', 'politics', 'election',
-      'sport', 'soccer', 'football', 'rugby', 'cricket',
-      'food', 'restaurant', 'eat',
-      'movie', 'music', 'song',
-      'hello', 'hi ', 'hey ', 'how are you', 'what\'s up', 'whats up',
-      'who are you', 'your name', 'what can you do',
-      'thank', 'thanks', 'bye', 'goodbye'
-    ];
-    
-    const trafficKeywords = [
-      'traffic', 'queue', 'border', 'crossing', 'bridge', 'vehicle', 'car', 'truck',
-      'wait', 'busy', 'congestion', 'flow', 'backed', 'clear', 'status',
-      'lesotho', 'south africa', 'maseru', 'ls', 'sa', 'ficksburg'
-    ];
-    
-    const hasOffTopicWord = offTopicKeywords.some(word => questionLower.includes(word));
-    const hasTrafficWord = trafficKeywords.some(word => questionLower.includes(word));
-    
-    // If has off-topic keywords but NO traffic keywords, it's off-topic
-    if (hasOffTopicWord && !hasTrafficWord) {
-      questionType = 'offtopic';
-    } else if (questionLower.includes('from ls') || questionLower.includes('from lesotho') || 
-        questionLower.includes('to sa') || questionLower.includes('to south africa') ||
-        questionLower.includes('from sa') || questionLower.includes('from south africa') ||
-        questionLower.includes('to ls') || questionLower.includes('to lesotho') ||
-        questionLower.includes('going to') || questionLower.includes('coming from') ||
-        questionLower.includes('heading to')) {
-      questionType = 'directional';
-    } else if (questionLower.includes('is there') || questionLower.includes('are there') ||
-               questionLower.includes('any ') || questionLower.includes('is it ') ||
-               questionLower.match(/^(is|are|do|does|can|will)\b/)) {
-      questionType = 'yesno';
-    } else if (questionLower.includes('look') || questionLower.includes('see') ||
-               questionLower.includes('show') || questionLower.includes('what can')) {
-      questionType = 'visual';
-    } else if (questionLower.includes('time') || questionLower.includes('when') ||
-               questionLower.includes('best') || questionLower.includes('should i')) {
-      questionType = 'timing';
-    } else if (questionLower.includes('hour') || questionLower.includes('open') ||
-               questionLower.includes('close')) {
-      questionType = 'info';
-    }
-
-
-    // Build content array with multiple images
-    const content = [];
-    
-    framesToUse.forEach((frame, i) => {
-      content.push({
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: 'image/jpeg',
-          data: frame.screenshot.toString('base64'),
-        },
-      });
-    });
+5. ALWAYS report both directions in the assessment
+6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully${languageInfo}`;
+}
 
-    let userPrompt;
-    if (!userQuestion) {
-      userPrompt = `Analyze these camera snapshots from Maseru Bridge border crossing. Give a brief, structured assessment using the standard format with both direction boxes.`;
-    } else if (questionType === 'offtopic') {
-      userPrompt = `Question type: OFF-TOPIC
+function buildUserPrompt(post, userQuestion, intent, turn = null) {
+  const questionType = intent.answerStyle;
+  let userPrompt;
+  if (!userQuestion) {
+    userPrompt = `Analyze these camera snapshots from ${post.name} border crossing. Report a brief assessment of both directions. Do not include a reply.`;
+  } else if (questionType === 'offtopic') {
+    userPrompt = `Question type: OFF-TOPIC
 User's question: "${userQuestion}"
 
-⚠️ IMPORTANT: This is an off-topic question. DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS].
+⚠️ IMPORTANT: This is an off-topic question. Put your answer in reply - no direction boxes will be shown.
 Give a SHORT 1-2 sentence friendly response. Acknowledge their question, mention what you can see from the camera if relevant, and include current traffic status as just a word (LIGHT/MODERATE/HEAVY).
 Example format: "I'm better at traffic than jokes! 😄 Traffic is LIGHT right now - great time to cross!"`;
-    } else {
-      userPrompt = `Question type: ${questionType.toUpperCase()}
+  } else {
+    userPrompt = `Question type: ${questionType.toUpperCase()}
 User's question: "${userQuestion}"
-
+${describeIntent(intent)}
 Respond appropriately for this question type. Be helpful and conversational.`;
+  }
+
+  if (userQuestion && intent.language !== DEFAULT_LANGUAGE) {
+    userPrompt += `\n\nAnswer in ${LANGUAGE_NAMES[intent.language]}.`;
+  }
+
+  if (userQuestion && turn) {
+    userPrompt = buildConversationContext(turn.conversation, turn) + userPrompt;
+  }
+
+  return userPrompt;
+}
+
+// Build content array with multiple images followed by the user prompt
+function buildAnalysisContent(framesToUse, userPrompt) {
+  const content = framesToUse.map(frame => ({
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: 'image/jpeg',
+      data: frame.screenshot.toString('base64'),
+    },
+  }));
+
+  content.push({
+    type: 'text',
+    text: userPrompt
+  });
+
+  return content;
+}
+
+// Serve a cached answer for common question categories, for any chat channel
+function getCachedAnswer(post, question, language = null, endpoint = 'chat') {
+  const intent = classifyIntent(question, language);
+  const cached = getCachedResponse(post, intent.cacheKey);
+  if (!cached) return null;
+  recordCacheHit(post, endpoint, intent.intent);
+
+  return {
+    success: true,
+    message: cached.response.message,
+    assessment: cached.response.assessment,
+    frameTimestamp: cached.frameTimestamp,
+    cached: true,
+    cacheAge: Math.round((Date.now() - cached.timestamp) / 1000)
+  };
+}
+
+// Answer without the model once the daily budget is spent: the newest cached reading, else a template
+function budgetFallback(post, intent, sink = null) {
+  currentSpend().degraded++;
+  const reading = latestCachedAssessment(post);
+  if (!reading) {
+    return { success: false, error: 'budget_exceeded', message: t(intent.language, 'budgetPaused') };
+  }
+
+  const minutes = Math.max(1, Math.round((Date.now() - reading.timestamp) / 60000));
+  const message = `${t(intent.language, 'budgetCached', { minutes })}\n\n${renderAssessment(reading.assessment, 'general', intent.language)}`;
+  sink?.text(message);
+  return {
+    success: true,
+    message,
+    assessment: reading.assessment,
+    timestamp: new Date(reading.timestamp).toISOString(),
+    cached: true,
+    degraded: 'budget',
+    cacheAge: Math.round((Date.now() - reading.timestamp) / 1000)
+  };
+}
+
+// Analyse a border post's buffered frames and answer `userQuestion` (or give a general status).
+// `sink` is an optional streaming output for channels like SSE:
+//   sink.meta({ frameTimestamp })  once frames have been selected
+//   sink.delta(field, text)        as the model writes summary, advice or reply (new text only)
+//   sink.text(text)                when the rendered answer is available
+// Without a sink the model is called synchronously; the result is identical either way.
+// `turn` ({ conversation, intent, questionType, direction, isFollowUp }) comes from resolveFollowUp
+// for conversational channels; follow-up answers depend on history, so they are not cached.
+// `endpoint` labels the model call's telemetry row.
+async function analyzeTraffic(post, userQuestion = null, sink = null, turn = null, endpoint = sink ? 'chat_stream' : userQuestion ? 'chat' : 'status') {
+  const state = post.state;
+  const intent = turn?.intent || classifyIntent(userQuestion);
+  if (frameFreshness(post).stale) {
+    return {
+      success: false,
+      message: t(intent.language, 'noFeed'),
+    };
+  }
+
+  const now = Date.now();
+  if (!userQuestion && state.latestAnalysis && (now - state.lastAnalysisTime) < config.cacheTimeout) {
+    return state.latestAnalysis;
+  }
+  if (modelBudgetExhausted()) {
+    return budgetFallback(post, intent, sink);
+  }
+
+  try {
+    const { framesToUse, anglesUsed } = selectAnalysisFrames(post);
+    
+    if (framesToUse.length === 0) {
+      return {
+        success: false,
+        message: t(intent.language, 'viewLimited'),
+      };
     }
 
-    content.push({
-      type: 'text',
-      text: userPrompt
-    });
+    // Get timestamp of most recent frame
+    const latestFrame = framesToUse[framesToUse.length - 1];
+    sink?.meta({ frameTimestamp: latestFrame.timestamp });
+
+    console.log(`🔍 Analyzing ${framesToUse.length} ${post.name} frames from angles: ${anglesUsed.join(', ')}`);
+
+    const [detectorCounts, zoneCounts] = await Promise.all([
+      runDetector(post, framesToUse),
+      runZoneDetection(post, framesToUse)
+    ]);
+    const queue = estimateQueueExtent(post, detectorCounts, zoneCounts);
+    if (queue) {
+      console.log(`🚗 ${post.name} queue extent: ${queue.label}${queue.incomplete ? ' (incomplete)' : ''}`);
+    }
+    const waitTime = await estimateWaitTimes(post, detectorCounts);
 
-    const response = await anthropic.messages.create({
+    const request = {
       model: 'claude-haiku-4-5-20251001',
       max_tokens: 1024,
-      system: systemPrompt,
+      system: buildSystemPrompt(post, detectorCounts, waitTime, queue, intent.language),
+      tools: [ASSESSMENT_TOOL],
+      tool_choice: { type: 'tool', name: ASSESSMENT_TOOL.name },
       messages: [
         {
           role: 'user',
-          content: content,
+          content: buildAnalysisContent(framesToUse, buildUserPrompt(post, userQuestion, intent, turn)),
         },
       ],
-    });
+    };
 
-    // Get timestamp of most recent frame
-    const latestFrame = framesToUse[framesToUse.length - 1];
+    // The assessment arrives as tool input JSON: its prose fields are passed on as they grow,
+    // but statuses can still be corrected, so only the final render is authoritative
+    const streamed = {};
+    const response = await callModel('analysis', request, {
+      stream: Boolean(sink),
+      onInput: sink && (json => {
+        for (const field of STREAMED_ASSESSMENT_FIELDS) {
+          const value = partialJsonString(json, field);
+          if (value === null || value.length <= (streamed[field] || 0)) continue;
+          sink.delta(field, value.slice(streamed[field] || 0));
+          streamed[field] = value.length;
+        }
+      }),
+      post,
+      endpoint,
+      category: userQuestion ? intent.intent : null
+    });
     
     // Calculate response time
     const responseTime = Date.now() - now;
 
+    const assessment = buildAssessment(
+      response,
+      detectorCounts,
+      framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
+      waitTime,
+      queue
+    );
+    const message = renderAssessment(assessment, intent.answerStyle, intent.language);
+    sink?.text(message);
+
     const analysis = {
       success: true,
-      message: response.content[0].text,
+      message: message,
+      assessment: assessment,
       timestamp: new Date().toISOString(),
       frameTimestamp: latestFrame.timestamp,
       framesAnalyzed: framesToUse.length,
       cached: false,
     };
 
-    // Cache only automatic analyses
     if (!userQuestion) {
-      latestAnalysis = analysis;
-      lastAnalysisTime = now;
+      // Cache automatic analyses
+      state.latestAnalysis = analysis;
+      state.lastAnalysisTime = now;
+    } else if (!turn?.isFollowUp) {
+      // Cache the response for future similar questions
+      cacheResponse(post, intent.cacheKey, { message, assessment }, latestFrame.timestamp);
     }
     
     // Log ALL traffic readings to database (both automatic and user questions)
-    logTrafficReading(
-      analysis, 
-      framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
-      responseTime
-    );
+    logTrafficReading(post, assessment, responseTime, userQuestion ? intent : null);
+    evaluateAlerts(post, assessment);
 
     return analysis;
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return budgetFallback(post, intent, sink);
+    }
+    if (error instanceof AssessmentError) {
+      console.error(`❌ ${error.message}:`, error.errors.join('; '));
+      return {
+        success: false,
+        error: 'invalid_assessment',
+        message: t(intent.language, 'invalidAssessment'),
+      };
+    }
     console.error('❌ Analysis failed:', error.message);
     return {
       success: false,
-      message: `Analysis temporarily unavailable: ${error.message}`,
+      message: t(intent.language, 'analysisUnavailable', { error: error.message }),
     };
   }
 }
 
 // API Routes
-app.get('/api/status', async (req, res) => {
+app.get('/api/status', optionalUser, rateLimit('capture'), resolvePost, async (req, res) => {
   try {
-    await captureFrame();
-    const analysis = await analyzeTraffic();
-    res.json(analysis);
+    refreshIfStale(req.post);
+    const analysis = await analyzeTraffic(req.post);
+    res.json({ ...analysis, freshness: frameFreshness(req.post, analysis.frameTimestamp) });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to get traffic status' });
   }
 });
 
 // Insights API - Get traffic analytics from Supabase
-app.get('/api/insights', async (req, res) => {
+app.get('/api/insights', resolvePost, async (req, res) => {
   try {
     if (!supabase) {
       return res.json({ success: false, message: 'Database not connected' });
@@ -1054,6 +3747,7 @@ app.get('/api/insights', async (req, res) => {
     const { data: recentReadings, error: recentError } = await supabase
       .from('traffic_readings')
       .select('*')
+      .eq('border_post', req.post.id)
       .gte('timestamp', oneDayAgo)
       .order('timestamp', { ascending: true });
 
@@ -1066,6 +3760,7 @@ app.get('/api/insights', async (req, res) => {
     const { data: weeklyReadings, error: weeklyError } = await supabase
       .from('traffic_readings')
       .select('*')
+      .eq('border_post', req.post.id)
       .gte('timestamp', oneWeekAgo);
 
     if (weeklyError) {
@@ -1213,54 +3908,67 @@ app.get('/api/insights', async (req, res) => {
   }
 });
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', optionalUser, rateLimit('chat'), resolvePost, async (req, res) => {
+  // Explicit ?lang= / body.lang wins; otherwise the language is detected from the message
+  const requestedLanguage = resolveLanguage(req.body?.lang || req.query.lang);
   try {
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
     
     if (!message) {
-      return res.status(400).json({ success: false, message: 'Please provide a message' });
+      return res.status(400).json({ success: false, message: t(requestedLanguage, 'noMessage') });
+    }
+
+    const conversation = getConversation(conversationId, req.post);
+    const turn = { conversation, ...resolveFollowUp(conversation, message, requestedLanguage) };
+
+    // Check cache for common questions (follow-ups need the conversation, so never cached)
+    const cachedAnswer = turn.isFollowUp ? null : getCachedAnswer(req.post, message, turn.intent.language);
+    refreshIfStale(req.post);
+    if (cachedAnswer) {
+      recordTurn(conversation, message, cachedAnswer, turn);
+      return res.json({ ...cachedAnswer, freshness: frameFreshness(req.post, cachedAnswer.frameTimestamp), conversationId: conversation.id });
     }
 
-    await captureFrame();
-    const analysis = await analyzeTraffic(message);
-    res.json(analysis);
+    const analysis = await analyzeTraffic(req.post, message, null, turn);
+    if (analysis.success) {
+      recordTurn(conversation, message, analysis, turn);
+    }
+    res.json({ ...analysis, freshness: frameFreshness(req.post, analysis.frameTimestamp), conversationId: conversation.id });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to process your question' });
+    res.status(500).json({ success: false, message: t(requestedLanguage, 'chatFailed') });
   }
 });
 
 // Streaming chat endpoint for faster perceived response
-app.post('/api/chat/stream', async (req, res) => {
+app.post('/api/chat/stream', optionalUser, rateLimit('chat'), resolvePost, async (req, res) => {
+  // Explicit ?lang= / body.lang wins; otherwise the language is detected from the message
+  const requestedLanguage = resolveLanguage(req.body?.lang || req.query.lang);
   try {
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
     
     if (!message) {
-      return res.status(400).json({ success: false, message: 'Please provide a message' });
+      return res.status(400).json({ success: false, message: t(requestedLanguage, 'noMessage') });
     }
 
-    // Check cache for common questions
-    const questionCategory = categorizeQuestion(message);
-    const cached = getCachedResponse(questionCategory);
-    
-    if (cached) {
+    const conversation = getConversation(conversationId, req.post);
+    const turn = { conversation, ...resolveFollowUp(conversation, message, requestedLanguage) };
+
+    // Check cache for common questions (follow-ups need the conversation, so never cached)
+    const cachedAnswer = turn.isFollowUp ? null : getCachedAnswer(req.post, message, turn.intent.language, 'chat_stream');
+    refreshIfStale(req.post);
+    if (cachedAnswer) {
       // Return cached response as instant JSON (no streaming needed)
-      return res.json({
-        success: true,
-        message: cached.response,
-        frameTimestamp: cached.frameTimestamp,
-        cached: true,
-        cacheAge: Math.round((Date.now() - cached.timestamp) / 1000)
-      });
+      recordTurn(conversation, message, cachedAnswer, turn);
+      return res.json({ ...cachedAnswer, freshness: frameFreshness(req.post, cachedAnswer.frameTimestamp), conversationId: conversation.id });
     }
 
-    // Capture frame first
-    await captureFrame();
-    
-    // Check if we have frames
-    if (screenshotBuffer.length === 0) {
+    // Nothing recent enough in the buffer to answer from
+    if (frameFreshness(req.post).stale) {
       return res.json({
         success: false,
-        message: "No camera feed available. Please try again in a moment."
+        message: t(turn.intent.language, 'noFeed'),
+        freshness: frameFreshness(req.post),
+        conversationId: conversation.id
       });
     }
 
@@ -1271,312 +3979,584 @@ app.post('/api/chat/stream', async (req, res) => {
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
     res.flushHeaders(); // Send headers immediately to establish connection
     
-    // Prepare frames (same logic as analyzeTraffic)
-    const usefulFrames = screenshotBuffer.filter(f => f.angleType !== ANGLE_TYPES.USELESS);
-    const framesByAngle = {};
-    usefulFrames.forEach(frame => {
-      if (!framesByAngle[frame.angleType]) {
-        framesByAngle[frame.angleType] = [];
-      }
-      framesByAngle[frame.angleType].push(frame);
-    });
-    
-    const framesToUse = [];
-    const anglePriority = [ANGLE_TYPES.BRIDGE, ANGLE_TYPES.PROCESSING, ANGLE_TYPES.WIDE];
-    
-    for (const angleType of anglePriority) {
-      if (framesByAngle[angleType] && framesByAngle[angleType].length > 0) {
-        const frames = framesByAngle[angleType];
-        framesToUse.push(frames[frames.length - 1]);
-      } else if (preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
-        framesToUse.push(preservedFrames[angleType]);
-      }
+    res.write(`data: ${JSON.stringify({ type: 'start', conversationId: conversation.id })}\n\n`);
+
+    const analysis = await analyzeTraffic(req.post, message, {
+      meta: ({ frameTimestamp }) => res.write(`data: ${JSON.stringify({ type: 'meta', frameTimestamp, freshness: frameFreshness(req.post, frameTimestamp) })}\n\n`),
+      delta: (field, text) => res.write(`data: ${JSON.stringify({ type: 'delta', field, text })}\n\n`),
+      text: (text) => res.write(`data: ${JSON.stringify({ type: 'text', text: text })}\n\n`),
+    }, turn);
+
+    if (analysis.success) {
+      recordTurn(conversation, message, analysis, turn);
+      // Send done signal
+      res.write(`data: ${JSON.stringify({ type: 'done', fullText: analysis.message, assessment: analysis.assessment })}\n\n`);
+    } else {
+      res.write(`data: ${JSON.stringify({ type: 'error', message: analysis.message })}\n\n`);
     }
+    res.write('data: [DONE]\n\n');
+    res.end();
     
-    if (framesToUse.length === 0) {
-      res.write(`data: ${JSON.stringify({ type: 'error', message: 'No camera view available' })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      return res.end();
-    }
-
-    // Send frame timestamp first
-    const latestFrame = framesToUse[framesToUse.length - 1];
-    res.write(`data: ${JSON.stringify({ type: 'start' })}\n\n`);
-    res.write(`data: ${JSON.stringify({ type: 'meta', frameTimestamp: latestFrame.timestamp })}\n\n`);
-
-    // =============================================
-    // STEP 1: Call YOLO detector for vehicle counts
-    // =============================================
-    let detectorCounts = null;
-    const bridgeFrame = framesToUse.find(f => f.angleType === ANGLE_TYPES.BRIDGE);
-    if (bridgeFrame) {
-      detectorCounts = await detectVehicles(
-        bridgeFrame.screenshot.toString('base64'),
-        'bridge'
-      );
-    }
-    
-    // Determine traffic levels from detector counts
-    let lsToSaStatus = 'LIGHT';
-    let saToLsStatus = 'LIGHT';
-    let lsToSaCount = 0;
-    let saToLsCount = 0;
-    
-    if (detectorCounts && !detectorCounts.direction_uncertain) {
-      lsToSaCount = detectorCounts.LS_to_SA;
-      saToLsCount = detectorCounts.SA_to_LS;
-      
-      if (lsToSaCount <= 3) lsToSaStatus = 'LIGHT';
-      else if (lsToSaCount <= 10) lsToSaStatus = 'MODERATE';
-      else lsToSaStatus = 'HEAVY';
-      
-      if (saToLsCount <= 3) saToLsStatus = 'LIGHT';
-      else if (saToLsCount <= 10) saToLsStatus = 'MODERATE';
-      else saToLsStatus = 'HEAVY';
-    }
-
-    // Extract breakdown if available
-    const breakdown = detectorCounts?.breakdown || {};
-    const lsToSaBreakdown = breakdown.LS_to_SA || { cars: 0, trucks: 0, buses: 0 };
-    const saToLsBreakdown = breakdown.SA_to_LS || { cars: 0, trucks: 0, buses: 0 };
-
-    // Build counts info for prompt
-    const countsInfo = detectorCounts && !detectorCounts.direction_uncertain
-      ? `
-VEHICLE COUNTS (from automated detection - these are ACCURATE):
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-• LS→SA (Lesotho to South Africa): ${lsToSaCount} vehicles - ${lsToSaStatus}
-  Breakdown: ${lsToSaBreakdown.cars} cars, ${lsToSaBreakdown.trucks} trucks, ${lsToSaBreakdown.buses} buses
-  
-• SA→LS (South Africa to Lesotho): ${saToLsCount} vehicles - ${saToLsStatus}
-  Breakdown: ${saToLsBreakdown.cars} cars, ${saToLsBreakdown.trucks} trucks, ${saToLsBreakdown.buses} buses
-
-• Total detected: ${detectorCounts.total}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  } catch (error) {
+    console.error('Streaming error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', message: t(requestedLanguage, 'chatFailed') })}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+});
 
-⚠️ IMPORTANT: Use these EXACT counts. Do NOT try to count vehicles yourself.
+// Conversation history (summary + recent turns) for a conversationId
+app.get('/api/chat/conversations/:id', (req, res) => {
+  const conversation = conversations.get(req.params.id);
+  if (!conversation || Date.now() - conversation.updatedAt >= CONVERSATION_TTL) {
+    return res.status(404).json({ success: false, message: 'Conversation not found or expired' });
+  }
 
-📌 TRUCK CONTEXT: Trucks take longer to process at border. If trucks are present:
-- Mention truck presence in your response
-- If cars are behind trucks, note they may experience slight delays
-`
-      : `
-⚠️ Automated vehicle detection unavailable. Use your visual assessment.
-`;
+  res.json({
+    success: true,
+    conversationId: conversation.id,
+    post: conversation.postId,
+    summary: conversation.summary,
+    context: conversation.context,
+    turns: conversation.turns.map(t => ({ ...t, timestamp: new Date(t.timestamp).toISOString() }))
+  });
+});
 
-    // Build system prompt with detector counts
-    const systemPrompt = `You are a friendly traffic assistant for Maseru Bridge border crossing between Lesotho and South Africa.
+// =============================================
+// WHATSAPP WEBHOOK
+// =============================================
+// One endpoint for both Twilio (form-encoded, answered with TwiML) and the Meta
+// Cloud API (JSON, answered through the Graph API). Messages go through the same
+// intent/cache/analysis path as /api/chat; each sender number keeps a conversation
+// so follow-ups work, and is matched to traffic_users by phone_full.
 
-${countsInfo}
+const WHATSAPP_TEXT_LIMIT = 1500;                   // Twilio caps a message at 1600 chars
+const WHATSAPP_USER_CACHE_MS = 10 * 60 * 1000;
+const WHATSAPP_SEEN_IDS = 500;                      // Meta retries deliveries - remember recent ids
 
-═══════════════════════════════════════════════════════════════
-TRAFFIC LEVELS:
-═══════════════════════════════════════════════════════════════
-• LIGHT: 0-3 vehicles
-• MODERATE: 4-10 vehicles  
-• HEAVY: 10+ vehicles
-• SEVERE: Backed up to Engen/approach road
+const whatsappConversations = new Map();            // phone -> conversationId
+const whatsappUsers = new Map();                    // phone -> { user, fetchedAt }
+const seenWhatsAppMessages = new Set();
 
-═══════════════════════════════════════════════════════════════
-LANGUAGE RULES - EXTREMELY IMPORTANT:
-═══════════════════════════════════════════════════════════════
+async function hmacDigest(hash, secret, data, encoding) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, typeof data === 'string' ? encoder.encode(data) : data);
+  return Buffer.from(signature).toString(encoding);
+}
 
-❌ NEVER SAY (technical jargon):
-- "left side", "right side"
-- "orange pole", "wall area", "wall side"  
-- "green roof", "shelter structures", "canopy"
-- "Lesotho approach", "SA approach"
-- "processing area", "processing yard"
-- "Image 1", "Bridge view", "Canopy view"
-- "automated detection", "detector", "YOLO"
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  if (left.length !== right.length) return false;
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) diff |= left[i] ^ right[i];
+  return diff === 0;
+}
 
-✅ INSTEAD SAY (user-friendly):
-- "2-3 vehicles heading to SA"
-- "No queue forming"
-- "Bridge is clear"
-- "Light traffic in both directions"
-- "About 5 vehicles waiting"
+// Twilio signs the full webhook URL followed by every POST param (sorted) as key+value
+async function verifyTwilioSignature(req) {
+  if (!config.twilioAuthToken) return false;
+  const base = config.publicUrl || `${req.protocol}://${req.get('host')}`;
+  const payload = Object.keys(req.body).sort().reduce((acc, key) => acc + key + req.body[key], base + req.originalUrl);
+  const expected = await hmacDigest('SHA-1', config.twilioAuthToken, payload, 'base64');
+  return safeEqual(expected, req.get('X-Twilio-Signature'));
+}
 
-═══════════════════════════════════════════════════════════════
-RESPONSE STYLES BY QUESTION TYPE:
-═══════════════════════════════════════════════════════════════
+// Meta signs the raw request body with the app secret
+async function verifyMetaSignature(req) {
+  if (!config.whatsappAppSecret || !req.rawBody) return false;
+  const expected = `sha256=${await hmacDigest('SHA-256', config.whatsappAppSecret, req.rawBody, 'hex')}`;
+  return safeEqual(expected, req.get('X-Hub-Signature-256'));
+}
 
-**OFF-TOPIC QUESTIONS** (weather, jokes, news, general knowledge, greetings, etc.):
-→ ⚠️ DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS] format!
-→ Keep response to 1-2 sentences MAX
-→ Be friendly, acknowledge their question briefly
-→ Mention what you CAN see from camera if relevant
-→ Include current status as just a word (LIGHT/MODERATE/HEAVY), not boxes
+// The registered user behind a WhatsApp number, if any (cached briefly). Only verified
+// numbers are linked - anyone can type a number into the sign-up form.
+async function findUserByPhone(phoneFull) {
+  if (!supabase || !phoneFull) return null;
+  const cached = whatsappUsers.get(phoneFull);
+  if (cached && Date.now() - cached.fetchedAt < WHATSAPP_USER_CACHE_MS) return cached.user;
 
-**DIRECTION-SPECIFIC** ("I'm going from LS to SA"):
-→ Show both directions BUT personalize advice to THEIR direction
+  try {
+    const { data: user } = await supabase
+      .from('traffic_users')
+      .select('id, name, preferences')
+      .eq('phone_full', phoneFull)
+      .not('phone_verified_at', 'is', null)
+      .maybeSingle();
+    whatsappUsers.set(phoneFull, { user: user || null, fetchedAt: Date.now() });
+    return user || null;
+  } catch (err) {
+    console.error('❌ WhatsApp user lookup failed:', err.message);
+    return null;
+  }
+}
 
-**YES/NO QUESTIONS** ("Is there a queue at Engen?"):
-→ Answer directly, don't use direction boxes format
+// A message naming another monitored post ("ficksburg bridge?") switches to it. Bare town
+// names stay as destinations - "traffic to ficksburg" is a direction, not a post.
+function postFromMessage(text, fallback) {
+  const lower = text.toLowerCase();
+  return getActivePosts().find(post =>
+    lower.includes(post.name.toLowerCase()) || new RegExp(`\\b${post.id}\\s+(bridge|border|gate|post)\\b`).test(lower)
+  ) || fallback;
+}
 
-**VISUAL QUESTIONS** ("How does the bridge look?"):
-→ Simple description, don't use direction boxes format
+// Direction boxes as a few WhatsApp lines (*bold*), plus the wait estimate when known
+function renderCompactAssessment(assessment, post, intent) {
+  const { language } = intent;
+  const direction = (label, key) => {
+    const reading = assessment[key];
+    const wait = assessment.waitTime?.[key];
+    const waitText = wait ? ` (~${wait.low}-${wait.high} min)` : '';
+    return `${STATUS_EMOJI[reading.status]} *${label}: ${t(language, `statusWords.${reading.status}`)}*${waitText} - ${reading.detail}`;
+  };
 
-**TIME QUESTIONS** ("What time should I cross?"):
-→ Current status + tips about best times
+  const lines = [`🌉 *${post.name}*`];
+  if (assessment.reply && !['general', 'directional'].includes(intent.answerStyle)) {
+    lines.push(assessment.reply);
+  } else {
+    lines.push(
+      assessment.summary,
+      direction('LS→SA', 'lsToSa'),
+      direction('SA→LS', 'saToLs'),
+      `💡 ${assessment.advice}`
+    );
+  }
+  return lines.join('\n').slice(0, WHATSAPP_TEXT_LIMIT);
+}
 
-**GENERAL/DEFAULT** ("How's traffic?", "Current status?"):
-→ Use standard format with BOTH direction boxes
+// Answer one inbound WhatsApp message: { text, mediaUrl }
+async function answerWhatsAppMessage(phoneFull, text) {
+  const user = await findUserByPhone(phoneFull);
+  const preferredLanguage = resolveLanguage(user?.preferences?.language);
 
-**BORDER INFO** ("What are the hours?"):
-→ "Border operates 6 AM to 10 PM daily. Check official sources to confirm."
+  if (!text) {
+    return { text: t(preferredLanguage, 'whatsapp.help'), mediaUrl: null };
+  }
+  const retryAfter = takeRateToken('chat', 'phone', phoneFull);
+  if (retryAfter > 0) {
+    return { text: t(preferredLanguage, 'rateLimited', { seconds: retryAfter }), mediaUrl: null };
+  }
 
-═══════════════════════════════════════════════════════════════
-STANDARD FORMAT (for general traffic questions):
-═══════════════════════════════════════════════════════════════
+  const previousId = whatsappConversations.get(phoneFull);
+  const previousPost = previousId && conversations.get(previousId)
+    ? BORDER_POSTS[conversations.get(previousId).postId]
+    : BORDER_POSTS[DEFAULT_POST_ID];
+  const post = postFromMessage(text, previousPost);
+
+  const conversation = getConversation(previousId, post);
+  conversation.userId = user?.id || null;
+  whatsappConversations.set(phoneFull, conversation.id);
+
+  const turn = { conversation, ...resolveFollowUp(conversation, text, preferredLanguage) };
+  refreshIfStale(post);
+  let analysis = turn.isFollowUp ? null : getCachedAnswer(post, text, turn.intent.language, 'whatsapp');
+  if (!analysis) {
+    analysis = await analyzeTraffic(post, text, null, turn, 'whatsapp');
+  }
+  if (!analysis.success) {
+    return { text: analysis.message, mediaUrl: null };
+  }
+  recordTurn(conversation, text, analysis, turn);
 
-**Traffic:** [One simple sentence]
+  // The camera frame goes along with "how does it look?" questions, or always when configured
+  const wantsFrame = config.whatsappAttachFrame || turn.intent.intent === 'visual';
+  const param = postParam(post);
+  const mediaUrl = wantsFrame && config.publicUrl
+    ? `${config.publicUrl}/og.jpg?t=${Math.floor(Date.now() / 60000)}${param ? `&${param}` : ''}`
+    : null;
 
-[LS_TO_SA]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Simple - e.g., "Only 2 vehicles, no queue." or "About 8 vehicles waiting."]
-[/LS_TO_SA]
+  return { text: renderCompactAssessment(analysis.assessment, post, turn.intent), mediaUrl };
+}
 
-[SA_TO_LS]
-status: [LIGHT/MODERATE/HEAVY/SEVERE]
-detail: [Simple - e.g., "Clear with minimal traffic." or "Steady flow, short wait expected."]
-[/SA_TO_LS]
+async function sendMetaWhatsApp(phoneNumberId, to, payload) {
+  const response = await fetch(`https://graph.facebook.com/v20.0/${phoneNumberId}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${config.whatsappToken}`
+    },
+    body: JSON.stringify({ messaging_product: 'whatsapp', to, ...payload }),
+    signal: AbortSignal.timeout(15000)
+  });
+  if (!response.ok) {
+    throw new Error(`Graph API returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+}
 
-**Advice:** [Practical, personalized if direction mentioned]
+async function handleMetaMessage(phoneNumberId, message) {
+  if (seenWhatsAppMessages.has(message.id)) return;
+  seenWhatsAppMessages.add(message.id);
+  if (seenWhatsAppMessages.size > WHATSAPP_SEEN_IDS) {
+    seenWhatsAppMessages.delete(seenWhatsAppMessages.values().next().value);
+  }
 
-⚠️ AI estimate from camera snapshots. Conditions change quickly.
+  const phoneFull = `+${message.from}`;
+  const text = message.type === 'text' ? message.text?.body?.trim() : '';
+  console.log(`💬 WhatsApp (meta) from ${phoneFull}: ${text || `[${message.type}]`}`);
 
-═══════════════════════════════════════════════════════════════
-REMEMBER:
-═══════════════════════════════════════════════════════════════
-1. Sound like a helpful friend, not a robot
-2. Keep details SHORT and SIMPLE
-3. If they mention their direction, focus advice on THEIR journey
-4. NEVER use technical camera terminology
-5. ALWAYS show both directions in standard format
-6. For OFF-TOPIC questions: Be friendly, acknowledge the question, share what you CAN see from the camera if relevant, give current traffic status, and redirect to traffic helpfully`;
-
-    // Detect question type
-    const questionLower = message.toLowerCase();
-    let questionType = 'general';
-    
-    const offTopicKeywords = [
-      'weather', 'rain', 'sunny', 'cold', 'hot', 'temperature',
-      'joke', 'funny', 'laugh', 'news', 'president', 'politics',
-      'hello', 'hi ', 'hey ', 'how are you', 'who are you',
-      'thank', 'thanks', 'bye', 'goodbye'
-    ];
-    
-    const trafficKeywords = [
-      'traffic', 'queue', 'border', 'crossing', 'bridge', 'vehicle', 'car',
-      'wait', 'busy', 'congestion', 'clear', 'status', 'lesotho', 'south africa'
-    ];
-    
-    const hasOffTopicWord = offTopicKeywords.some(word => questionLower.includes(word));
-    const hasTrafficWord = trafficKeywords.some(word => questionLower.includes(word));
-    
-    if (hasOffTopicWord && !hasTrafficWord) {
-      questionType = 'offtopic';
-    }
-
-    // Build content array
-    const content = [];
-    framesToUse.forEach((frame) => {
-      content.push({
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: 'image/jpeg',
-          data: frame.screenshot.toString('base64'),
-        },
-      });
-    });
+  try {
+    const reply = await answerWhatsAppMessage(phoneFull, text);
+    if (reply.mediaUrl) {
+      await sendMetaWhatsApp(phoneNumberId, message.from, { type: 'image', image: { link: reply.mediaUrl } });
+    }
+    await sendMetaWhatsApp(phoneNumberId, message.from, { type: 'text', text: { body: reply.text } });
+  } catch (err) {
+    console.error('❌ WhatsApp (meta) reply failed:', err.message);
+  }
+}
 
-    let userPrompt;
-    if (questionType === 'offtopic') {
-      userPrompt = `Question type: OFF-TOPIC
-User's question: "${message}"
+// Meta webhook verification handshake
+app.get('/webhook/whatsapp', (req, res) => {
+  if (req.query['hub.mode'] === 'subscribe' && config.whatsappVerifyToken &&
+      req.query['hub.verify_token'] === config.whatsappVerifyToken) {
+    return res.send(req.query['hub.challenge']);
+  }
+  res.sendStatus(403);
+});
 
-⚠️ IMPORTANT: This is an off-topic question. DO NOT use direction boxes [LS_TO_SA] or [SA_TO_LS].
-Give a SHORT 1-2 sentence friendly response.`;
-    } else {
-      userPrompt = `User's question: "${message}"
+app.post('/webhook/whatsapp', rateLimit('webhook'), express.urlencoded({ extended: false }), async (req, res) => {
+  // Meta Cloud API: acknowledge at once, reply through the Graph API
+  if (req.body?.object === 'whatsapp_business_account') {
+    // Unsigned messages are never answered - each one would cost a model call and a send
+    if (!config.whatsappAppSecret) {
+      console.error('⚠️ WhatsApp (meta) message refused: WHATSAPP_APP_SECRET is not set');
+      return res.sendStatus(503);
+    }
+    if (!(await verifyMetaSignature(req))) {
+      return res.sendStatus(401);
+    }
+    res.sendStatus(200);
 
-Respond appropriately. Be helpful and conversational.`;
+    if (!config.whatsappToken) {
+      console.error('⚠️ WhatsApp (meta) message received but WHATSAPP_TOKEN is not set');
+      return;
     }
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        for (const message of value.messages || []) {
+          handleMetaMessage(value.metadata?.phone_number_id, message);
+        }
+      }
+    }
+    return;
+  }
 
-    content.push({ type: 'text', text: userPrompt });
+  // Twilio: the reply is the TwiML response body
+  if (req.body?.From) {
+    if (!config.twilioAuthToken) {
+      console.error('⚠️ WhatsApp (twilio) message refused: TWILIO_AUTH_TOKEN is not set');
+      return res.sendStatus(503);
+    }
+    if (!(await verifyTwilioSignature(req))) {
+      return res.sendStatus(401);
+    }
 
-    // Stream the response
-    const stream = await anthropic.messages.stream({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: content }],
-    });
+    const phoneFull = req.body.From.replace(/^whatsapp:/, '');
+    const text = (req.body.Body || '').trim();
+    console.log(`💬 WhatsApp (twilio) from ${phoneFull}: ${text || '[media]'}`);
 
-    let fullText = '';
-    
-    for await (const event of stream) {
-      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
-        const text = event.delta.text;
-        fullText += text;
-        res.write(`data: ${JSON.stringify({ type: 'text', text: text })}\n\n`);
-      }
+    let reply;
+    try {
+      reply = await answerWhatsAppMessage(phoneFull, text);
+    } catch (err) {
+      console.error('❌ WhatsApp (twilio) reply failed:', err.message);
+      reply = { text: t(null, 'chatFailed'), mediaUrl: null };
     }
 
-    // Send done signal
-    res.write(`data: ${JSON.stringify({ type: 'done', fullText: fullText })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    
-    // Cache the response for future similar questions
-    const latestFrameTimestamp = framesToUse[framesToUse.length - 1]?.timestamp;
-    cacheResponse(questionCategory, fullText, latestFrameTimestamp);
-    
-    // Log to database (async, don't wait)
-    logTrafficReading(
-      { message: fullText },
-      framesToUse.map(f => ({ angleType: f.angleType, timestamp: f.timestamp })),
-      0
+    const media = reply.mediaUrl ? `<Media>${escapeHtml(reply.mediaUrl)}</Media>` : '';
+    res.type('text/xml').send(
+      `<?xml version="1.0" encoding="UTF-8"?><Response><Message><Body>${escapeHtml(reply.text)}</Body>${media}</Message></Response>`
     );
-    
-    res.end();
-    
-  } catch (error) {
-    console.error('Streaming error:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', message: 'Failed to process your question' })}\n\n`);
-    res.write('data: [DONE]\n\n');
-    res.end();
+    return;
   }
+
+  res.status(400).json({ success: false, message: 'Unrecognised WhatsApp payload' });
 });
 
-app.get('/api/screenshot', async (req, res) => {
-  try {
-    await captureFrame();
-    const screenshot = getLatestScreenshot();
-    
-    if (!screenshot) {
-      return res.status(503).json({ success: false, message: 'No screenshot available' });
-    }
+// =============================================
+// USSD / SMS
+// =============================================
+// Plain-text menu for phones without data, in the Africa's Talking session format:
+// the gateway posts the digits entered so far ("", "2", "2*1") and we answer with
+// "CON <menu>" to keep the session open or "END <text>" to close it. Answers come from
+// the freshest cached analysis and get_typical_traffic - never a model call. Text stays
+// in the GSM-7 alphabet (no emoji or arrows) so a reply fits one 160-char SMS.
+// Both webhooks need GATEWAY_WEBHOOK_SECRET, since an SMS reply is a paid send to
+// whatever number the request names.
+
+const USSD_LIMIT = 182;                             // Per USSD screen, "CON "/"END " included
+const SMS_LIMIT = 160;
+const MENU_READING_MAX_AGE_MS = 30 * 60 * 1000;     // Older readings are not worth quoting
+const MENU_DIRECTIONS = ['lsToSa', 'saToLs'];
+const MENU_DIRECTION_LABELS = { lsToSa: 'LS>SA', saToLs: 'SA>LS' };
+
+const menuDirections = new Map();                   // phone -> last direction asked about
+
+// Middleware: the gateway's shared secret, as X-Gateway-Secret or ?secret= in the callback
+// URL (Africa's Talking callbacks can't carry custom headers)
+function requireGatewaySecret(req, res, next) {
+  if (!config.gatewayWebhookSecret) {
+    console.error(`⚠️ ${req.path} refused: GATEWAY_WEBHOOK_SECRET is not set`);
+    return res.sendStatus(503);
+  }
+  const secret = req.get('X-Gateway-Secret') || String(req.query.secret || '');
+  if (!safeEqual(secret, config.gatewayWebhookSecret)) {
+    return res.sendStatus(401);
+  }
+  next();
+}
 
-    res.set('Content-Type', 'image/jpeg');
-    res.send(screenshot);
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to get screenshot' });
+// Newest assessment in the post's caches, if recent enough to quote
+function latestCachedAssessment(post) {
+  const { state } = post;
+  // Cache keys lead with the language the answer was written in ("st:queue:ls_to_sa")
+  const candidates = Object.entries(state.responseCache).map(([key, entry]) => ({
+    assessment: entry.response?.assessment,
+    timestamp: entry.timestamp,
+    language: key.split(':')[0]
+  }));
+  if (state.latestAnalysis) {
+    candidates.push({ assessment: state.latestAnalysis.assessment, timestamp: state.lastAnalysisTime, language: DEFAULT_LANGUAGE });
   }
-});
+  const newest = candidates
+    .filter(candidate => candidate.assessment)
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  if (!newest || Date.now() - newest.timestamp > MENU_READING_MAX_AGE_MS) return null;
+  return newest;
+}
 
-// Get all unique frames (one per angle type)
-app.get('/api/frames', async (req, res) => {
+function localWeekday(date = new Date()) {
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone: ALERT_TIME_ZONE, weekday: 'short' }).format(date);
+  return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+// Cut at the last full line that fits, so a long detail never ends mid-word
+function fitText(text, limit) {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  const lastBreak = cut.lastIndexOf('\n');
+  return lastBreak > 0 ? cut.slice(0, lastBreak) : cut;
+}
+
+function readingLine(language, reading, key) {
+  const wait = reading.assessment.waitTime?.[key];
+  const status = t(language, `statusWords.${reading.assessment[key].status}`);
+  return `${MENU_DIRECTION_LABELS[key]}: ${status}${wait ? `, ${t(language, 'menu.wait', { low: wait.low, high: wait.high })}` : ''}`;
+}
+
+function readingAge(language, reading) {
+  return t(language, 'menu.age', { minutes: Math.round((Date.now() - reading.timestamp) / 60000) });
+}
+
+// Typical slots for the rest of today, worst of the requested direction(s) per hour
+async function remainingTypicalHours(post, directions) {
+  const typical = await getTypicalTraffic(post);
+  if (!Array.isArray(typical)) return [];
+
+  const today = localWeekday();
+  const currentHour = Math.floor(localMinutes() / 60);
+  return typical
+    .filter(row => row.day_of_week === today && row.hour > currentHour)
+    .map(row => {
+      const severity = Math.max(...directions.map(key =>
+        TRAFFIC_STATUSES.indexOf(key === 'lsToSa' ? row.ls_to_sa_status : row.sa_to_ls_status)
+      ));
+      return { hour: row.hour, severity };
+    })
+    .filter(slot => slot.severity >= 0);
+}
+
+function menuStatusText(post, language) {
+  const reading = latestCachedAssessment(post);
+  if (!reading) return t(language, 'menu.noReading', { name: post.name });
+
+  const lines = [
+    `${post.name} (${readingAge(language, reading)})`,
+    readingLine(language, reading, 'lsToSa'),
+    readingLine(language, reading, 'saToLs')
+  ];
+  // The advice is free text in the language it was asked in - only quote it when that matches
+  if (reading.language === (language || DEFAULT_LANGUAGE)) {
+    lines.push(reading.assessment.advice);
+  }
+  return lines.join('\n');
+}
+
+async function menuDirectionText(post, language, direction) {
+  const reading = latestCachedAssessment(post);
+  const lines = [];
+  if (reading) {
+    lines.push(`${readingLine(language, reading, direction)} (${readingAge(language, reading)})`);
+    const vehicles = reading.assessment[direction].vehicleCount;
+    if (vehicles != null) lines.push(t(language, 'menu.vehicles', { count: vehicles }));
+  } else {
+    lines.push(t(language, 'menu.noReading', { name: post.name }));
+  }
+
+  const [nextHour] = await remainingTypicalHours(post, [direction]);
+  if (nextHour) {
+    const status = t(language, `statusWords.${TRAFFIC_STATUSES[nextHour.severity]}`);
+    lines.push(t(language, 'menu.usually', { status, time: formatHour(nextHour.hour) }));
+  }
+  return lines.join('\n');
+}
+
+async function menuBestTimeText(post, language) {
+  const slots = await remainingTypicalHours(post, MENU_DIRECTIONS);
+  if (slots.length === 0) return t(language, 'menu.noHistory');
+
+  const best = Math.min(...slots.map(slot => slot.severity));
+  const worst = slots.reduce((max, slot) => slot.severity > max.severity ? slot : max, slots[0]);
+  const times = slots.filter(slot => slot.severity === best).slice(0, 3).map(slot => formatHour(slot.hour));
+  const lines = [t(language, 'menu.best', {
+    name: post.name,
+    times: times.join(', '),
+    status: t(language, `statusWords.${TRAFFIC_STATUSES[best]}`)
+  })];
+  if (worst.severity > best) {
+    lines.push(t(language, 'menu.avoid', {
+      time: formatHour(worst.hour),
+      status: t(language, `statusWords.${TRAFFIC_STATUSES[worst.severity]}`)
+    }));
+  }
+  return lines.join('\n');
+}
+
+// One USSD step: the input so far ("2*1") -> { end, text }
+async function ussdStep(post, language, phone, input) {
+  const [choice, sub] = input ? input.split('*') : [];
+  if (!choice) return { end: false, text: t(language, 'menu.main', { name: post.name }) };
+
+  if (choice === '1') return { end: true, text: menuStatusText(post, language) };
+  if (choice === '3') return { end: true, text: await menuBestTimeText(post, language) };
+  if (choice === '2') {
+    if (!sub) return { end: false, text: t(language, 'menu.chooseDirection') };
+    const direction = MENU_DIRECTIONS[parseInt(sub, 10) - 1];
+    if (!direction) return { end: true, text: t(language, 'menu.invalid') };
+    menuDirections.set(phone, direction);
+    return { end: true, text: await menuDirectionText(post, language, direction) };
+  }
+  return { end: true, text: t(language, 'menu.invalid') };
+}
+
+// One inbound SMS: menu digits ("1", "2 LS", "3") or a plain question, answered from caches
+async function smsReply(post, language, phone, text) {
+  const normalized = normalizeQuestion(text);
+  const [choice, ...rest] = normalized.split(' ');
+  const remainder = rest.join(' ');
+
+  if (choice === '1') return menuStatusText(post, language);
+  if (choice === '3') return menuBestTimeText(post, language);
+  if (choice === '2') {
+    const direction = /^(1|ls|lesotho)\b/.test(remainder) ? 'lsToSa'
+      : /^(2|sa|rsa)\b/.test(remainder) ? 'saToLs'
+      : detectDirection(remainder) || menuDirections.get(phone);
+    if (!direction) return t(language, 'menu.smsDirection');
+    menuDirections.set(phone, direction);
+    return menuDirectionText(post, language, direction);
+  }
+
+  if (!normalized) return t(language, 'menu.smsHelp');
+  const intent = classifyIntent(text, language);
+  if (['offtopic', 'greeting', 'thanks', 'info'].includes(intent.intent)) {
+    return t(intent.language, 'menu.smsHelp');
+  }
+  if (intent.intent === 'good_time') return menuBestTimeText(post, intent.language);
+  if (intent.direction) {
+    menuDirections.set(phone, intent.direction);
+    return menuDirectionText(post, intent.language, intent.direction);
+  }
+  return menuStatusText(post, intent.language);
+}
+
+app.post('/webhook/ussd', requireGatewaySecret, rateLimit('webhook'), express.urlencoded({ extended: false }), resolvePost, async (req, res) => {
+  const phone = req.body.phoneNumber || '';
+  const user = await findUserByPhone(phone);
+  const language = resolveLanguage(req.query.lang || user?.preferences?.language);
+
+  let step;
+  try {
+    step = await ussdStep(req.post, language, phone, (req.body.text || '').trim());
+  } catch (err) {
+    console.error('❌ USSD step failed:', err.message);
+    step = { end: true, text: t(language, 'chatFailed') };
+  }
+  res.type('text/plain').send(fitText(`${step.end ? 'END' : 'CON'} ${step.text}`, USSD_LIMIT));
+});
+
+// Inbound SMS (Africa's Talking "from"/"text" fields). The reply goes out only through
+// the SMS gateway used for alerts; the response body just acknowledges.
+app.post('/webhook/sms', requireGatewaySecret, rateLimit('webhook'), express.urlencoded({ extended: false }), resolvePost, async (req, res) => {
+  const phone = req.body.from || '';
+  const text = (req.body.text || '').trim();
+  if (!phone) {
+    return res.status(400).json({ success: false, message: 'Missing sender' });
+  }
+  if (!ALERT_CHANNELS.sms.configured()) {
+    console.error('⚠️ SMS received but ALERT_WEBHOOK_URL is not set - no way to reply');
+    return res.status(503).json({ success: false, message: 'SMS replies are not configured' });
+  }
+  const retryAfter = takeRateToken('webhook', 'phone', phone);
+  if (retryAfter > 0) {
+    res.set('Retry-After', retryAfter);
+    return res.status(429).json({ success: false, message: 'Too many messages from this number' });
+  }
+  console.log(`📱 SMS from ${phone}: ${text || '[empty]'}`);
+
+  const user = await findUserByPhone(phone);
+  const language = resolveLanguage(req.query.lang || user?.preferences?.language);
+  let reply;
+  try {
+    reply = fitText(await smsReply(req.post, language, phone, text), SMS_LIMIT);
+  } catch (err) {
+    console.error('❌ SMS reply failed:', err.message);
+    return res.status(500).json({ success: false, message: t(language, 'chatFailed') });
+  }
+
+  sendGatewayMessage('sms', phone, reply)
+    .catch(err => console.error('❌ SMS send failed:', err.message));
+  res.json({ success: true });
+});
+
+// Serves the newest ingested keyframe (or buffered frame) without touching ffmpeg
+app.get('/api/screenshot', optionalUser, rateLimit('capture'), resolvePost, async (req, res) => {
+  try {
+    const ring = req.post.state.frameRing;
+    if (ring.length === 0) refreshIfStale(req.post);
+    const frame = ring.length > 0 ? ring[ring.length - 1] : getLatestFrame(req.post);
+    
+    if (!frame) {
+      return res.status(503).json({ success: false, message: 'No screenshot available', freshness: frameFreshness(req.post) });
+    }
+
+    const freshness = frameFreshness(req.post, frame.timestamp);
+    res.set('Content-Type', 'image/jpeg');
+    res.set('X-Frame-Timestamp', freshness.servedFrom);
+    res.set('X-Frame-Age', String(freshness.ageSeconds));
+    res.send(frame.screenshot);
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to get screenshot' });
+  }
+});
+
+// Get all unique frames (one per angle type)
+app.get('/api/frames', resolvePost, async (req, res) => {
   try {
+    const post = req.post;
+    const { screenshotBuffer, preservedFrames } = post.state;
+
     // Get the most recent frame of each angle type
     const framesByAngle = {};
-    const angleLabels = {
-      'bridge': 'Bridge',
-      'processing': 'Canopy', 
-      'wide': 'Engen',
-      'useless': null // Skip useless frames
-    };
+    // Useless (and unknown) frames have no label and are skipped
+    const angleLabels = Object.fromEntries(
+      Object.entries(post.angles).map(([angleType, angle]) => [angleType, angle.label])
+    );
     
     // Go through buffer in reverse to get most recent of each type
     for (let i = screenshotBuffer.length - 1; i >= 0; i--) {
@@ -1595,13 +4575,14 @@ app.get('/api/frames', async (req, res) => {
           angleType: angleType,
           label: label,
           timestamp: frame.timestamp,
+          quality: frame.quality?.score ?? null,
           image: frame.screenshot.toString('base64')
         };
       }
     }
     
     // Fill in any missing angles from preserved frames (only if fresh)
-    const order = ['bridge', 'processing', 'wide'];
+    const order = Object.keys(post.angles);
     for (const angleType of order) {
       if (!framesByAngle[angleType] && preservedFrames[angleType] && isFrameFresh(preservedFrames[angleType])) {
         const frame = preservedFrames[angleType];
@@ -1611,13 +4592,14 @@ app.get('/api/frames', async (req, res) => {
             angleType: angleType,
             label: label,
             timestamp: frame.timestamp,
+            quality: frame.quality?.score ?? null,
             image: frame.screenshot.toString('base64')
           };
         }
       }
     }
     
-    // Convert to array and sort by preferred order: Bridge, Canopy, Engen
+    // Convert to array and sort by the post's preferred order (Maseru: Bridge, Canopy, Engen)
     const frames = order
       .filter(type => framesByAngle[type])
       .map(type => framesByAngle[type]);
@@ -1627,23 +4609,28 @@ app.get('/api/frames', async (req, res) => {
     let statusMessage = null;
     const availableAngles = frames.map(f => f.label);
     
-    if (frames.length === 0) {
+    if (post.state.streamFrozen) {
+      // Stream keeps serving the same picture - any frames shown are from before it froze
+      cameraStatus = 'stream_frozen';
+      statusMessage = `🧊 Camera feed appears frozen.${frames.length > 0 ? ' Showing the last good views.' : ''}`;
+    } else if (frames.length === 0) {
       // No fresh frames at all - camera is offline
       cameraStatus = 'offline';
       statusMessage = '⚠️ Camera feed unavailable. Please try again later.';
-    } else if (frames.length === 1) {
+    } else if (frames.length === 1 && order.length > 1) {
       // Only one angle available - camera stuck
       cameraStatus = 'limited';
       statusMessage = `📹 Camera showing ${availableAngles[0]} view only. Analysis based on limited view.`;
-    } else if (frames.length === 2) {
-      // Two angles available
+    } else if (frames.length < order.length) {
+      // Some angles missing
       cameraStatus = 'limited';
       const missing = order.filter(a => !framesByAngle[a]).map(a => angleLabels[a]);
-      statusMessage = `📹 ${missing[0]} view unavailable. Analysis based on ${availableAngles.join(' & ')}.`;
+      statusMessage = `📹 ${missing.join(' & ')} view unavailable. Analysis based on ${availableAngles.join(' & ')}.`;
     }
     
     res.json({
       success: true,
+      post: { id: post.id, name: post.name },
       frames: frames,
       totalInBuffer: screenshotBuffer.length,
       cameraStatus: cameraStatus,
@@ -1655,21 +4642,101 @@ app.get('/api/frames', async (req, res) => {
   }
 });
 
-app.get('/api/health', (req, res) => {
-  const latest = screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1] : null;
+// List monitored border posts (ids are the values accepted by ?post=)
+app.get('/api/posts', (req, res) => {
+  res.json({
+    success: true,
+    defaultPost: DEFAULT_POST_ID,
+    posts: getActivePosts().map(post => ({
+      id: post.id,
+      name: post.name,
+      angles: Object.entries(post.angles).map(([angleType, angle]) => ({ angleType, label: angle.label })),
+      ...getPostHealth(post)
+    }))
+  });
+});
+
+// Wait-time estimate from the latest detector counts (no model call)
+// Re-run the detector on the current frames. Callers that arrive while a run is going
+// share it instead of sending the detector another request.
+function refreshDetection(post) {
+  const state = post.state;
+  if (!state.detectionInFlight) {
+    const { framesToUse } = selectAnalysisFrames(post);
+    state.detectionInFlight = runDetector(post, framesToUse).finally(() => {
+      state.detectionInFlight = null;
+    });
+  }
+  return state.detectionInFlight;
+}
+
+app.get('/api/wait-time', optionalUser, rateLimit('capture'), resolvePost, async (req, res) => {
+  try {
+    const post = req.post;
+    refreshIfStale(post);
+
+    // Re-run the detector if the last counts are older than one capture
+    let latest = post.state.latestDetection;
+    if (!latest || Date.now() - latest.timestamp > config.captureInterval) {
+      await refreshDetection(post);
+      latest = post.state.latestDetection;
+    }
+
+    if (!latest || latest.counts.direction_uncertain) {
+      return res.json({
+        success: false,
+        post: post.id,
+        message: 'Vehicle counts are not available right now, so no wait-time estimate can be made.'
+      });
+    }
+
+    const waitTime = await estimateWaitTimes(post, latest.counts);
+    res.json({
+      success: true,
+      post: post.id,
+      countsTimestamp: new Date(latest.frameTimestamp).toISOString(),
+      waitTime: waitTime,
+      freshness: frameFreshness(post, latest.frameTimestamp)
+    });
+  } catch (error) {
+    console.error('Wait-time error:', error);
+    res.status(500).json({ success: false, message: 'Failed to estimate wait time' });
+  }
+});
+
+// Frame freshness summary for one border post. Public (/api/health, /api/posts), so no
+// stream URLs or error text - those are in /api/debug.
+function getPostHealth(post) {
+  const latest = getLatestFrame(post);
   const lastFrameAgeSec = latest ? Math.round((Date.now() - latest.timestamp) / 1000) : null;
+  // A frozen stream keeps delivering recent timestamps but isn't live
+  const ok = lastFrameAgeSec !== null && lastFrameAgeSec < MAX_FRAME_AGE_MS / 1000 && !post.state.streamFrozen;
+  return {
+    status: post.state.streamFrozen ? 'stream_frozen' : ok ? 'ok' : 'degraded',
+    ok,
+    streamFrozen: post.state.streamFrozen,
+    bufferSize: post.state.screenshotBuffer.length,
+    lastFrameAgeSec,
+    lastCapture: latest ? new Date(latest.timestamp).toISOString() : null
+  };
+}
+
+app.get('/api/health', (req, res) => {
+  // Top-level fields describe the default post (Maseru Bridge)
+  const health = getPostHealth(BORDER_POSTS[DEFAULT_POST_ID]);
   // browserConnected retained for frontend back-compat; semantically = "have we got a fresh-ish frame?"
-  const browserConnected = lastFrameAgeSec !== null && lastFrameAgeSec < MAX_FRAME_AGE_MS / 1000;
+  const browserConnected = health.ok;
 
   res.json({
-    status: browserConnected ? 'ok' : 'degraded',
+    status: health.status,
     ok: browserConnected,
     browserConnected,
-    bufferSize: screenshotBuffer.length,
-    lastFrameAgeSec,
-    lastCapture: latest ? new Date(latest.timestamp).toISOString() : null,
+    streamFrozen: health.streamFrozen,
+    bufferSize: health.bufferSize,
+    lastFrameAgeSec: health.lastFrameAgeSec,
+    lastCapture: health.lastCapture,
+    posts: Object.fromEntries(getActivePosts().map(post => [post.id, getPostHealth(post)])),
     supabaseConnected: !!supabase,
-    detectorUrl: config.detectorUrl,
     plausibleDomain: config.plausibleDomain || null,
     uptime: Math.round(process.uptime()),
   });
@@ -1679,49 +4746,361 @@ app.get('/api/health', (req, res) => {
 // ADMIN DASHBOARD ROUTES
 // =============================================
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'change-me-in-production';
-const adminSessions = new Set(); // Simple in-memory session store
+// Admin accounts have a role: viewers read the dashboard, operators can also change
+// live state (reference frames and the like), owners also manage admins and read the
+// audit log. Accounts and sessions live in admin_users / admin_sessions, with tokens
+// stored only as SHA-256 hashes. ADMIN_PASSWORD seeds an "admin" owner when there are
+// no accounts yet (and is the only account when running without a database).
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_ROLES = ['viewer', 'operator', 'owner'];
+const ADMIN_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const ADMIN_LOGIN_LIMIT = 5;           // Wrong passwords per username per attempt window
+const AUDIT_LOG_LOCAL_SIZE = 200;
+
+// Without a database: the ADMIN_PASSWORD owner, sessions and audit entries stay in memory
+const localAdmins = new Map();          // username -> admin
+const localAdminSessions = new Map();   // token hash -> { adminId, expiresAt }
+const localAuditLog = [];
+
+if (!ADMIN_PASSWORD) {
+  console.warn('⚠️ ADMIN_PASSWORD not set - admin login only works for accounts already in admin_users');
+}
 
-// Generate a random session token
-function generateToken() {
-  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+async function adminTokenHash(token) {
+  return Buffer.from(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))).toString('hex');
 }
 
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-  const { password } = req.body;
-  
-  if (password === ADMIN_PASSWORD) {
-    const token = generateToken();
-    adminSessions.add(token);
-    
-    // Auto-expire token after 24 hours
-    setTimeout(() => adminSessions.delete(token), 24 * 60 * 60 * 1000);
-    
-    res.json({ success: true, token });
+// Create the first owner from ADMIN_PASSWORD if nobody can log in yet
+async function ensureBootstrapAdmin() {
+  if (!ADMIN_PASSWORD) return;
+
+  if (!supabase) {
+    localAdmins.set('admin', { id: 'local-admin', username: 'admin', role: 'owner', password_hash: await hashPassword(ADMIN_PASSWORD) });
+    return;
+  }
+
+  try {
+    const { count, error } = await supabase
+      .from('admin_users')
+      .select('id', { count: 'exact', head: true });
+    if (error || count > 0) return;
+
+    await supabase.from('admin_users').insert({
+      username: 'admin',
+      role: 'owner',
+      password_hash: await hashPassword(ADMIN_PASSWORD)
+    });
+    console.log('👑 Created admin owner "admin" from ADMIN_PASSWORD');
+  } catch (err) {
+    console.error('❌ Failed to create bootstrap admin:', err.message);
+  }
+}
+
+async function findAdmin(field, value) {
+  if (!supabase) {
+    return [...localAdmins.values()].find(admin => admin[field] === value) || null;
+  }
+  const { data } = await supabase
+    .from('admin_users')
+    .select('id, username, role, password_hash, disabled_at')
+    .eq(field, value)
+    .maybeSingle();
+  return data && !data.disabled_at ? data : null;
+}
+
+async function createAdminSession(admin, req) {
+  const token = Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('base64url');
+  const tokenHash = await adminTokenHash(token);
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_MS).toISOString();
+
+  if (supabase) {
+    const { error } = await supabase.from('admin_sessions').insert({
+      token_hash: tokenHash,
+      admin_id: admin.id,
+      expires_at: expiresAt,
+      ip: req.ip
+    });
+    if (error) throw new Error(`Failed to store admin session: ${error.message}`);
+  } else {
+    localAdminSessions.set(tokenHash, { adminId: admin.id, expiresAt });
+  }
+  return { token, expiresAt };
+}
+
+// The admin behind a session token, or null when unknown, expired or disabled
+async function findAdminSession(token) {
+  const tokenHash = await adminTokenHash(token);
+  let session;
+  if (supabase) {
+    const { data } = await supabase
+      .from('admin_sessions')
+      .select('admin_id, expires_at')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+    session = data && { adminId: data.admin_id, expiresAt: data.expires_at };
   } else {
-    res.status(401).json({ success: false, message: 'Invalid password' });
+    session = localAdminSessions.get(tokenHash);
+  }
+  if (!session) return null;
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    await deleteAdminSessions('token_hash', tokenHash);
+    return null;
+  }
+  return findAdmin('id', session.adminId);
+}
+
+// Remove sessions by token hash, or every session of an admin (admin_id)
+async function deleteAdminSessions(field, value) {
+  if (supabase) {
+    await supabase.from('admin_sessions').delete().eq(field, value);
+    return;
+  }
+  for (const [tokenHash, session] of localAdminSessions) {
+    if ((field === 'token_hash' && tokenHash === value) || (field === 'admin_id' && session.adminId === value)) {
+      localAdminSessions.delete(tokenHash);
+    }
+  }
+}
+
+// Record an admin action. Never blocks or fails the request it describes.
+function auditAdmin(req, action, target = null, details = null) {
+  const entry = {
+    admin_id: req.admin?.id || null,
+    username: req.admin?.username || details?.username || null,
+    action,
+    target,
+    details,
+    ip: req.ip,
+    created_at: new Date().toISOString()
+  };
+  console.log(`🛂 Admin ${entry.username || 'unknown'}: ${action}${target ? ` ${target}` : ''}`);
+
+  if (!supabase) {
+    localAuditLog.unshift(entry);
+    localAuditLog.length = Math.min(localAuditLog.length, AUDIT_LOG_LOCAL_SIZE);
+    return;
+  }
+  supabase.from('admin_audit_log').insert(entry)
+    .then(({ error }) => { if (error) console.error('❌ Audit log insert failed:', error.message); });
+}
+
+// Admin login: { username, password }. The username defaults to "admin" for the
+// single-password dashboard.
+app.post('/api/admin/login', authRateLimit, async (req, res) => {
+  try {
+    const username = String(req.body.username || 'admin').trim().toLowerCase();
+    const { password } = req.body;
+    const lockKey = `admin:${username}`;
+
+    const locked = authLockRemaining(lockKey);
+    if (locked > 0) {
+      res.set('Retry-After', Math.ceil(locked / 1000));
+      return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+    }
+
+    const admin = password ? await findAdmin('username', username) : null;
+    const check = password
+      ? await verifyPassword(password, admin?.password_hash || DUMMY_PASSWORD_HASH)
+      : { valid: false, needsRehash: false };
+    const valid = !!admin && check.valid;
+    const { needsRehash } = check;
+
+    if (!valid) {
+      recordAuthAttempt(lockKey, ADMIN_LOGIN_LIMIT);
+      auditAdmin(req, 'login_failed', null, { username });
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+    authAttempts.delete(lockKey);
+
+    if (supabase) {
+      const updates = { last_login: new Date().toISOString() };
+      if (needsRehash) updates.password_hash = await hashPassword(password);
+      await supabase.from('admin_users').update(updates).eq('id', admin.id);
+    }
+
+    req.admin = admin;
+    const session = await createAdminSession(admin, req);
+    auditAdmin(req, 'login');
+    res.json({ success: true, ...session, username: admin.username, role: admin.role });
+  } catch (err) {
+    console.error('Admin login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // Admin logout
-app.post('/api/admin/logout', (req, res) => {
+app.post('/api/admin/logout', async (req, res) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) adminSessions.delete(token);
+  if (token) {
+    req.admin = await findAdminSession(token);
+    await deleteAdminSessions('token_hash', await adminTokenHash(token));
+    if (req.admin) auditAdmin(req, 'logout');
+  }
   res.json({ success: true });
 });
 
-// Middleware to check admin auth
-function requireAdmin(req, res, next) {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token || !adminSessions.has(token)) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-  next();
+// Middleware factory: a valid admin session with at least this role (req.admin is set)
+function requireAdminRole(role) {
+  const minimum = ADMIN_ROLES.indexOf(role);
+  return async (req, res, next) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    try {
+      req.admin = token ? await findAdminSession(token) : null;
+    } catch (err) {
+      console.error('Admin session check error:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+    if (!req.admin) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+    if (ADMIN_ROLES.indexOf(req.admin.role) < minimum) {
+      return res.status(403).json({ success: false, message: `Requires the ${role} role` });
+    }
+    next();
+  };
 }
 
+// Admin guards for the access policy (any role / operator and up / owner)
+const requireAdmin = requireAdminRole('viewer');
+const requireOperator = requireAdminRole('operator');
+const requireOwner = requireAdminRole('owner');
+
+// Admin accounts, without password hashes
+app.get('/api/admin/users', async (req, res) => {
+  if (!supabase) {
+    return res.json({ success: true, users: [...localAdmins.values()].map(({ password_hash, ...admin }) => admin) });
+  }
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select('id, username, role, disabled_at, last_login, created_at')
+    .order('created_at', { ascending: true });
+  if (error) {
+    return res.status(500).json({ success: false, message: 'Failed to load admin users' });
+  }
+  res.json({ success: true, users: data });
+});
+
+// Create an admin: { username, password, role }
+app.post('/api/admin/users', async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  const username = String(req.body.username || '').trim().toLowerCase();
+  const { password, role } = req.body;
+  if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+    return res.status(400).json({ success: false, message: 'username must be 3-32 letters, digits, dots, dashes or underscores' });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (!password || password.length < 12) {
+    return res.status(400).json({ success: false, message: 'Admin passwords must be at least 12 characters' });
+  }
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .insert({ username, role, password_hash: await hashPassword(password) })
+    .select('id, username, role, created_at')
+    .single();
+  if (error) {
+    return res.status(409).json({ success: false, message: 'Username already taken' });
+  }
+
+  auditAdmin(req, 'admin_user.create', username, { role });
+  res.json({ success: true, user: data });
+});
+
+// Change an admin's role, password or disabled flag: { role?, password?, disabled? }.
+// Disabling or changing the password ends that admin's sessions.
+app.patch('/api/admin/users/:id', async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  const { role, password, disabled } = req.body;
+  const updates = {};
+  if (role !== undefined) {
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+    updates.role = role;
+  }
+  if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < 12) {
+      return res.status(400).json({ success: false, message: 'Admin passwords must be at least 12 characters' });
+    }
+    updates.password_hash = await hashPassword(password);
+  }
+  if (disabled !== undefined) {
+    updates.disabled_at = disabled ? new Date().toISOString() : null;
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update' });
+  }
+  // Owners can't lock themselves out
+  if (req.params.id === req.admin.id && (disabled || (role && role !== 'owner'))) {
+    return res.status(400).json({ success: false, message: 'You cannot disable or demote yourself' });
+  }
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update(updates)
+    .eq('id', req.params.id)
+    .select('id, username, role, disabled_at')
+    .maybeSingle();
+  if (error || !data) {
+    return res.status(404).json({ success: false, message: 'Admin user not found' });
+  }
+
+  if (updates.password_hash || disabled) {
+    await deleteAdminSessions('admin_id', data.id);
+  }
+  const { password_hash, ...changes } = updates;
+  auditAdmin(req, 'admin_user.update', data.username, { ...changes, passwordChanged: !!password_hash });
+  res.json({ success: true, user: data });
+});
+
+// Audit log, newest first: ?limit= (max 500), ?action=, ?username=
+app.get('/api/admin/audit', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const { action, username } = req.query;
+
+  if (!supabase) {
+    const entries = localAuditLog
+      .filter(entry => (!action || entry.action === action) && (!username || entry.username === username))
+      .slice(0, limit);
+    return res.json({ success: true, entries });
+  }
+
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (action) query = query.eq('action', action);
+  if (username) query = query.eq('username', username);
+
+  const { data, error } = await query;
+  if (error) {
+    return res.status(500).json({ success: false, message: 'Failed to load audit log' });
+  }
+  res.json({ success: true, entries: data });
+});
+
+// Declared scope of every route, plus routes missing from (or stale in) the table
+app.get('/api/admin/access-policy', (req, res) => {
+  res.json({
+    success: true,
+    routes: ACCESS_POLICY.map(({ method, route, scope }) => ({ method, route, scope })),
+    ...checkAccessPolicy()
+  });
+});
+
 // Admin stats endpoint
-app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+app.get('/api/admin/stats', async (req, res) => {
   try {
     if (!supabase) {
       return res.json({ success: false, message: 'Database not connected' });
@@ -1832,6 +5211,26 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
       });
     }
 
+    // What users asked for (questions only - automatic analyses have no intent)
+    const intentDistribution = { intents: {}, languages: {}, directions: {}, locations: {}, laterTime: 0 };
+    if (periodData) {
+      periodData.filter(r => r.question_intent).forEach(reading => {
+        intentDistribution.intents[reading.question_intent] = (intentDistribution.intents[reading.question_intent] || 0) + 1;
+        if (reading.question_language) {
+          intentDistribution.languages[reading.question_language] = (intentDistribution.languages[reading.question_language] || 0) + 1;
+        }
+        if (reading.question_direction) {
+          intentDistribution.directions[reading.question_direction] = (intentDistribution.directions[reading.question_direction] || 0) + 1;
+        }
+        if (reading.question_location) {
+          intentDistribution.locations[reading.question_location] = (intentDistribution.locations[reading.question_location] || 0) + 1;
+        }
+        if (reading.question_time_ref && reading.question_time_ref.kind !== 'now') {
+          intentDistribution.laterTime++;
+        }
+      });
+    }
+
     // Get feedback stats
     let feedbackStats = { total: 0, likes: {}, improvements: {} };
     const { data: feedbackData, count: feedbackCount } = await supabase
@@ -1854,9 +5253,10 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
       });
     }
 
-    // Get cache stats
+    // Get cache stats (default post)
+    const defaultPost = BORDER_POSTS[DEFAULT_POST_ID];
     const cacheStats = {};
-    for (const [category, cached] of Object.entries(responseCache)) {
+    for (const [category, cached] of Object.entries(defaultPost.state.responseCache)) {
       if (cached) {
         const age = Math.round((now - cached.timestamp) / 1000);
         cacheStats[category] = { ageSeconds: age, valid: age < (CACHE_TTL / 1000) };
@@ -1883,13 +5283,15 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
         hourlyDistribution: hourlyData,
         dailyDistribution: dailyData,
         questionPatterns: questionPatterns,
+        intentDistribution: intentDistribution,
         avgResponseTimeMs: avgResponseTime,
         uniqueActiveDays: uniqueDays,
         feedback: feedbackStats,
         cache: cacheStats,
+        modelUsage: modelUsageReport(),
         server: {
           uptime: Math.round(process.uptime()),
-          bufferSize: screenshotBuffer.length
+          bufferSize: defaultPost.state.screenshotBuffer.length
         }
       }
     });
@@ -1900,8 +5302,29 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
   }
 });
 
+// Model cost and latency per day, endpoint and question category (?days=7, up to 90)
+app.get('/api/admin/model-usage', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_MODEL_USAGE_DAYS);
+  try {
+    const rows = await getModelCosts(days);
+    res.json({
+      success: true,
+      days,
+      source: supabase ? 'database' : 'memory',
+      today: modelUsageReport(),
+      byDay: rollUpModelCosts(rows, 'day').sort((a, b) => String(b.day).localeCompare(String(a.day))),
+      byEndpoint: rollUpModelCosts(rows, 'endpoint'),
+      byCategory: rollUpModelCosts(rows.filter(row => row.purpose === 'analysis'), 'question_category'),
+      byPurpose: rollUpModelCosts(rows, 'purpose')
+    });
+  } catch (error) {
+    console.error('Model usage error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch model usage' });
+  }
+});
+
 // Get recent questions (for admin)
-app.get('/api/admin/questions', requireAdmin, async (req, res) => {
+app.get('/api/admin/questions', async (req, res) => {
   try {
     if (!supabase) {
       return res.json({ success: false, message: 'Database not connected' });
@@ -1924,7 +5347,7 @@ app.get('/api/admin/questions', requireAdmin, async (req, res) => {
     
     const { data, error } = await supabase
       .from('traffic_readings')
-      .select('id, timestamp, traffic_summary, ls_to_sa_status, ls_to_sa_detail, sa_to_ls_status, sa_to_ls_detail, advice, response_time_ms')
+      .select('id, timestamp, traffic_summary, ls_to_sa_status, ls_to_sa_detail, sa_to_ls_status, sa_to_ls_detail, advice, response_time_ms, question_intent, question_language, question_direction, question_location, question_time_ref')
       .gte('timestamp', periodStart)
       .order('timestamp', { ascending: false })
       .limit(limit);
@@ -1938,48 +5361,176 @@ app.get('/api/admin/questions', requireAdmin, async (req, res) => {
   }
 });
 
-app.get('/api/debug', (req, res) => {
-  // Count frames by angle type
-  const angleCounts = screenshotBuffer.reduce((acc, f) => {
-    acc[f.angleType] = (acc[f.angleType] || 0) + 1;
-    return acc;
-  }, {});
-  
-  // Get cache status
-  const now = Date.now();
-  const cacheStatus = {};
-  for (const [category, cached] of Object.entries(responseCache)) {
-    if (cached) {
-      const age = Math.round((now - cached.timestamp) / 1000);
-      const isValid = age < (CACHE_TTL / 1000);
-      cacheStatus[category] = {
-        ageSeconds: age,
-        valid: isValid,
-        expiresIn: isValid ? Math.round((CACHE_TTL / 1000) - age) : 0
+// Run the intent classifier over the labelled corpus (or one question with ?q=)
+app.get('/api/admin/intent-eval', async (req, res) => {
+  if (req.query.q) {
+    return res.json({ success: true, question: req.query.q, result: classifyIntent(req.query.q) });
+  }
+
+  try {
+    const corpus = JSON.parse(await readFile(INTENT_CORPUS_PATH, 'utf8'));
+    const fields = ['intent', 'language', 'direction', 'location', 'time'];
+    const correct = Object.fromEntries(fields.map(field => [field, 0]));
+    const mismatches = [];
+
+    for (const example of corpus) {
+      const result = classifyIntent(example.question);
+      const actual = {
+        intent: result.intent,
+        language: result.language,
+        direction: result.direction,
+        location: result.location,
+        time: result.timeReference.kind
       };
-    } else {
-      cacheStatus[category] = null;
+      const wrong = fields.filter(field => (example[field] ?? null) !== actual[field]);
+      fields.filter(field => !wrong.includes(field)).forEach(field => correct[field]++);
+      if (wrong.length > 0) {
+        mismatches.push({ question: example.question, expected: example, actual, wrong });
+      }
     }
+
+    const accuracy = Object.fromEntries(fields.map(field => [field, Math.round(correct[field] / corpus.length * 1000) / 10]));
+    res.json({
+      success: true,
+      examples: corpus.length,
+      passed: corpus.length - mismatches.length,
+      accuracy,
+      mismatches
+    });
+  } catch (error) {
+    console.error('Intent eval error:', error);
+    res.status(500).json({ success: false, message: 'Failed to evaluate intent corpus' });
   }
-  
-  res.json({
-    streamUrl: config.streamUrl,
-    bufferSize: screenshotBuffer.length,
-    angleCounts: angleCounts,
+});
+
+// List a post's labelled reference frames for the local angle classifier
+app.get('/api/admin/reference-frames', resolvePost, (req, res) => {
+  const references = req.post.state.referenceFrames;
+  const counts = references.reduce((acc, r) => {
+    acc[r.angleType] = (acc[r.angleType] || 0) + 1;
+    return acc;
+  }, {});
+
+  res.json({
+    success: true,
+    post: req.post.id,
+    labels: [...Object.keys(req.post.angles), ANGLE_TYPES.USELESS],
+    counts,
+    referenceFrames: references.map(r => ({
+      id: r.id,
+      angleType: r.angleType,
+      framePath: r.framePath,
+      createdAt: r.createdAt,
+      hash: r.fingerprint.hash
+    }))
+  });
+});
+
+// Label a captured frame as a reference: `frameTimestamp` picks a buffered frame,
+// otherwise the newest frame is used
+app.post('/api/admin/reference-frames', resolvePost, async (req, res) => {
+  try {
+    const post = req.post;
+    const { angleType, frameTimestamp } = req.body;
+    const labels = [...Object.keys(post.angles), ANGLE_TYPES.USELESS];
+
+    if (!labels.includes(angleType)) {
+      return res.status(400).json({ success: false, message: `angleType must be one of: ${labels.join(', ')}` });
+    }
+
+    const candidates = [...post.state.screenshotBuffer, ...post.state.frameRing];
+    const frame = frameTimestamp
+      ? candidates.find(f => f.timestamp === Number(frameTimestamp))
+      : candidates.sort((a, b) => a.timestamp - b.timestamp).pop();
+
+    if (!frame) {
+      return res.status(404).json({ success: false, message: 'Frame not found' });
+    }
+
+    const reference = await addReferenceFrame(post, angleType, frame.screenshot);
+    auditAdmin(req, 'reference_frame.add', reference.id, { post: post.id, angleType });
+    res.json({
+      success: true,
+      reference: {
+        id: reference.id,
+        angleType: reference.angleType,
+        framePath: reference.framePath,
+        createdAt: reference.createdAt,
+        frameTimestamp: frame.timestamp
+      }
+    });
+  } catch (error) {
+    console.error('Reference frame error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add reference frame' });
+  }
+});
+
+// Remove a reference frame
+app.delete('/api/admin/reference-frames/:id', resolvePost, async (req, res) => {
+  const removed = await removeReferenceFrame(req.post, req.params.id);
+  if (!removed) {
+    return res.status(404).json({ success: false, message: 'Reference frame not found' });
+  }
+  auditAdmin(req, 'reference_frame.delete', req.params.id, { post: req.post.id });
+  res.json({ success: true });
+});
+
+app.get('/api/debug', resolvePost, (req, res) => {
+  const post = req.post;
+  const { screenshotBuffer, responseCache } = post.state;
+
+  // Count frames by angle type
+  const angleCounts = screenshotBuffer.reduce((acc, f) => {
+    acc[f.angleType] = (acc[f.angleType] || 0) + 1;
+    return acc;
+  }, {});
+  
+  // Get cache status
+  const now = Date.now();
+  const cacheStatus = {};
+  for (const [category, cached] of Object.entries(responseCache)) {
+    if (cached) {
+      const age = Math.round((now - cached.timestamp) / 1000);
+      const isValid = age < (CACHE_TTL / 1000);
+      cacheStatus[category] = {
+        ageSeconds: age,
+        valid: isValid,
+        expiresIn: isValid ? Math.round((CACHE_TTL / 1000) - age) : 0
+      };
+    } else {
+      cacheStatus[category] = null;
+    }
+  }
+  
+  res.json({
+    post: post.id,
+    streamUrl: post.streamUrl,
+    bufferSize: screenshotBuffer.length,
+    angleCounts: angleCounts,
     responseCache: cacheStatus,
     frames: screenshotBuffer.map(f => ({
       timestamp: new Date(f.timestamp).toISOString(),
       angleType: f.angleType,
-      size: f.screenshot.length
+      size: f.screenshot.length,
+      quality: f.quality ?? null
     })),
-    isCapturing,
-    isClassifying,
+    streamFrozen: post.state.streamFrozen,
+    isCapturing: Boolean(post.state.captureInFlight),
+    isClassifying: post.state.isClassifying,
+    classifier: {
+      ...post.state.classifierStats,
+      referenceFrames: post.state.referenceFrames.length
+    },
+    detectorUrl: config.detectorUrl,
+    detectors: getDetectorHealth(),
+    ingest: getIngestStats(post),
+    ptzSchedule: getPtzScheduleInfo(post),
     supabaseConnected: !!supabase
   });
 });
 
 // Get traffic history from database
-app.get('/api/history', async (req, res) => {
+app.get('/api/history', resolvePost, async (req, res) => {
   if (!supabase) {
     return res.json({ 
       success: false, 
@@ -1995,6 +5546,7 @@ app.get('/api/history', async (req, res) => {
     const { data, error } = await supabase
       .from('traffic_readings')
       .select('*')
+      .eq('border_post', req.post.id)
       .gte('timestamp', new Date(Date.now() - hours * 60 * 60 * 1000).toISOString())
       .order('timestamp', { ascending: false })
       .limit(limit);
@@ -2003,10 +5555,28 @@ app.get('/api/history', async (req, res) => {
       return res.json({ success: false, message: error.message, readings: [] });
     }
     
+    // Numeric detector data grouped per reading so charts can plot vehicle numbers directly
+    const readings = (data || []).map(reading => ({
+      ...reading,
+      counts: reading.detector_counts ? {
+        lsToSa: reading.ls_to_sa_count,
+        saToLs: reading.sa_to_ls_count,
+        total: reading.vehicle_total,
+        breakdown: {
+          lsToSa: reading.ls_to_sa_breakdown,
+          saToLs: reading.sa_to_ls_breakdown
+        },
+        directionUncertain: reading.direction_uncertain,
+        detectorLatencyMs: reading.detector_latency_ms,
+        raw: reading.detector_counts
+      } : null
+    }));
+    
     res.json({
       success: true,
-      readings: data || [],
-      count: data?.length || 0
+      readings: readings,
+      count: readings.length,
+      withCounts: readings.filter(r => r.counts).length
     });
   } catch (err) {
     res.json({ success: false, message: err.message, readings: [] });
@@ -2014,7 +5584,7 @@ app.get('/api/history', async (req, res) => {
 });
 
 // Get typical traffic patterns
-app.get('/api/patterns', async (req, res) => {
+app.get('/api/patterns', resolvePost, async (req, res) => {
   if (!supabase) {
     return res.json({ 
       success: false, 
@@ -2024,7 +5594,7 @@ app.get('/api/patterns', async (req, res) => {
   }
   
   try {
-    const typical = await getTypicalTraffic();
+    const typical = await getTypicalTraffic(req.post);
     
     res.json({
       success: true,
@@ -2038,7 +5608,7 @@ app.get('/api/patterns', async (req, res) => {
 });
 
 // Insights API endpoint for charts and analytics
-app.get('/api/insights', async (req, res) => {
+app.get('/api/insights', resolvePost, async (req, res) => {
   if (!supabase) {
     return res.json({ 
       success: false, 
@@ -2055,6 +5625,7 @@ app.get('/api/insights', async (req, res) => {
     const { data: readings, error } = await supabase
       .from('traffic_readings')
       .select('*')
+      .eq('border_post', req.post.id)
       .gte('timestamp', sevenDaysAgo.toISOString())
       .order('timestamp', { ascending: false });
     
@@ -2144,17 +5715,155 @@ app.get('/api/insights', async (req, res) => {
 // USER AUTHENTICATION ENDPOINTS
 // =============================================
 
-// Simple hash function for passwords (SHA-256)
+const SCRYPT_COST = { N: 16384, r: 8, p: 1 };      // ~16 MB and ~50 ms per hash
+const SCRYPT_KEY_LENGTH = 32;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;   // 30 days
+
+const scryptAsync = promisify(scrypt);
+
+// Hash of a random password nobody knows - checked when the account doesn't exist so a
+// failed login takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = 'scrypt$16384$8$1$YWZsjp3Et+rzTZdOBdQQ2Q==$QGPki5P4UUFmVztC95LkTmC4k4aU9AUMRxyINxuEWBQ=';
+
+// Without SESSION_SECRET every restart signs out all users
+const sessionSecret = config.sessionSecret || Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('base64');
+if (!config.sessionSecret) {
+  console.warn('⚠️ SESSION_SECRET not set - user sessions will not survive a restart');
+}
+
+// Salted scrypt hash, stored as "scrypt$N$r$p$salt$hash" so the cost can be raised later
 async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  const salt = Buffer.from(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_COST);
+  const { N, r, p } = SCRYPT_COST;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// The original unsalted SHA-256 hex digest, kept only to verify accounts created before scrypt
+async function legacyPasswordHash(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return Buffer.from(hashBuffer).toString('hex');
+}
+
+// Check a password against its stored hash. Legacy SHA-256 hashes still verify and come
+// back with needsRehash so the caller can upgrade them.
+async function verifyPassword(password, stored) {
+  if (!stored) return { valid: false, needsRehash: false };
+
+  if (stored.startsWith('scrypt$')) {
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const cost = { N: Number(N), r: Number(r), p: Number(p) };
+    const candidate = await scryptAsync(password, Buffer.from(salt, 'base64'), SCRYPT_KEY_LENGTH, cost);
+    return {
+      valid: safeEqual(candidate.toString('base64'), hash),
+      needsRehash: cost.N !== SCRYPT_COST.N || cost.r !== SCRYPT_COST.r || cost.p !== SCRYPT_COST.p
+    };
+  }
+
+  return { valid: safeEqual(await legacyPasswordHash(password), stored), needsRehash: true };
+}
+
+// Security answers are compared case- and spacing-insensitively, then hashed like passwords
+function normalizeAnswer(answer) {
+  return String(answer).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function hashSecurityAnswer(answer) {
+  return hashPassword(normalizeAnswer(answer));
+}
+
+// Older rows hold the lowercased answer in plaintext - accepted once, then rehashed
+async function verifySecurityAnswer(answer, stored) {
+  if (stored?.startsWith('scrypt$')) return verifyPassword(normalizeAnswer(answer), stored);
+  const valid = !!stored && (stored === String(answer).toLowerCase() || normalizeAnswer(stored) === normalizeAnswer(answer));
+  return { valid, needsRehash: true };
+}
+
+// Ties a session to the password it was issued under: a password change ends old sessions
+async function passwordFingerprint(passwordHash) {
+  return (await hmacDigest('SHA-256', sessionSecret, passwordHash || '', 'base64url')).slice(0, 16);
+}
+
+// Stateless session token: base64url({ sub, pwd, exp }) + "." + HMAC signature
+async function createSessionToken(user) {
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    pwd: await passwordFingerprint(user.password_hash),
+    exp: expiresAt
+  })).toString('base64url');
+  const signature = await hmacDigest('SHA-256', sessionSecret, payload, 'base64url');
+  return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// The session's user row, or null when the token is missing, forged, expired or outdated
+async function resolveSessionUser(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+  if (!safeEqual(await hmacDigest('SHA-256', sessionSecret, payload, 'base64url'), signature)) return null;
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!session.sub || !(session.exp > Date.now())) return null;
+
+  const { data: user } = await supabase
+    .from('traffic_users')
+    .select('id, phone_full, country_residence, email, name, password_hash, preferences, phone_verified_at')
+    .eq('id', session.sub)
+    .maybeSingle();
+  if (!user || session.pwd !== await passwordFingerprint(user.password_hash)) return null;
+  return user;
+}
+
+// Middleware for per-user routes: req.user from the Bearer session token
+async function requireUser(req, res, next) {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+  try {
+    req.user = await resolveSessionUser(req);
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Please log in again' });
+  }
+  next();
+}
+
+// Like requireUser, but anonymous requests carry on with req.user = null
+async function optionalUser(req, res, next) {
+  req.user = null;
+  if (supabase && req.headers.authorization) {
+    try {
+      req.user = await resolveSessionUser(req);
+    } catch (err) {
+      console.error('Session check error:', err);
+    }
+  }
+  next();
+}
+
+// Profile fields returned to the signed-in user
+function publicUser(user) {
+  return {
+    id: user.id,
+    phone: user.phone_full,
+    country: user.country_residence,
+    name: user.name,
+    phoneVerified: !!user.phone_verified_at,
+    preferences: user.preferences
+  };
 }
 
 // Register new user
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', authRateLimit, async (req, res) => {
   if (!supabase) {
     return res.status(503).json({ success: false, message: 'Database not available' });
   }
@@ -2174,6 +5883,9 @@ app.post('/api/auth/register', async (req, res) => {
 
     // Validate phone format
     const cleanPhone = phone.replace(/\s/g, '');
+    if (!/^\+\d{1,4}$/.test(countryCode) || !/^\d{6,12}$/.test(cleanPhone)) {
+      return res.status(400).json({ success: false, message: 'Please enter a valid phone number' });
+    }
     if (countryCode === '+266' && cleanPhone.length !== 8) {
       return res.status(400).json({ success: false, message: 'Lesotho phone must be 8 digits' });
     }
@@ -2200,8 +5912,9 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(409).json({ success: false, message: 'Phone number already registered' });
     }
 
-    // Hash password
+    // Hash password and security answers
     const passwordHash = await hashPassword(password);
+    const [answerHash1, answerHash2] = await Promise.all([hashSecurityAnswer(securityA1), hashSecurityAnswer(securityA2)]);
 
     // Insert new user
     const { data, error } = await supabase
@@ -2215,11 +5928,11 @@ app.post('/api/auth/register', async (req, res) => {
         email: email ? email.toLowerCase() : null,
         name: name || null,
         security_q1: securityQ1,
-        security_a1: securityA1.toLowerCase(),
+        security_a1: answerHash1,
         security_q2: securityQ2,
-        security_a2: securityA2.toLowerCase()
+        security_a2: answerHash2
       })
-      .select('id, phone_full, country_residence, name, created_at')
+      .select('id, phone_full, country_residence, name, password_hash, preferences, phone_verified_at, created_at')
       .single();
 
     if (error) {
@@ -2229,15 +5942,19 @@ app.post('/api/auth/register', async (req, res) => {
 
     console.log(`✅ New user registered: ${phoneFull} (${countryResidence})`);
 
+    // Start phone verification straight away; the user confirms with /api/auth/otp/verify
+    const verification = await issueOtp(phoneFull, 'verify', null, req.ip);
+    if (verification.error) {
+      console.error(`⚠️ Verification code not sent to ${phoneFull}: ${verification.error}`);
+    }
+
+    const session = await createSessionToken(data);
     res.json({
       success: true,
       message: 'Registration successful',
-      user: {
-        id: data.id,
-        phone: data.phone_full,
-        country: data.country_residence,
-        name: data.name
-      }
+      user: publicUser(data),
+      verificationSent: !verification.error,
+      ...session
     });
 
   } catch (err) {
@@ -2246,243 +5963,1222 @@ app.post('/api/auth/register', async (req, res) => {
   }
 });
 
-// Login user
-app.post('/api/auth/login', async (req, res) => {
+// Login user. Unknown numbers and wrong passwords get the same answer in the same time,
+// and wrong passwords lock the number out like reset answers do.
+app.post('/api/auth/login', authRateLimit, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const { phone, countryCode, password } = req.body;
+
+    if (!phone || !countryCode || !password) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const cleanPhone = phone.replace(/\s/g, '');
+    const phoneFull = countryCode + cleanPhone;
+
+    const phoneKey = `login:${phoneFull}`;
+    const locked = authLockRemaining(phoneKey);
+    if (locked > 0) {
+      res.set('Retry-After', Math.ceil(locked / 1000));
+      return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+    }
+
+    // Find user
+    const { data: user } = await supabase
+      .from('traffic_users')
+      .select('id, phone_full, country_residence, name, password_hash, preferences, phone_verified_at')
+      .eq('phone_full', phoneFull)
+      .maybeSingle();
+
+    // Check password
+    const check = await verifyPassword(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+    const valid = !!user && check.valid;
+    const { needsRehash } = check;
+    if (!valid) {
+      recordAuthAttempt(phoneKey, AUTH_LIMITS.phone);
+      return res.status(401).json({ success: false, message: 'Incorrect phone number or password' });
+    }
+    authAttempts.delete(phoneKey);
+
+    // Update last login, upgrading a legacy SHA-256 hash now that we have the password
+    const updates = { last_login: new Date().toISOString() };
+    if (needsRehash) {
+      updates.password_hash = await hashPassword(password);
+      user.password_hash = updates.password_hash;
+      console.log(`🔐 Upgraded password hash for: ${phoneFull}`);
+    }
+    await supabase
+      .from('traffic_users')
+      .update(updates)
+      .eq('id', user.id);
+
+    console.log(`✅ User logged in: ${phoneFull}`);
+
+    const session = await createSessionToken(user);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: publicUser(user),
+      ...session
+    });
+
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Current user for a stored session token
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: publicUser(req.user) });
+});
+
+// =============================================
+// PASSWORD RESET PROTECTION
+// =============================================
+// The reset flow is init (security questions) -> verify (answers) -> complete (new
+// password). A correct verify hands out a single-use reset token that complete
+// requires. Unknown numbers get the same answers as real ones, and failed attempts
+// are counted per phone and per IP with a lockout once the limit is hit. The same
+// counters and IP limit guard registration, login and the OTP routes.
+
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000;
+const AUTH_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_LOCKOUT_MS = 30 * 60 * 1000;
+const AUTH_LIMITS = {
+  phone: 5,      // Wrong answers (or OTP codes) for one number per window
+  ip: 20         // Reset requests (any step) from one address per window
+};
+const DECOY_QUESTION_TTL_MS = 60 * 60 * 1000;
+
+const resetTokens = new Map();     // token -> { userId, phoneFull, expiresAt }
+const authAttempts = new Map();   // "phone:+266..." / "ip:1.2.3.4" -> { count, windowStart, lockedUntil }
+let decoyQuestions = { questions: [], loadedAt: 0 };
+
+// Milliseconds left on a lockout, 0 when the key may try again
+function authLockRemaining(key) {
+  const entry = authAttempts.get(key);
+  return entry?.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+}
+
+// Count an attempt against a key, locking it once it passes its limit
+function recordAuthAttempt(key, limit) {
+  const now = Date.now();
+  let entry = authAttempts.get(key);
+  if (!entry || now - entry.windowStart > AUTH_WINDOW_MS) {
+    entry = { count: 0, windowStart: now, lockedUntil: 0 };
+    authAttempts.set(key, entry);
+  }
+  entry.count++;
+  if (entry.count >= limit) {
+    entry.lockedUntil = now + AUTH_LOCKOUT_MS;
+    console.warn(`🔒 Locked ${key} after ${entry.count} attempts`);
+  }
+}
+
+// Middleware for every reset step, registration and login: refuse locked-out
+// addresses, count the rest
+function authRateLimit(req, res, next) {
+  const key = `ip:${req.ip}`;
+  const remaining = authLockRemaining(key);
+  if (remaining > 0) {
+    res.set('Retry-After', Math.ceil(remaining / 1000));
+    return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+  }
+  recordAuthAttempt(key, AUTH_LIMITS.ip);
+  next();
+}
+
+// Drop expired tokens and finished attempt windows
+function pruneResetState() {
+  const now = Date.now();
+  for (const [token, reset] of resetTokens) {
+    if (reset.expiresAt <= now) resetTokens.delete(token);
+  }
+  for (const [key, entry] of authAttempts) {
+    if (entry.lockedUntil <= now && now - entry.windowStart > AUTH_WINDOW_MS) authAttempts.delete(key);
+  }
+}
+setInterval(pruneResetState, 5 * 60 * 1000).unref();
+
+function issueResetToken(user, phoneFull) {
+  // One live token per user - a new verify replaces the old one
+  for (const [token, reset] of resetTokens) {
+    if (reset.userId === user.id) resetTokens.delete(token);
+  }
+  const token = Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('base64url');
+  resetTokens.set(token, { userId: user.id, phoneFull, expiresAt: Date.now() + RESET_TOKEN_TTL_MS });
+  return token;
+}
+
+// Take a reset token: valid at most once, null when unknown or expired
+function consumeResetToken(token) {
+  const reset = token ? resetTokens.get(token) : null;
+  if (!reset) return null;
+  resetTokens.delete(token);
+  return reset.expiresAt > Date.now() ? reset : null;
+}
+
+// Questions real users picked, so an unknown number gets a believable pair
+async function loadDecoyQuestions() {
+  if (decoyQuestions.questions.length >= 2 && Date.now() - decoyQuestions.loadedAt < DECOY_QUESTION_TTL_MS) {
+    return decoyQuestions.questions;
+  }
+  const { data } = await supabase
+    .from('traffic_users')
+    .select('security_q1, security_q2')
+    .limit(500);
+  const questions = [...new Set((data || []).flatMap(row => [row.security_q1, row.security_q2]).filter(Boolean))].sort();
+  decoyQuestions = { questions, loadedAt: Date.now() };
+  return questions;
+}
+
+// The same two questions every time for a given unknown number
+async function decoyQuestionsFor(phoneFull) {
+  const questions = await loadDecoyQuestions();
+  if (questions.length < 2) return [null, null];
+  const digest = Buffer.from(await hmacDigest('SHA-256', sessionSecret, phoneFull, 'hex'), 'hex');
+  const first = digest[0] % questions.length;
+  const second = (first + 1 + digest[1] % (questions.length - 1)) % questions.length;
+  return [questions[first], questions[second]];
+}
+
+// Helper function to mask email
+function maskEmail(email) {
+  if (!email) return '';
+  const [local, domain] = email.split('@');
+  const maskedLocal = local.charAt(0) + '*'.repeat(Math.max(local.length - 2, 1)) + local.slice(-1);
+  return `${maskedLocal}@${domain}`;
+}
+
+// Password Reset Step 1: Initialize (get security questions)
+app.post('/api/auth/reset/init', authRateLimit, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const { phone, countryCode } = req.body;
+
+    if (!phone || !countryCode) {
+      return res.status(400).json({ success: false, message: 'Phone number is required' });
+    }
+
+    const cleanPhone = phone.replace(/\s/g, '');
+    const phoneFull = countryCode + cleanPhone;
+
+    const { data: user } = await supabase
+      .from('traffic_users')
+      .select('id, security_q1, security_q2')
+      .eq('phone_full', phoneFull)
+      .maybeSingle();
+
+    // Unknown numbers look the same as registered ones (stable decoy questions). Whether
+    // there's an email on file only comes back from verify.
+    if (!user) {
+      const [securityQ1, securityQ2] = await decoyQuestionsFor(phoneFull);
+      return res.json({ success: true, securityQ1, securityQ2 });
+    }
+
+    res.json({
+      success: true,
+      securityQ1: user.security_q1,
+      securityQ2: user.security_q2
+    });
+
+  } catch (err) {
+    console.error('Reset init error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Password Reset Step 2: Verify security answers - a match returns the reset token
+app.post('/api/auth/reset/verify', authRateLimit, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const { phone, countryCode, answer1, answer2 } = req.body;
+
+    if (!phone || !countryCode || !answer1 || !answer2) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const cleanPhone = phone.replace(/\s/g, '');
+    const phoneFull = countryCode + cleanPhone;
+
+    const phoneKey = `phone:${phoneFull}`;
+    const locked = authLockRemaining(phoneKey);
+    if (locked > 0) {
+      res.set('Retry-After', Math.ceil(locked / 1000));
+      return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+    }
+
+    const { data: user } = await supabase
+      .from('traffic_users')
+      .select('id, security_a1, security_a2, email')
+      .eq('phone_full', phoneFull)
+      .maybeSingle();
+
+    // Check both answers (case-insensitive). Unknown numbers still pay for a hash so
+    // the response time doesn't give them away.
+    let check1 = { valid: false };
+    let check2 = { valid: false };
+    if (user) {
+      [check1, check2] = await Promise.all([
+        verifySecurityAnswer(answer1, user.security_a1),
+        verifySecurityAnswer(answer2, user.security_a2)
+      ]);
+    } else {
+      await hashSecurityAnswer(answer1);
+    }
+    
+    if (check1.valid && check2.valid) {
+      console.log(`✅ Security questions verified for: ${phoneFull}`);
+      // Replace plaintext answers from before hashing
+      if (check1.needsRehash || check2.needsRehash) {
+        const [answerHash1, answerHash2] = await Promise.all([hashSecurityAnswer(answer1), hashSecurityAnswer(answer2)]);
+        await supabase
+          .from('traffic_users')
+          .update({ security_a1: answerHash1, security_a2: answerHash2 })
+          .eq('id', user.id);
+      }
+      authAttempts.delete(phoneKey);
+      res.json({
+        success: true,
+        resetToken: issueResetToken(user, phoneFull),
+        expiresIn: RESET_TOKEN_TTL_MS / 1000,
+        hasEmail: !!user.email,
+        maskedEmail: user.email ? maskEmail(user.email) : null
+      });
+    } else {
+      recordAuthAttempt(phoneKey, AUTH_LIMITS.phone);
+      res.json({ success: false, message: 'One or both answers are incorrect' });
+    }
+
+  } catch (err) {
+    console.error('Reset verify error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Password Reset Step 3: Complete (set new password with the token from step 2)
+app.post('/api/auth/reset/complete', authRateLimit, async (req, res) => {
   if (!supabase) {
     return res.status(503).json({ success: false, message: 'Database not available' });
   }
 
-  try {
-    const { phone, countryCode, password } = req.body;
+  try {
+    const { resetToken, newPassword } = req.body;
+
+    if (!resetToken || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    }
+
+    const reset = consumeResetToken(resetToken);
+    if (!reset) {
+      return res.status(401).json({ success: false, message: 'Reset link has expired. Please answer your security questions again.' });
+    }
+
+    // A new hash also changes the session fingerprint, so existing logins end here
+    const passwordHash = await hashPassword(newPassword);
+
+    const { error } = await supabase
+      .from('traffic_users')
+      .update({ password_hash: passwordHash })
+      .eq('id', reset.userId);
+
+    if (error) {
+      return res.status(500).json({ success: false, message: 'Failed to update password' });
+    }
+
+    console.log(`✅ Password reset completed for: ${reset.phoneFull}`);
+    res.json({ success: true, message: 'Password reset successfully' });
+
+  } catch (err) {
+    console.error('Reset complete error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Password Reset Fallback: email support the account details so they can verify the
+// user by hand. Registered or not, the caller gets the same answer straight away.
+app.post('/api/auth/reset/email', authRateLimit, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const { phone, countryCode } = req.body;
+
+    if (!phone || !countryCode) {
+      return res.status(400).json({ success: false, message: 'Phone number is required' });
+    }
+
+    const cleanPhone = phone.replace(/\s/g, '');
+    const phoneFull = countryCode + cleanPhone;
+
+    // Get user details
+    const { data: user } = await supabase
+      .from('traffic_users')
+      .select('id, name, country_residence, created_at')
+      .eq('phone_full', phoneFull)
+      .maybeSingle();
+
+    if (user && !config.resendApiKey) {
+      console.warn('⚠️ Password reset support request dropped: RESEND_API_KEY is not set');
+    } else if (user) {
+      // Not awaited - a slow send would tell registered numbers apart
+      sendEmail(config.supportEmail, 'Password reset request', [
+        'A user asked for help resetting their password. Verify them before changing anything.',
+        '',
+        `Phone: ${phoneFull}`,
+        `Name: ${user.name || 'Not provided'}`,
+        `Country: ${user.country_residence}`,
+        `Registered: ${user.created_at}`
+      ].join('\n')).catch(err => console.error('❌ Reset support email failed:', err.message));
+    }
+
+    res.json({ success: true, message: 'If that number is registered, support will be in touch' });
+
+  } catch (err) {
+    console.error('Reset email error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// =============================================
+// PHONE VERIFICATION (OTP)
+// =============================================
+// Proves a user owns their number: a 6-digit code is sent by SMS, stored only as an
+// HMAC in phone_otps with an expiry, and checked once. Verified numbers unlock SMS and
+// WhatsApp alerts and WhatsApp linking; with OTP_LOGIN=on a code also signs users in
+// without a password.
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_MS = 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;          // Wrong guesses before a code stops working
+const OTP_PHONE_LIMIT = 5;           // Codes per number per attempt window
+const OTP_IP_LIMIT = 10;             // Codes to any number from one address per attempt window
+const OTP_PURPOSES = ['verify', 'login'];
+
+const OTP_PROVIDERS = {
+  webhook: {
+    configured: () => !!config.alertWebhookUrl,
+    send: (to, text) => sendGatewayMessage('sms', to, text)
+  },
+  // Local testing: the code only goes to the server log
+  console: {
+    configured: () => true,
+    send: async (to, text) => console.log(`📟 OTP to ${to}: ${text}`)
+  }
+};
+
+if (config.otpProvider === 'console') {
+  console.warn('⚠️ OTP_PROVIDER is console - verification codes are only logged, not sent');
+}
+
+function otpHash(phoneFull, purpose, code) {
+  return hmacDigest('SHA-256', sessionSecret, `${purpose}:${phoneFull}:${code}`, 'hex');
+}
+
+// Create and send a code. Returns {} when sent, or { error, status, retryAfter }.
+// `ip` caps the codes one address can have sent, across numbers (SMS pumping).
+async function issueOtp(phoneFull, purpose, language = null, ip = null) {
+  const provider = OTP_PROVIDERS[config.otpProvider];
+  if (!provider?.configured()) {
+    return { error: 'Phone verification is not available', status: 503 };
+  }
+
+  const phoneKey = `otp:${phoneFull}`;
+  const ipKey = ip ? `otp-ip:${ip}` : null;
+  const locked = Math.max(authLockRemaining(phoneKey), ipKey ? authLockRemaining(ipKey) : 0);
+  if (locked > 0) {
+    return { error: 'Too many codes requested. Please try again later.', status: 429, retryAfter: Math.ceil(locked / 1000) };
+  }
+
+  const { data: previous } = await supabase
+    .from('phone_otps')
+    .select('created_at')
+    .eq('phone_full', phoneFull)
+    .eq('purpose', purpose)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  const sinceLast = previous ? Date.now() - new Date(previous.created_at).getTime() : Infinity;
+  if (sinceLast < OTP_RESEND_MS) {
+    return { error: 'Please wait a minute before requesting another code', status: 429, retryAfter: Math.ceil((OTP_RESEND_MS - sinceLast) / 1000) };
+  }
+  recordAuthAttempt(phoneKey, OTP_PHONE_LIMIT);
+  if (ipKey) recordAuthAttempt(ipKey, OTP_IP_LIMIT);
+
+  // Only the newest code is usable
+  await supabase
+    .from('phone_otps')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('phone_full', phoneFull)
+    .eq('purpose', purpose)
+    .is('consumed_at', null);
+
+  const code = String(randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  const { error } = await supabase.from('phone_otps').insert({
+    phone_full: phoneFull,
+    purpose,
+    code_hash: await otpHash(phoneFull, purpose, code),
+    expires_at: new Date(Date.now() + OTP_TTL_MS).toISOString()
+  });
+  if (error) {
+    console.error('❌ Failed to store OTP:', error.message);
+    return { error: 'Could not send a code', status: 500 };
+  }
+
+  try {
+    await provider.send(phoneFull, t(language, 'otp.message', { code, minutes: OTP_TTL_MS / 60000 }));
+  } catch (err) {
+    console.error(`❌ OTP delivery to ${phoneFull} failed:`, err.message);
+    return { error: 'Could not send a code', status: 502 };
+  }
+  console.log(`📟 OTP (${purpose}) sent to ${phoneFull} via ${config.otpProvider}`);
+  return {};
+}
+
+// Check a code against the newest live one. Returns {} when it matches, or { error }.
+async function verifyOtp(phoneFull, purpose, code) {
+  const { data: otp } = await supabase
+    .from('phone_otps')
+    .select('id, code_hash, attempts, expires_at')
+    .eq('phone_full', phoneFull)
+    .eq('purpose', purpose)
+    .is('consumed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!otp || new Date(otp.expires_at) <= new Date() || otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { error: 'Code has expired. Please request a new one.' };
+  }
+
+  if (!safeEqual(await otpHash(phoneFull, purpose, String(code).trim()), otp.code_hash)) {
+    await supabase.from('phone_otps').update({ attempts: otp.attempts + 1 }).eq('id', otp.id);
+    return { error: 'Incorrect code' };
+  }
+
+  await supabase.from('phone_otps').update({ consumed_at: new Date().toISOString() }).eq('id', otp.id);
+  return {};
+}
+
+// { purpose, phone?, countryCode? } - "verify" is for the signed-in user's own number,
+// "login" (OTP_LOGIN=on) takes a number and answers the same whether it's registered or not
+app.post('/api/auth/otp/request', authRateLimit, optionalUser, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const purpose = req.body.purpose || 'verify';
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ success: false, message: `purpose must be one of: ${OTP_PURPOSES.join(', ')}` });
+    }
+
+    let phoneFull;
+    let language = null;
+    if (purpose === 'verify') {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Please log in again' });
+      }
+      if (req.user.phone_verified_at) {
+        return res.json({ success: true, message: 'Phone number already verified' });
+      }
+      phoneFull = req.user.phone_full;
+      language = resolveLanguage(req.user.preferences?.language);
+    } else {
+      if (!config.otpLogin) {
+        return res.status(404).json({ success: false, message: 'Code login is not enabled' });
+      }
+      const { phone, countryCode } = req.body;
+      if (!phone || !countryCode) {
+        return res.status(400).json({ success: false, message: 'Phone number is required' });
+      }
+      phoneFull = countryCode + phone.replace(/\s/g, '');
+
+      const { data: user } = await supabase
+        .from('traffic_users')
+        .select('id, preferences')
+        .eq('phone_full', phoneFull)
+        .maybeSingle();
+      if (!user) {
+        return res.json({ success: true, message: 'If that number is registered, a code is on its way' });
+      }
+      language = resolveLanguage(user.preferences?.language);
+    }
+
+    const result = await issueOtp(phoneFull, purpose, language, req.ip);
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', result.retryAfter);
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: purpose === 'login' ? 'If that number is registered, a code is on its way' : 'Code sent',
+      expiresIn: OTP_TTL_MS / 1000
+    });
+  } catch (err) {
+    console.error('OTP request error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// { purpose, code, phone?, countryCode? } - verify marks the number verified; login
+// returns a session token like /api/auth/login
+app.post('/api/auth/otp/verify', authRateLimit, optionalUser, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, message: 'Database not available' });
+  }
+
+  try {
+    const purpose = req.body.purpose || 'verify';
+    const { code } = req.body;
+    if (!OTP_PURPOSES.includes(purpose) || !code) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    let phoneFull;
+    if (purpose === 'verify') {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Please log in again' });
+      }
+      phoneFull = req.user.phone_full;
+    } else {
+      if (!config.otpLogin) {
+        return res.status(404).json({ success: false, message: 'Code login is not enabled' });
+      }
+      const { phone, countryCode } = req.body;
+      if (!phone || !countryCode) {
+        return res.status(400).json({ success: false, message: 'Phone number is required' });
+      }
+      phoneFull = countryCode + phone.replace(/\s/g, '');
+    }
+
+    const phoneKey = `otp-verify:${phoneFull}`;
+    const locked = authLockRemaining(phoneKey);
+    if (locked > 0) {
+      res.set('Retry-After', Math.ceil(locked / 1000));
+      return res.status(429).json({ success: false, message: 'Too many attempts. Please try again later.' });
+    }
+
+    const result = await verifyOtp(phoneFull, purpose, code);
+    if (result.error) {
+      recordAuthAttempt(phoneKey, AUTH_LIMITS.phone);
+      return res.status(401).json({ success: false, message: result.error });
+    }
+    authAttempts.delete(phoneKey);
+
+    // Either purpose proves the number - record it once
+    const now = new Date().toISOString();
+    const updates = purpose === 'login' ? { last_login: now } : {};
+    const user = purpose === 'verify' ? req.user : (await supabase
+      .from('traffic_users')
+      .select('id, phone_full, country_residence, email, name, password_hash, preferences, phone_verified_at')
+      .eq('phone_full', phoneFull)
+      .maybeSingle()).data;
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Code has expired. Please request a new one.' });
+    }
+    if (!user.phone_verified_at) {
+      updates.phone_verified_at = now;
+      user.phone_verified_at = now;
+    }
+    if (Object.keys(updates).length > 0) {
+      await supabase.from('traffic_users').update(updates).eq('id', user.id);
+    }
+
+    if (purpose === 'verify') {
+      console.log(`✅ Phone verified: ${phoneFull}`);
+      return res.json({ success: true, user: publicUser(user) });
+    }
+
+    console.log(`✅ User logged in with code: ${phoneFull}`);
+    const session = await createSessionToken(user);
+    res.json({ success: true, message: 'Login successful', user: publicUser(user), ...session });
+  } catch (err) {
+    console.error('OTP verify error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// =============================================
+// CONGESTION ALERTS
+// =============================================
+// Users subscribe to status changes per direction ("LS→SA drops to LIGHT between
+// 06:00 and 09:00", "SA→LS reaches SEVERE"). Subscriptions live in
+// traffic_users.preferences.alerts. Every new reading is evaluated: a subscription
+// fires when its condition starts to hold (or its time window opens while it holds)
+// and then waits out its cooldown. Notifications go through a retrying queue to the
+// subscription's delivery channel.
+
+const ALERT_TIME_ZONE = 'Africa/Maseru';    // Windows are in local border time
+const ALERT_CONDITIONS = ['drops_to', 'reaches'];
+const MAX_ALERTS_PER_USER = 10;
+const DEFAULT_ALERT_COOLDOWN_MIN = 60;
+const ALERT_MAX_ATTEMPTS = 3;
+const ALERT_RETRY_BASE_MS = 30 * 1000;      // 30s, 60s between attempts
+const ALERT_CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;  // Email subscriptions must be confirmed within this
+const MAX_PENDING_EMAIL_ALERTS = 3;         // Unconfirmed email subscriptions per user
+const STUB_OUTBOX_SIZE = 50;
+
+const alertSubscriptions = new Map();       // subscription id -> subscription (+ userId)
+const alertMatchState = new Map();          // subscription id -> condition held at the last reading
+const alertQueue = [];
+const stubOutbox = [];
+const alertStats = { evaluated: 0, fired: 0, sent: 0, failed: 0 };
+let alertQueueRunning = false;
+let webPushPromise = null;
+
+// Delivery channels: `configured()` gates new subscriptions, `send(delivery)` throws on
+// failure (err.permanent skips the retries)
+const ALERT_CHANNELS = {
+  push: {
+    configured: () => !!(config.vapidPublicKey && config.vapidPrivateKey),
+    send: sendWebPush
+  },
+  sms: {
+    configured: () => !!config.alertWebhookUrl,
+    send: delivery => sendGatewayMessage('sms', delivery.subscription.target, delivery.text, delivery.url)
+  },
+  whatsapp: {
+    configured: () => !!config.alertWebhookUrl,
+    send: delivery => sendGatewayMessage('whatsapp', delivery.subscription.target, delivery.text, delivery.url)
+  },
+  email: {
+    configured: () => !!config.resendApiKey,
+    send: sendAlertEmail
+  },
+  // Local testing (ALERT_STUB=on): keeps the last messages in memory (see /api/admin/alerts)
+  stub: {
+    configured: () => config.alertStub,
+    send: sendStubAlert
+  }
+};
+
+if (config.alertStub) {
+  console.warn('⚠️ ALERT_STUB is on - stub alerts are only logged, not delivered');
+}
+
+// Load web-push once (optional dependency, like onnxruntime-node for the detector)
+function getWebPush() {
+  if (!webPushPromise) {
+    webPushPromise = import('web-push').then(module => {
+      const webpush = module.default || module;
+      webpush.setVapidDetails(config.vapidSubject, config.vapidPublicKey, config.vapidPrivateKey);
+      return webpush;
+    }).catch(err => {
+      webPushPromise = null;
+      throw err;
+    });
+  }
+  return webPushPromise;
+}
+
+async function sendWebPush(delivery) {
+  const webpush = await getWebPush();
+  try {
+    await webpush.sendNotification(
+      delivery.subscription.target,
+      JSON.stringify({ title: delivery.title, body: delivery.text, url: delivery.url }),
+      { TTL: 15 * 60 }
+    );
+  } catch (err) {
+    // The browser dropped the subscription - retrying won't help
+    if (err.statusCode === 404 || err.statusCode === 410) err.permanent = true;
+    throw err;
+  }
+}
+
+// SMS and WhatsApp go through one gateway webhook that knows both - alerts, SMS menu
+// replies and OTP codes all use it
+async function sendGatewayMessage(channel, to, text, url = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.alertWebhookSecret) headers['X-Alert-Secret'] = config.alertWebhookSecret;
+
+  const response = await fetch(config.alertWebhookUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ channel, to, text, url }),
+    signal: AbortSignal.timeout(15000)
+  });
+  if (!response.ok) {
+    const err = new Error(`Gateway webhook returned ${response.status}`);
+    err.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+    throw err;
+  }
+}
+
+// Plain-text email through Resend - alerts, their confirmations and support requests
+async function sendEmail(to, subject, text) {
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${config.resendApiKey}`
+    },
+    body: JSON.stringify({ from: config.alertEmailFrom, to: [to], subject, text }),
+    signal: AbortSignal.timeout(15000)
+  });
+  if (!response.ok) {
+    const err = new Error(`Email API returned ${response.status}`);
+    err.permanent = response.status === 400 || response.status === 422;
+    throw err;
+  }
+}
+
+function sendAlertEmail(delivery) {
+  const text = delivery.url ? `${delivery.text}\n\n${delivery.url}` : delivery.text;
+  return sendEmail(delivery.subscription.target, delivery.title, text);
+}
+
+async function sendStubAlert(delivery) {
+  stubOutbox.unshift({
+    timestamp: new Date().toISOString(),
+    subscriptionId: delivery.subscription.id,
+    userId: delivery.subscription.userId,
+    target: delivery.subscription.target,
+    title: delivery.title,
+    text: delivery.text
+  });
+  if (stubOutbox.length > STUB_OUTBOX_SIZE) stubOutbox.pop();
+  console.log(`📨 [stub alert] ${delivery.text}`);
+}
 
-    if (!phone || !countryCode || !password) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
-    }
+// Minutes since local midnight at the border
+function localMinutes(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: ALERT_TIME_ZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
 
-    const cleanPhone = phone.replace(/\s/g, '');
-    const phoneFull = countryCode + cleanPhone;
-    const passwordHash = await hashPassword(password);
+// "06:30" -> 390, null when malformed
+function parseClockTime(text) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
 
-    // Find user
-    const { data: user, error } = await supabase
-      .from('traffic_users')
-      .select('id, phone_full, country_residence, name, password_hash, preferences')
-      .eq('phone_full', phoneFull)
-      .single();
+// Windows may run past midnight ("22:00"-"02:00"); no window means all day
+function inAlertWindow(window, minutes) {
+  if (!window) return true;
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
 
-    if (error || !user) {
-      return res.status(401).json({ success: false, message: 'Phone number not found' });
-    }
+function alertConditionHolds(subscription, status) {
+  const rank = TRAFFIC_STATUSES.indexOf(status);
+  const threshold = TRAFFIC_STATUSES.indexOf(subscription.status);
+  return subscription.condition === 'drops_to' ? rank <= threshold : rank >= threshold;
+}
 
-    // Check password
-    if (user.password_hash !== passwordHash) {
-      return res.status(401).json({ success: false, message: 'Incorrect password' });
-    }
+function buildAlertText(post, subscription, status) {
+  const language = subscription.language || DEFAULT_LANGUAGE;
+  const params = sharePageParams(post, language);
+  return {
+    title: t(language, 'alerts.title', { name: post.name }),
+    text: t(language, 'alerts.message', {
+      emoji: STATUS_EMOJI[status],
+      name: post.name,
+      direction: subscription.direction === 'lsToSa' ? 'LS→SA' : 'SA→LS',
+      status: t(language, `statusWords.${status}`)
+    }),
+    url: config.publicUrl ? `${config.publicUrl}/status${params ? `?${params}` : ''}` : null
+  };
+}
 
-    // Update last login
-    await supabase
-      .from('traffic_users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
+// Check every subscription for this post against a new assessment
+function evaluateAlerts(post, assessment) {
+  if (alertSubscriptions.size === 0) return;
+  alertStats.evaluated++;
 
-    console.log(`✅ User logged in: ${phoneFull}`);
+  const minutes = localMinutes();
+  const now = Date.now();
+  for (const subscription of alertSubscriptions.values()) {
+    if (subscription.postId !== post.id || !subscription.active) continue;
+
+    const status = assessment[subscription.direction].status;
+    const holds = inAlertWindow(subscription.window, minutes) && alertConditionHolds(subscription, status);
+    const held = alertMatchState.get(subscription.id) || false;
+    alertMatchState.set(subscription.id, holds);
+    if (!holds || held) continue;
+
+    const cooldownMs = subscription.cooldownMinutes * 60 * 1000;
+    if (subscription.lastNotifiedAt && now - Date.parse(subscription.lastNotifiedAt) < cooldownMs) continue;
+
+    subscription.lastNotifiedAt = new Date(now).toISOString();
+    alertStats.fired++;
+    console.log(`🔔 Alert ${subscription.id} fired: ${post.name} ${subscription.direction} ${status}`);
+    enqueueAlert({ subscription, postId: post.id, status, ...buildAlertText(post, subscription, status) });
+
+    // Persist the cooldown so a restart doesn't repeat the alert
+    if (!supabase) continue;
+    updateUserAlerts(subscription.userId, alerts => alerts.map(a =>
+      a.id === subscription.id ? { ...a, lastNotifiedAt: subscription.lastNotifiedAt } : a
+    )).catch(err => console.error('❌ Failed to save alert cooldown:', err.message));
+  }
+}
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        phone: user.phone_full,
-        country: user.country_residence,
-        name: user.name,
-        preferences: user.preferences
+function enqueueAlert(delivery) {
+  alertQueue.push({ ...delivery, attempts: 0, nextAttemptAt: Date.now() });
+  drainAlertQueue();
+}
+
+// Deliver due alerts one at a time; retries wait in the queue until their time
+async function drainAlertQueue() {
+  if (alertQueueRunning) return;
+  alertQueueRunning = true;
+  try {
+    while (alertQueue.length > 0) {
+      const now = Date.now();
+      const index = alertQueue.findIndex(d => d.nextAttemptAt <= now);
+      if (index === -1) {
+        setTimeout(drainAlertQueue, Math.min(...alertQueue.map(d => d.nextAttemptAt)) - now);
+        break;
       }
-    });
+      const [delivery] = alertQueue.splice(index, 1);
+      await deliverAlert(delivery);
+    }
+  } finally {
+    alertQueueRunning = false;
+  }
+}
 
+async function deliverAlert(delivery) {
+  const { subscription } = delivery;
+  delivery.attempts++;
+
+  try {
+    await ALERT_CHANNELS[subscription.channel].send(delivery);
+    alertStats.sent++;
+    logAlertDelivery(delivery, 'sent');
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    if (!err.permanent && delivery.attempts < ALERT_MAX_ATTEMPTS) {
+      delivery.nextAttemptAt = Date.now() + ALERT_RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+      alertQueue.push(delivery);
+      console.error(`⚠️ Alert via ${subscription.channel} failed (attempt ${delivery.attempts}), will retry:`, err.message);
+      return;
+    }
+    alertStats.failed++;
+    console.error(`❌ Alert via ${subscription.channel} failed:`, err.message);
+    logAlertDelivery(delivery, 'failed', err.message);
   }
-});
-
-// Helper function to mask email
-function maskEmail(email) {
-  if (!email) return '';
-  const [local, domain] = email.split('@');
-  const maskedLocal = local.charAt(0) + '*'.repeat(Math.max(local.length - 2, 1)) + local.slice(-1);
-  return `${maskedLocal}@${domain}`;
 }
 
-// Password Reset Step 1: Initialize (get security questions)
-app.post('/api/auth/reset/init', async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ success: false, message: 'Database not available' });
-  }
+async function logAlertDelivery(delivery, status, error = null) {
+  if (!supabase) return;
 
   try {
-    const { phone, countryCode } = req.body;
+    const { error: insertError } = await supabase.from('alert_deliveries').insert({
+      user_id: delivery.subscription.userId,
+      subscription_id: delivery.subscription.id,
+      border_post: delivery.postId,
+      channel: delivery.subscription.channel,
+      traffic_status: delivery.status,
+      message: delivery.text,
+      status,
+      attempts: delivery.attempts,
+      error
+    });
+    if (insertError) console.error('❌ Failed to log alert delivery:', insertError.message);
+  } catch (err) {
+    console.error('❌ Failed to log alert delivery:', err.message);
+  }
+}
 
-    if (!phone || !countryCode) {
-      return res.status(400).json({ success: false, message: 'Phone number is required' });
+// Replace a user's subscriptions in the in-memory index
+function indexUserAlerts(userId, alerts) {
+  for (const [id, subscription] of alertSubscriptions) {
+    if (subscription.userId === userId) {
+      alertSubscriptions.delete(id);
+      alertMatchState.delete(id);
     }
+  }
+  for (const alert of alerts) {
+    alertSubscriptions.set(alert.id, { ...alert, userId });
+  }
+}
 
-    const cleanPhone = phone.replace(/\s/g, '');
-    const phoneFull = countryCode + cleanPhone;
+// Read-modify-write a user's alert list in traffic_users.preferences
+async function updateUserAlerts(userId, mutate) {
+  const { data: user, error } = await supabase
+    .from('traffic_users')
+    .select('preferences')
+    .eq('id', userId)
+    .single();
+  if (error) throw error;
+
+  const preferences = user.preferences || {};
+  const alerts = mutate(preferences.alerts || []);
+  const { error: updateError } = await supabase
+    .from('traffic_users')
+    .update({ preferences: { ...preferences, alerts } })
+    .eq('id', userId);
+  if (updateError) throw updateError;
+
+  return alerts;
+}
+
+async function loadAlertSubscriptionsFromDB() {
+  if (!supabase) return;
 
-    const { data: user, error } = await supabase
+  try {
+    const { data, error } = await supabase
       .from('traffic_users')
-      .select('id, security_q1, security_q2, email')
-      .eq('phone_full', phoneFull)
-      .single();
+      .select('id, preferences')
+      .not('preferences->alerts', 'is', null);
+    if (error) throw error;
 
-    if (error || !user) {
-      return res.status(404).json({ success: false, message: 'Phone number not found' });
+    for (const user of data || []) {
+      indexUserAlerts(user.id, user.preferences.alerts || []);
     }
-
-    res.json({
-      success: true,
-      userId: user.id,
-      securityQ1: user.security_q1,
-      securityQ2: user.security_q2,
-      hasEmail: !!user.email,
-      maskedEmail: user.email ? maskEmail(user.email) : null
-    });
-
+    console.log(`🔔 Loaded ${alertSubscriptions.size} alert subscriptions`);
   } catch (err) {
-    console.error('Reset init error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    console.error('❌ Failed to load alert subscriptions:', err.message);
   }
-});
+}
 
-// Password Reset Step 2: Verify security answers
-app.post('/api/auth/reset/verify', async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ success: false, message: 'Database not available' });
+// Validate a subscription request; returns { subscription } or { error }
+function buildAlertSubscription(input, user) {
+  const postId = input.postId || DEFAULT_POST_ID;
+  if (!BORDER_POSTS[postId]) return { error: `Unknown border post: ${postId}` };
+  if (!['lsToSa', 'saToLs'].includes(input.direction)) return { error: 'direction must be lsToSa or saToLs' };
+  if (!ALERT_CONDITIONS.includes(input.condition)) return { error: `condition must be one of: ${ALERT_CONDITIONS.join(', ')}` };
+  if (!TRAFFIC_STATUSES.includes(input.status)) return { error: `status must be one of: ${TRAFFIC_STATUSES.join(', ')}` };
+
+  let window = null;
+  if (input.window) {
+    if (parseClockTime(input.window.start) === null || parseClockTime(input.window.end) === null) {
+      return { error: 'window needs start and end as HH:MM' };
+    }
+    window = { start: input.window.start, end: input.window.end };
   }
 
-  try {
-    const { phone, countryCode, answer1, answer2 } = req.body;
-
-    if (!phone || !countryCode || !answer1 || !answer2) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
+  const channel = input.channel;
+  if (!ALERT_CHANNELS[channel]) return { error: `channel must be one of: ${Object.keys(ALERT_CHANNELS).join(', ')}` };
+  if (!ALERT_CHANNELS[channel].configured()) return { error: `${channel} alerts are not available` };
+
+  let target = input.target || null;
+  if (channel === 'sms' || channel === 'whatsapp') {
+    // Texts only go to the user's own number, once they've proved they own it
+    target = target || user.phone_full;
+    if (target !== user.phone_full) return { error: `${channel} alerts can only go to your own number` };
+    if (!user.phone_verified_at) return { error: 'Verify your phone number before subscribing to text alerts' };
+  } else if (channel === 'email') {
+    // Any address may be given, but it gets nothing until the link sent to it is opened
+    target = target || user.email;
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(target || '')) return { error: 'target must be an email address' };
+    target = target.toLowerCase();
+  } else if (channel === 'push') {
+    if (!target?.endpoint || !target?.keys?.p256dh || !target?.keys?.auth) {
+      return { error: 'target must be a browser push subscription' };
     }
+  }
 
-    const cleanPhone = phone.replace(/\s/g, '');
-    const phoneFull = countryCode + cleanPhone;
-
-    const { data: user, error } = await supabase
-      .from('traffic_users')
-      .select('id, security_a1, security_a2')
-      .eq('phone_full', phoneFull)
-      .single();
+  const cooldownMinutes = Number(input.cooldownMinutes ?? DEFAULT_ALERT_COOLDOWN_MIN);
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 10 || cooldownMinutes > 24 * 60) {
+    return { error: 'cooldownMinutes must be between 10 and 1440' };
+  }
 
-    if (error || !user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+  return {
+    subscription: {
+      id: crypto.randomUUID(),
+      postId,
+      direction: input.direction,
+      condition: input.condition,
+      status: input.status,
+      window,
+      channel,
+      target,
+      language: resolveLanguage(input.language) || DEFAULT_LANGUAGE,
+      cooldownMinutes,
+      active: channel !== 'email',
+      lastNotifiedAt: null,
+      createdAt: new Date().toISOString()
     }
+  };
+}
 
-    // Check both answers (case-insensitive)
-    const answer1Correct = user.security_a1 === answer1.toLowerCase();
-    const answer2Correct = user.security_a2 === answer2.toLowerCase();
-    
-    if (answer1Correct && answer2Correct) {
-      console.log(`✅ Security questions verified for: ${phoneFull}`);
-      res.json({ success: true });
-    } else {
-      res.json({ success: false, message: 'One or both answers are incorrect' });
-    }
+// Shape of a subscription returned to its owner
+function publicAlert(alert) {
+  const { target, confirmHash, confirmExpiresAt, ...rest } = alert;
+  return {
+    ...rest,
+    target: alert.channel === 'push' ? { endpoint: target.endpoint } : target,
+    pendingConfirmation: !!confirmHash
+  };
+}
+
+async function alertConfirmHash(token) {
+  return Buffer.from(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))).toString('hex');
+}
+
+// Email the link that turns an email subscription on; only its hash is stored
+async function sendAlertConfirmation(subscription, req) {
+  const token = Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('base64url');
+  const base = config.publicUrl || `${req.protocol}://${req.get('host')}`;
+  await sendAlertEmail({
+    subscription,
+    title: 'Confirm your Maseru Bridge traffic alerts',
+    text: 'Someone asked for border traffic alerts to be sent to this address. Open this link to start receiving them, or ignore this email and nothing will be sent.',
+    url: `${base}/api/alerts/confirm/${token}`
+  });
+  subscription.confirmHash = await alertConfirmHash(token);
+  subscription.confirmExpiresAt = new Date(Date.now() + ALERT_CONFIRM_TTL_MS).toISOString();
+}
 
+// The signed-in user's alert subscriptions and the channels they can use
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const { user } = req;
+    res.json({
+      success: true,
+      alerts: (user.preferences?.alerts || []).map(publicAlert),
+      channels: Object.keys(ALERT_CHANNELS).filter(name => ALERT_CHANNELS[name].configured())
+    });
   } catch (err) {
-    console.error('Reset verify error:', err);
+    console.error('Alert list error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Password Reset Step 3: Complete (set new password)
-app.post('/api/auth/reset/complete', async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ success: false, message: 'Database not available' });
-  }
-
+// Subscribe: { direction, condition: drops_to|reaches, status, window?: {start, end}, channel, target?, language?, cooldownMinutes? }
+app.post('/api/alerts', async (req, res) => {
   try {
-    const { phone, countryCode, newPassword } = req.body;
+    const { user } = req;
 
-    if (!phone || !countryCode || !newPassword) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    const { subscription, error } = buildAlertSubscription(req.body, user);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    // Unconfirmed email subscriptions count towards the cap like active ones
+    const existing = user.preferences?.alerts || [];
+    if (existing.length >= MAX_ALERTS_PER_USER) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_ALERTS_PER_USER} alerts per user` });
     }
 
-    const cleanPhone = phone.replace(/\s/g, '');
-    const phoneFull = countryCode + cleanPhone;
-
-    const passwordHash = await hashPassword(newPassword);
+    if (subscription.channel === 'email') {
+      const pending = existing.filter(a => a.confirmHash && Date.parse(a.confirmExpiresAt) > Date.now());
+      if (pending.length >= MAX_PENDING_EMAIL_ALERTS) {
+        return res.status(400).json({ success: false, message: 'Confirm the alerts already emailed to you before adding more' });
+      }
 
-    const { error } = await supabase
-      .from('traffic_users')
-      .update({ password_hash: passwordHash })
-      .eq('phone_full', phoneFull);
+      // Deleting and re-adding a subscription doesn't reset these, so nobody can use
+      // alerts to mail an address over and over
+      const retryAfter = takeRateToken('alertConfirm', 'user', user.id) || takeRateToken('alertConfirm', 'email', subscription.target);
+      if (retryAfter > 0) {
+        res.set('Retry-After', retryAfter);
+        return res.status(429).json({ success: false, message: 'Too many confirmation emails. Please try again later.' });
+      }
 
-    if (error) {
-      return res.status(500).json({ success: false, message: 'Failed to update password' });
+      try {
+        await sendAlertConfirmation(subscription, req);
+      } catch (err) {
+        console.error('Alert confirmation email error:', err.message);
+        return res.status(502).json({ success: false, message: 'Could not send the confirmation email' });
+      }
     }
 
-    console.log(`✅ Password reset completed for: ${phoneFull}`);
-    res.json({ success: true, message: 'Password reset successfully' });
+    const alerts = await updateUserAlerts(user.id, existing => [...existing, subscription]);
+    indexUserAlerts(user.id, alerts);
 
+    console.log(`🔔 Alert subscription ${subscription.id} for ${user.phone_full}: ${subscription.direction} ${subscription.condition} ${subscription.status} via ${subscription.channel}`);
+    res.json({ success: true, alert: publicAlert(subscription) });
   } catch (err) {
-    console.error('Reset complete error:', err);
+    console.error('Alert subscribe error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Password Reset Fallback: Send reset request to admin
-app.post('/api/auth/reset/email', async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ success: false, message: 'Database not available' });
-  }
-
+app.delete('/api/alerts/:id', async (req, res) => {
   try {
-    const { phone, countryCode } = req.body;
+    const { user } = req;
 
-    if (!phone || !countryCode) {
-      return res.status(400).json({ success: false, message: 'Phone number is required' });
+    if (!(user.preferences?.alerts || []).some(a => a.id === req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
     }
 
-    const cleanPhone = phone.replace(/\s/g, '');
-    const phoneFull = countryCode + cleanPhone;
-
-    // Get user details
-    const { data: user, error } = await supabase
-      .from('traffic_users')
-      .select('id, name, country_residence, created_at')
-      .eq('phone_full', phoneFull)
-      .single();
+    const alerts = await updateUserAlerts(user.id, existing => existing.filter(a => a.id !== req.params.id));
+    indexUserAlerts(user.id, alerts);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Alert delete error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    if (error || !user) {
-      // Return success anyway to prevent enumeration
-      return res.json({ success: true, message: 'Reset request sent' });
+// Link from the confirmation email: switches the email subscription on
+app.get('/api/alerts/confirm/:token', authRateLimit, async (req, res) => {
+  try {
+    const confirmHash = await alertConfirmHash(req.params.token);
+    const pending = [...alertSubscriptions.values()].find(a => a.confirmHash && safeEqual(a.confirmHash, confirmHash));
+    if (!pending || Date.parse(pending.confirmExpiresAt) < Date.now()) {
+      return res.status(404).type('text').send('This confirmation link is invalid or has expired. Subscribe again to get a new one.');
     }
 
-    // Log the request (in production, send email to admin@4dcs.co.za)
-    console.log(`📧 Password reset request for admin@4dcs.co.za:`);
-    console.log(`   Phone: ${phoneFull}`);
-    console.log(`   Name: ${user.name || 'Not provided'}`);
-    console.log(`   Country: ${user.country_residence}`);
-    console.log(`   Registered: ${user.created_at}`);
-    
-    // TODO: Send actual email to admin@4dcs.co.za with user details
-    // Use Resend, SendGrid, or similar service
-    // Email should contain: phone number, name, country, registration date
-    // Admin can then manually verify and reset the password
-
-    res.json({ success: true, message: 'Reset request sent to support' });
+    const alerts = await updateUserAlerts(pending.userId, existing => existing.map(alert => {
+      if (alert.id !== pending.id) return alert;
+      const { confirmHash: _hash, confirmExpiresAt: _expiresAt, ...confirmed } = alert;
+      return { ...confirmed, active: true };
+    }));
+    indexUserAlerts(pending.userId, alerts);
 
+    console.log(`✅ Email alert ${pending.id} confirmed`);
+    res.type('text').send(`Confirmed - traffic alerts will now be emailed to ${pending.target}.`);
   } catch (err) {
-    console.error('Reset email error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    console.error('Alert confirm error:', err);
+    res.status(500).type('text').send('Something went wrong. Please try the link again.');
+  }
+});
+
+// VAPID public key for browsers subscribing to push alerts
+app.get('/api/alerts/push-key', (req, res) => {
+  if (!ALERT_CHANNELS.push.configured()) {
+    return res.json({ success: false, message: 'Push alerts are not configured' });
   }
+  res.json({ success: true, publicKey: config.vapidPublicKey });
+});
+
+// Alert subscriptions, delivery queue and the stub channel's outbox
+app.get('/api/admin/alerts', (req, res) => {
+  const subscriptions = [...alertSubscriptions.values()];
+  res.json({
+    success: true,
+    subscriptions: {
+      total: subscriptions.length,
+      active: subscriptions.filter(a => a.active).length,
+      byChannel: subscriptions.reduce((acc, a) => ({ ...acc, [a.channel]: (acc[a.channel] || 0) + 1 }), {})
+    },
+    channels: Object.fromEntries(Object.entries(ALERT_CHANNELS).map(([name, channel]) => [name, channel.configured()])),
+    stats: alertStats,
+    queue: alertQueue.map(d => ({
+      subscriptionId: d.subscription.id,
+      channel: d.subscription.channel,
+      attempts: d.attempts,
+      nextAttemptAt: new Date(d.nextAttemptAt).toISOString()
+    })),
+    stubOutbox
+  });
 });
 
 // Admin dashboard page
@@ -2494,18 +7190,33 @@ app.get('/admin', (req, res) => {
 // SHAREABLE ROUTES (for WhatsApp / social traction)
 // =============================================
 
-// Derive a one-line headline from the most recent cached analysis
-function getShareHeadline() {
-  const cached = responseCache.status;
+// Derive a one-line headline from the most recent cached status answer (any language -
+// only the status codes are used)
+function getShareHeadline(post, language = DEFAULT_LANGUAGE) {
+  const cached = LANGUAGES
+    .map(code => post.state.responseCache[`${code}:status`])
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
   if (!cached || (Date.now() - cached.timestamp) > CACHE_TTL) {
-    return { emoji: '📡', text: 'Checking Maseru Bridge traffic…' };
+    return { emoji: '📡', text: t(language, 'headline.checking', { name: post.name }) };
   }
-  const msg = (cached.response?.message || '').toLowerCase();
-  if (/severe|backed\s*up/.test(msg)) return { emoji: '🔴', text: 'Heavy queue at Maseru Bridge — expect delays' };
-  if (/heavy/.test(msg)) return { emoji: '🟠', text: 'Busy at Maseru Bridge right now' };
-  if (/moderate/.test(msg)) return { emoji: '🟡', text: 'Moderate traffic at Maseru Bridge' };
-  if (/light|clear|quiet|no queue/.test(msg)) return { emoji: '🟢', text: 'Moving freely at Maseru Bridge' };
-  return { emoji: '🌉', text: 'Maseru Bridge live traffic' };
+  // Worst of the two direction statuses from the structured assessment
+  const assessment = cached.response?.assessment;
+  const worst = assessment
+    ? TRAFFIC_STATUSES[Math.max(TRAFFIC_STATUSES.indexOf(assessment.lsToSa.status), TRAFFIC_STATUSES.indexOf(assessment.saToLs.status))]
+    : null;
+  const emoji = STATUS_EMOJI[worst] || '🌉';
+  return { emoji, text: t(language, `headline.${worst || 'unknown'}`, { name: post.name }) };
+}
+
+// Query-string selector for share links; the default post keeps the bare URLs
+function postParam(post) {
+  return post.id === DEFAULT_POST_ID ? '' : `post=${encodeURIComponent(post.id)}`;
+}
+
+// Post and language selectors for links between share pages
+function sharePageParams(post, language) {
+  return [postParam(post), language === DEFAULT_LANGUAGE ? '' : `lang=${language}`].filter(Boolean).join('&');
 }
 
 function escapeHtml(s) {
@@ -2519,9 +7230,9 @@ function plausibleTag() {
 
 // /og.jpg — the image used in WhatsApp / Twitter / Slack link previews.
 // Returns the latest camera frame as JPEG. Cached 60s to absorb viral-share traffic.
-app.get('/og.jpg', (req, res) => {
-  const frame = preservedFrames.bridge || preservedFrames.wide || preservedFrames.processing;
-  const img = getLatestScreenshot() || (frame && frame.screenshot);
+app.get('/og.jpg', resolvePost, (req, res) => {
+  const frame = Object.values(req.post.state.preservedFrames).find(Boolean);
+  const img = getLatestScreenshot(req.post) || (frame && frame.screenshot);
   if (!img) {
     return res.status(503).send('Camera frame not available yet');
   }
@@ -2532,33 +7243,38 @@ app.get('/og.jpg', (req, res) => {
 
 // /status — lightweight, shareable, server-rendered status page with live OG preview.
 // Works without JS. This is the URL meant to be pasted into WhatsApp groups.
-app.get('/status', async (req, res) => {
-  const headline = getShareHeadline();
+app.get('/status', resolvePost, async (req, res) => {
+  const post = req.post;
+  const language = resolveLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+  const headline = getShareHeadline(post, language);
   const title = `${headline.emoji} ${headline.text}`;
-  const description = 'Live AI-powered traffic check for the Maseru Bridge border crossing (Lesotho ↔ South Africa). Updated every few minutes.';
+  const description = t(language, 'share.description', { name: post.name });
   const base = config.publicUrl || `${req.protocol}://${req.get('host')}`;
-  const ogImage = `${base}/og.jpg?t=${Math.floor(Date.now() / 60000)}`; // rotate hourly-ish for cache busting in crawlers
+  const param = postParam(post);
+  const pageParams = sharePageParams(post, language);
+  const ogImage = `${base}/og.jpg?t=${Math.floor(Date.now() / 60000)}${param ? '&' + param : ''}`; // rotate hourly-ish for cache busting in crawlers
 
-  const latest = screenshotBuffer.length > 0 ? screenshotBuffer[screenshotBuffer.length - 1] : null;
+  const latest = getLatestFrame(post);
   const lastUpdated = latest
-    ? `${Math.round((Date.now() - latest.timestamp) / 1000)}s ago`
-    : 'waiting for first frame';
+    ? t(language, 'share.secondsAgo', { seconds: Math.round((Date.now() - latest.timestamp) / 1000) })
+    : t(language, 'share.waiting');
 
   res.set('Cache-Control', 'public, max-age=30');
   res.send(`<!DOCTYPE html>
-<html lang="en">
+<html lang="${language}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
   <title>${escapeHtml(title)}</title>
   <meta name="description" content="${escapeHtml(description)}">
   <meta property="og:type" content="website">
+  <meta property="og:locale" content="${LANGUAGE_LOCALES[language]}">
   <meta property="og:title" content="${escapeHtml(title)}">
   <meta property="og:description" content="${escapeHtml(description)}">
   <meta property="og:image" content="${escapeHtml(ogImage)}">
   <meta property="og:image:width" content="800">
   <meta property="og:image:height" content="450">
-  <meta property="og:url" content="${escapeHtml(base)}/status">
+  <meta property="og:url" content="${escapeHtml(base)}/status${pageParams ? '?' + escapeHtml(pageParams) : ''}">
   <meta name="twitter:card" content="summary_large_image">
   <meta name="twitter:title" content="${escapeHtml(title)}">
   <meta name="twitter:description" content="${escapeHtml(description)}">
@@ -2585,18 +7301,18 @@ app.get('/status', async (req, res) => {
 <body>
   <div class="wrap">
     <div class="headline">${escapeHtml(title)}</div>
-    <div class="sub">Maseru Bridge · Lesotho ↔ South Africa</div>
+    <div class="sub">${escapeHtml(post.name)} · ${escapeHtml(t(language, 'share.region'))}</div>
     <div class="card">
-      <img src="/og.jpg?t=${Date.now()}" alt="Live camera view of Maseru Bridge">
+      <img src="/og.jpg?t=${Date.now()}${param ? '&amp;' + escapeHtml(param) : ''}" alt="${escapeHtml(t(language, 'share.imageAlt', { name: post.name }))}">
       <div class="meta">
-        <span>Last frame: ${escapeHtml(lastUpdated)}</span>
-        <span>Auto-refresh 60s</span>
+        <span>${escapeHtml(t(language, 'share.lastFrame', { age: lastUpdated }))}</span>
+        <span>${escapeHtml(t(language, 'share.autoRefresh'))}</span>
       </div>
     </div>
-    <a class="cta" href="/">Ask the bot →</a>
+    <a class="cta" href="/">${escapeHtml(t(language, 'share.askBot'))}</a>
     <div class="footer">
-      AI estimate from live camera. Conditions change quickly.<br>
-      Camera by <a href="https://webcast.etl.co.ls">Econet Telecom Lesotho</a> · Built by <a href="https://4dcs.co.za">4D Climate Solutions</a>
+      ${escapeHtml(t(language, 'share.footer'))}<br>
+      ${escapeHtml(t(language, 'share.cameraBy'))} <a href="https://webcast.etl.co.ls">Econet Telecom Lesotho</a> · ${escapeHtml(t(language, 'share.builtBy'))} <a href="https://4dcs.co.za">4D Climate Solutions</a>
     </div>
   </div>
 </body>
@@ -2604,18 +7320,22 @@ app.get('/status', async (req, res) => {
 });
 
 // /embed — minimal iframe-able widget (for partner news sites, embassy, tourism pages)
-app.get('/embed', (req, res) => {
-  const headline = getShareHeadline();
+app.get('/embed', resolvePost, (req, res) => {
+  const post = req.post;
+  const language = resolveLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+  const headline = getShareHeadline(post, language);
   const title = `${headline.emoji} ${headline.text}`;
   const base = config.publicUrl || `${req.protocol}://${req.get('host')}`;
+  const param = postParam(post);
+  const pageParams = sharePageParams(post, language);
   res.set('Cache-Control', 'public, max-age=30');
   res.set('X-Frame-Options', 'ALLOWALL');
   res.send(`<!DOCTYPE html>
-<html lang="en">
+<html lang="${language}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>Maseru Bridge · Live</title>
+  <title>${escapeHtml(t(language, 'share.embedTitle', { name: post.name }))}</title>
   <meta http-equiv="refresh" content="60">
   ${plausibleTag()}
   <style>
@@ -2629,10 +7349,10 @@ app.get('/embed', (req, res) => {
   </style>
 </head>
 <body>
-  <a href="${escapeHtml(base)}/status" target="_top">
+  <a href="${escapeHtml(base)}/status${pageParams ? '?' + escapeHtml(pageParams) : ''}" target="_top">
     <div class="box">
-      <img src="/og.jpg?t=${Date.now()}" alt="Maseru Bridge live">
-      <div class="brand">maseru bridge · live</div>
+      <img src="/og.jpg?t=${Date.now()}${param ? '&amp;' + escapeHtml(param) : ''}" alt="${escapeHtml(t(language, 'share.embedTitle', { name: post.name }))}">
+      <div class="brand">${escapeHtml(post.name.toLowerCase())} · ${escapeHtml(t(language, 'share.live'))}</div>
       <div class="overlay">${escapeHtml(title)}</div>
     </div>
   </a>
@@ -2644,27 +7364,235 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Background capture
-async function startBackgroundCapture() {
-  console.log('🔄 Starting background capture...');
+// =============================================
+// PTZ ROTATION SCHEDULE
+// =============================================
+// The camera tours its presets on a fixed cycle. We fold the classified-frame
+// timeline over candidate periods and keep the one where the phase within the
+// cycle best predicts the angle (phase-bin purity). Captures are then timed for
+// the middle of each angle's window instead of landing wherever 3 minutes ends.
+
+const PTZ_MIN_PERIOD_SEC = 30;
+const PTZ_MAX_PERIOD_SEC = 20 * 60;
+const PTZ_PHASE_BINS = 12;
+const PTZ_TIMELINE_SIZE = 300;
+const PTZ_TIMELINE_HOURS = 12;              // Older samples are ignored - tours drift
+const PTZ_MIN_SAMPLES = 24;
+const PTZ_MIN_CYCLES = 3;                   // Timeline must span this many periods
+const PTZ_MIN_PURITY = 0.75;                // Share of samples whose angle the phase predicts
+const PTZ_REFIT_EVERY = 10;                 // New samples between re-fits
+const PTZ_MIN_CAPTURE_GAP_MS = 20 * 1000;
+
+// Record a classified frame on the post's angle timeline, re-fitting the cycle periodically
+function recordAngleSample(post, timestamp, angleType) {
+  const state = post.state;
+  state.angleTimeline.push({ timestamp, angleType });
+  if (state.angleTimeline.length > PTZ_TIMELINE_SIZE) {
+    state.angleTimeline.shift();
+  }
+
+  state.samplesSinceFit++;
+  if (state.samplesSinceFit >= PTZ_REFIT_EVERY) {
+    state.samplesSinceFit = 0;
+    state.ptzSchedule = fitRotationCycle(post);
+  }
+}
+
+// Find the rotation period and each angle's window within it; null if the timeline
+// doesn't support a confident fit yet
+function fitRotationCycle(post) {
+  const cutoff = Date.now() - PTZ_TIMELINE_HOURS * 60 * 60 * 1000;
+  const samples = post.state.angleTimeline.filter(s => s.timestamp >= cutoff);
+  if (samples.length < PTZ_MIN_SAMPLES) return null;
+  if (new Set(samples.map(s => s.angleType)).size < 2) return null;
+
+  const span = samples[samples.length - 1].timestamp - samples[0].timestamp;
+  let best = null;
+
+  for (let period = PTZ_MIN_PERIOD_SEC; period <= PTZ_MAX_PERIOD_SEC; period++) {
+    const periodMs = period * 1000;
+    if (span < periodMs * PTZ_MIN_CYCLES) break;
+
+    // Angle counts per phase bin
+    const bins = Array.from({ length: PTZ_PHASE_BINS }, () => ({}));
+    for (const sample of samples) {
+      const bin = Math.floor((sample.timestamp % periodMs) / periodMs * PTZ_PHASE_BINS);
+      bins[bin][sample.angleType] = (bins[bin][sample.angleType] || 0) + 1;
+    }
+    const predicted = bins.reduce((sum, counts) => sum + Math.max(0, ...Object.values(counts)), 0);
+    const purity = predicted / samples.length;
+
+    // Multiples of the true period fold just as cleanly; only a clear gain replaces a shorter one
+    if (!best || purity > best.purity + 0.01) {
+      best = { period, purity, bins };
+    }
+  }
+
+  if (!best || best.purity < PTZ_MIN_PURITY) return null;
+
+  // Each angle's window = its longest run of consecutive (circular) majority bins
+  const binMs = best.period * 1000 / PTZ_PHASE_BINS;
+  const majority = best.bins.map(counts => {
+    const entries = Object.entries(counts);
+    return entries.length > 0 ? entries.reduce((a, b) => b[1] > a[1] ? b : a)[0] : null;
+  });
+
+  const windows = {};
+  for (const angleType of new Set(majority.filter(Boolean))) {
+    let bestRun = null;
+    for (let start = 0; start < PTZ_PHASE_BINS; start++) {
+      if (majority[start] !== angleType) continue;
+      if (majority[(start + PTZ_PHASE_BINS - 1) % PTZ_PHASE_BINS] === angleType && majority.some(a => a !== angleType)) continue;
+      let length = 0;
+      while (length < PTZ_PHASE_BINS && majority[(start + length) % PTZ_PHASE_BINS] === angleType) length++;
+      if (!bestRun || length > bestRun.length) bestRun = { start, length };
+    }
+    windows[angleType] = {
+      startOffsetMs: Math.round(bestRun.start * binMs),
+      dwellMs: Math.round(bestRun.length * binMs),
+      centerOffsetMs: Math.round((bestRun.start + bestRun.length / 2) * binMs) % (best.period * 1000)
+    };
+  }
+
+  console.log(`🎥 ${post.name} PTZ cycle: ${best.period}s (purity ${Math.round(best.purity * 100)}%, ${samples.length} samples), windows: ${Object.keys(windows).join(', ')}`);
+  return {
+    periodMs: best.period * 1000,
+    purity: Math.round(best.purity * 100) / 100,
+    samples: samples.length,
+    fittedAt: Date.now(),
+    windows: windows
+  };
+}
+
+// Next time at or after `after` when the camera should be mid-way through an angle's window
+function nextWindowCenter(schedule, window, after) {
+  const cycleStart = after - (after % schedule.periodMs);
+  const center = cycleStart + window.centerOffsetMs;
+  return center >= after ? center : center + schedule.periodMs;
+}
+
+// Pick the next capture: for every useful angle not seen within a capture interval,
+// its next window centre; the earliest wins. Without a schedule, the fixed interval.
+function planNextCapture(post) {
+  const now = Date.now();
+  const schedule = post.state.ptzSchedule;
+  const fallback = { at: now + config.captureInterval, angleType: null };
+  if (!schedule) return fallback;
+
+  let plan = null;
+  for (const [angleType, window] of Object.entries(schedule.windows)) {
+    if (!post.angles[angleType]) continue;
+    const lastSeen = post.state.angleTimeline.filter(s => s.angleType === angleType).pop()?.timestamp || 0;
+    const due = Math.max(now + PTZ_MIN_CAPTURE_GAP_MS, lastSeen + config.captureInterval);
+    const at = nextWindowCenter(schedule, window, due);
+    if (!plan || at < plan.at) plan = { at, angleType };
+  }
+
+  return plan && plan.at < fallback.at ? plan : fallback;
+}
+
+// Count whether a scheduled capture landed on the angle it was timed for
+function recordScheduledResult(post, plan, previousSample) {
+  if (!plan.angleType) return;
+  const latest = post.state.angleTimeline[post.state.angleTimeline.length - 1];
+  // No new classified frame (capture skipped or failed) - not an attempt
+  if (!latest || latest === previousSample) return;
+
+  const stats = post.state.ptzHits[plan.angleType] || (post.state.ptzHits[plan.angleType] = { attempts: 0, hits: 0 });
+  stats.attempts++;
+  if (latest.angleType === plan.angleType) {
+    stats.hits++;
+  }
+}
+
+// Learned schedule and per-angle hit rate for /api/debug
+function getPtzScheduleInfo(post) {
+  const { ptzSchedule, ptzHits, nextCapture, angleTimeline } = post.state;
+  const now = Date.now();
+  return {
+    learned: !!ptzSchedule,
+    periodSec: ptzSchedule ? ptzSchedule.periodMs / 1000 : null,
+    purity: ptzSchedule?.purity ?? null,
+    samples: ptzSchedule?.samples ?? angleTimeline.length,
+    fittedAt: ptzSchedule ? new Date(ptzSchedule.fittedAt).toISOString() : null,
+    windows: ptzSchedule ? Object.fromEntries(Object.entries(ptzSchedule.windows).map(([angleType, window]) => [angleType, {
+      startOffsetSec: Math.round(window.startOffsetMs / 1000),
+      dwellSec: Math.round(window.dwellMs / 1000),
+      nextExpectedAt: new Date(nextWindowCenter(ptzSchedule, window, now)).toISOString()
+    }])) : null,
+    nextCapture: nextCapture ? {
+      at: new Date(nextCapture.at).toISOString(),
+      targetAngle: nextCapture.angleType
+    } : null,
+    hitRate: Object.fromEntries(Object.entries(ptzHits).map(([angleType, stats]) => [angleType, {
+      ...stats,
+      rate: stats.attempts > 0 ? Math.round(stats.hits / stats.attempts * 100) / 100 : null
+    }]))
+  };
+}
+
+// Seed each post's timeline from recent frame history so the schedule survives restarts
+async function loadAngleTimelineFromDB() {
+  if (!supabase) return;
+
+  try {
+    const { data, error } = await supabase
+      .from('frame_history')
+      .select('border_post, angle_type, timestamp')
+      .gte('timestamp', new Date(Date.now() - PTZ_TIMELINE_HOURS * 60 * 60 * 1000).toISOString())
+      .order('timestamp', { ascending: true });
+
+    if (error) {
+      console.error('❌ Failed to load angle timeline:', error.message);
+      return;
+    }
+
+    for (const row of data || []) {
+      const post = BORDER_POSTS[row.border_post || DEFAULT_POST_ID];
+      if (!post) continue;
+      post.state.angleTimeline.push({ timestamp: new Date(row.timestamp).getTime(), angleType: row.angle_type });
+    }
+
+    for (const post of getActivePosts()) {
+      post.state.angleTimeline = post.state.angleTimeline.slice(-PTZ_TIMELINE_SIZE);
+      post.state.ptzSchedule = fitRotationCycle(post);
+    }
+  } catch (err) {
+    console.error('❌ Angle timeline error:', err.message);
+  }
+}
+
+// Background capture for one border post
+async function startBackgroundCapture(post) {
+  console.log(`🔄 Starting ${post.name} background capture...`);
 
   // Retry initial capture up to 3 times (stream or ffmpeg may need a moment on cold start)
   const attemptDelays = [0, 10_000, 30_000];
   for (let attempt = 0; attempt < attemptDelays.length; attempt++) {
     if (attemptDelays[attempt] > 0) {
-      console.log(`⏳ Retrying initial capture in ${attemptDelays[attempt] / 1000}s (attempt ${attempt + 1}/${attemptDelays.length})`);
+      console.log(`⏳ Retrying ${post.name} initial capture in ${attemptDelays[attempt] / 1000}s (attempt ${attempt + 1}/${attemptDelays.length})`);
       await new Promise(r => setTimeout(r, attemptDelays[attempt]));
     }
-    await captureFrame();
-    if (screenshotBuffer.length > 0) break;
+    await captureFrame(post);
+    if (post.state.screenshotBuffer.length > 0) break;
   }
-  if (screenshotBuffer.length === 0) {
-    console.error('⚠️ No frame captured after 3 attempts — continuing; background interval will keep retrying');
+  if (post.state.screenshotBuffer.length === 0) {
+    console.error(`⚠️ No ${post.name} frame captured after 3 attempts — continuing; background interval will keep retrying`);
   }
 
-  setInterval(async () => {
-    await captureFrame();
-  }, config.captureInterval);
+  // Time each capture for the next expected angle window (fixed interval until learned)
+  const scheduleNext = () => {
+    const plan = planNextCapture(post);
+    post.state.nextCapture = plan;
+    setTimeout(async () => {
+      const timeline = post.state.angleTimeline;
+      const previousSample = timeline[timeline.length - 1];
+      await captureFrame(post);
+      recordScheduledResult(post, plan, previousSample);
+      scheduleNext();
+    }, Math.max(plan.at - Date.now(), 0));
+  };
+  scheduleNext();
 }
 
 // =============================================
@@ -2672,9 +7600,10 @@ async function startBackgroundCapture() {
 // =============================================
 
 // Store reaction
-app.post('/api/reactions', async (req, res) => {
+app.post('/api/reactions', optionalUser, async (req, res) => {
   try {
-    const { messageId, reaction, previousReaction, messageSnippet, userId, timestamp } = req.body;
+    const { messageId, reaction, previousReaction, messageSnippet, timestamp } = req.body;
+    const userId = req.user?.id;
 
     // Log reaction for analytics (in production, store in database)
     console.log(`📊 Reaction: ${reaction || 'removed'} | User: ${userId || 'anonymous'} | Snippet: ${messageSnippet?.substring(0, 50)}...`);
@@ -2749,9 +7678,10 @@ app.get('/api/reactions/stats', async (req, res) => {
 // =============================================
 
 // Store user feedback
-app.post('/api/feedback', async (req, res) => {
+app.post('/api/feedback', optionalUser, async (req, res) => {
   try {
-    const { likes, improvements, comment, userId, timestamp } = req.body;
+    const { likes, improvements, comment, timestamp } = req.body;
+    const userId = req.user?.id;
 
     // Log feedback
     console.log('📝 Feedback received:');
@@ -2824,14 +7754,16 @@ app.get('/api/feedback/stats', async (req, res) => {
 // =============================================
 
 // Track user activity
-app.post('/api/activity/track', async (req, res) => {
+app.post('/api/activity/track', optionalUser, async (req, res) => {
   if (!supabase) {
     return res.json({ success: true }); // Silently succeed if no DB
   }
 
   try {
-    const { userId, action, timestamp } = req.body;
+    const { action, timestamp } = req.body;
+    const userId = req.user?.id;
 
+    // Anonymous visitors aren't tracked
     if (!userId) {
       return res.json({ success: true });
     }
@@ -2851,16 +7783,8 @@ app.post('/api/activity/track', async (req, res) => {
 
 // Get user stats
 app.get('/api/activity/stats', async (req, res) => {
-  if (!supabase) {
-    return res.json({ success: false, message: 'Database not available' });
-  }
-
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.json({ success: false, message: 'User ID required' });
-    }
+    const userId = req.user.id;
 
     // Get this month's check count
     const startOfMonth = new Date();
@@ -2953,16 +7877,33 @@ app.get('/api/activity/stats', async (req, res) => {
 async function start() {
   console.log('🌉 Maseru Bridge Traffic Bot v2.0');
   console.log('=================================');
-  console.log(`📡 Stream URL: ${config.streamUrl}`);
+  for (const post of getActivePosts()) {
+    console.log(`📡 ${post.name} stream: ${post.streamUrl}`);
+  }
   console.log(`📊 Multi-frame analysis: ${config.analysisFrames} frames`);
+
+  const access = checkAccessPolicy();
+  for (const [problem, routes] of Object.entries(access)) {
+    if (routes.length > 0) console.error(`❌ Access policy ${problem}: ${routes.join(', ')}`);
+  }
   
   // Load preserved frames from Supabase on startup
   if (supabase) {
     console.log('📂 Loading preserved frames from database...');
     await loadPreservedFramesFromDB();
+    await loadAngleTimelineFromDB();
+    await loadReferenceFramesFromDB();
+    await loadAlertSubscriptionsFromDB();
+    await loadTodaySpend();
   }
+  await ensureBootstrapAdmin();
   
-  startBackgroundCapture();
+  for (const post of getActivePosts()) {
+    if (config.ingestEnabled) {
+      startIngestion(post);
+    }
+    startBackgroundCapture(post);
+  }
   
   app.listen(config.port, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${config.port}`);
@@ -0,0 +1,11 @@
+-- Multi border post support: tag readings and frames with the post they came from.
+-- Existing rows all belong to Maseru Bridge.
+
+alter table traffic_readings add column if not exists border_post text not null default 'maseru';
+create index if not exists traffic_readings_border_post_timestamp_idx on traffic_readings (border_post, timestamp desc);
+
+alter table frame_history add column if not exists border_post text not null default 'maseru';
+
+alter table preserved_frames add column if not exists border_post text not null default 'maseru';
+alter table preserved_frames drop constraint if exists preserved_frames_angle_type_key;
+create unique index if not exists preserved_frames_border_post_angle_type_key on preserved_frames (border_post, angle_type);
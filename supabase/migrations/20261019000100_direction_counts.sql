@@ -0,0 +1,7 @@
+-- Per-direction detector counts, used to learn border throughput for wait-time estimates.
+-- Rows logged before this (or without detector counts) stay null.
+
+alter table traffic_readings add column if not exists ls_to_sa_count integer;
+alter table traffic_readings add column if not exists sa_to_ls_count integer;
+alter table traffic_readings add column if not exists ls_to_sa_breakdown jsonb;
+alter table traffic_readings add column if not exists sa_to_ls_breakdown jsonb;
@@ -0,0 +1,8 @@
+-- Keep the detector's raw output with every reading: total, uncertainty flag,
+-- the untouched count/breakdown payload and how long the detector took.
+-- All null when the detector was unavailable for that reading.
+
+alter table traffic_readings add column if not exists vehicle_total integer;
+alter table traffic_readings add column if not exists direction_uncertain boolean;
+alter table traffic_readings add column if not exists detector_counts jsonb;
+alter table traffic_readings add column if not exists detector_latency_ms integer;
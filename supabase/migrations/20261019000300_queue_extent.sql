@@ -0,0 +1,5 @@
+-- How far the queue reached (none / bridge / yard / engen) and the vehicle count
+-- per zone it was derived from. Null when no zone had detector coverage.
+
+alter table traffic_readings add column if not exists queue_extent text;
+alter table traffic_readings add column if not exists zone_counts jsonb;
@@ -0,0 +1,13 @@
+-- Labelled reference frames for the local angle classifier. The fingerprint
+-- (difference hash + colour histogram) is stored so startup needs no image downloads.
+
+create table if not exists angle_reference_frames (
+  id uuid primary key default gen_random_uuid(),
+  border_post text not null default 'maseru',
+  angle_type text not null,
+  frame_path text,
+  fingerprint jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists angle_reference_frames_border_post_idx on angle_reference_frames (border_post);
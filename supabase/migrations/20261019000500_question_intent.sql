@@ -0,0 +1,7 @@
+-- What a user question asked for (see classifyIntent): intent, the direction and
+-- place it named, and when it asked about. Null for automatic analyses.
+
+alter table traffic_readings add column if not exists question_intent text;
+alter table traffic_readings add column if not exists question_direction text;
+alter table traffic_readings add column if not exists question_location text;
+alter table traffic_readings add column if not exists question_time_ref jsonb;
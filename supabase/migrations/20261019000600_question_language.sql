@@ -0,0 +1,3 @@
+-- Language a user question was answered in (en / st / af). Null for automatic analyses.
+
+alter table traffic_readings add column if not exists question_language text;
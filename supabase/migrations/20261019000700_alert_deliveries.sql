@@ -0,0 +1,18 @@
+-- Delivery log for congestion alerts. Subscriptions themselves live in
+-- traffic_users.preferences.alerts; this records each notification sent or given up on.
+
+create table if not exists alert_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  user_id text,
+  subscription_id uuid not null,
+  border_post text not null default 'maseru',
+  channel text not null,
+  traffic_status text,
+  message text,
+  status text not null,
+  attempts integer not null default 1,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_deliveries_user_idx on alert_deliveries (user_id, created_at desc);
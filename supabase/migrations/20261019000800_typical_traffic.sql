@@ -0,0 +1,29 @@
+-- Typical traffic per weekday and hour for one border post over the last four weeks,
+-- in Lesotho local time. Each direction reports its most common status for the slot.
+-- Replaces the original argument-less get_typical_traffic(), which mixed all posts.
+
+drop function if exists get_typical_traffic();
+
+create or replace function get_typical_traffic(p_border_post text default 'maseru')
+returns table (
+  day_of_week integer,
+  hour integer,
+  ls_to_sa_status text,
+  sa_to_ls_status text,
+  readings integer
+)
+language sql
+stable
+as $$
+  select
+    extract(dow from "timestamp" at time zone 'Africa/Maseru')::integer as day_of_week,
+    extract(hour from "timestamp" at time zone 'Africa/Maseru')::integer as hour,
+    mode() within group (order by ls_to_sa_status) as ls_to_sa_status,
+    mode() within group (order by sa_to_ls_status) as sa_to_ls_status,
+    count(*)::integer as readings
+  from traffic_readings
+  where border_post = p_border_post
+    and "timestamp" > now() - interval '28 days'
+  group by 1, 2
+  order by 1, 2;
+$$;
@@ -0,0 +1,18 @@
+-- Phone ownership: one-time codes (stored as HMACs, never in plaintext) and the time a
+-- user's number was verified. Unverified numbers can't receive text alerts or be linked
+-- to WhatsApp conversations.
+
+alter table traffic_users add column if not exists phone_verified_at timestamptz;
+
+create table if not exists phone_otps (
+  id uuid primary key default gen_random_uuid(),
+  phone_full text not null,
+  purpose text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists phone_otps_phone_purpose_idx on phone_otps (phone_full, purpose, created_at desc);
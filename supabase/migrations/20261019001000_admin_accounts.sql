@@ -0,0 +1,35 @@
+-- Admin accounts with roles (viewer < operator < owner), their sessions (tokens are
+-- stored as SHA-256 hashes only) and an append-only log of admin actions.
+
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  password_hash text not null,
+  role text not null check (role in ('viewer', 'operator', 'owner')),
+  disabled_at timestamptz,
+  last_login timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists admin_sessions (
+  token_hash text primary key,
+  admin_id uuid not null references admin_users (id) on delete cascade,
+  expires_at timestamptz not null,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_admin_idx on admin_sessions (admin_id);
+
+create table if not exists admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid,
+  username text,
+  action text not null,
+  target text,
+  details jsonb,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on admin_audit_log (created_at desc);
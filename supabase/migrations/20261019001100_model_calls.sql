@@ -0,0 +1,61 @@
+-- One row per model call (and per question answered from the response cache, with
+-- cache_hit set and no tokens), for cost and latency reporting. cost_usd is priced
+-- when the call is made.
+
+create table if not exists model_calls (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  border_post text,
+  purpose text not null,                 -- analysis, classification, summary
+  endpoint text,                         -- status, chat, chat_stream, whatsapp, capture, conversation
+  question_category text,                -- intent of the question answered, if any
+  model text,
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  cache_read_tokens integer not null default 0,
+  cache_write_tokens integer not null default 0,
+  image_count integer not null default 0,
+  latency_ms integer,
+  cost_usd numeric(12, 6) not null default 0,
+  cache_hit boolean not null default false,
+  error_class text
+);
+
+create index if not exists model_calls_created_idx on model_calls (created_at desc);
+
+-- Totals per Lesotho-local day, purpose, endpoint and question category for the last
+-- p_days days (1 = today)
+create or replace function get_model_costs(p_days integer default 7)
+returns table (
+  day date,
+  purpose text,
+  endpoint text,
+  question_category text,
+  calls integer,
+  cache_hits integer,
+  errors integer,
+  input_tokens bigint,
+  output_tokens bigint,
+  cost_usd numeric,
+  avg_latency_ms integer
+)
+language sql
+stable
+as $$
+  select
+    (created_at at time zone 'Africa/Maseru')::date as day,
+    purpose,
+    endpoint,
+    question_category,
+    count(*)::integer as calls,
+    count(*) filter (where cache_hit)::integer as cache_hits,
+    count(error_class)::integer as errors,
+    sum(input_tokens)::bigint as input_tokens,
+    sum(output_tokens)::bigint as output_tokens,
+    sum(cost_usd) as cost_usd,
+    avg(latency_ms) filter (where not cache_hit)::integer as avg_latency_ms
+  from model_calls
+  where (created_at at time zone 'Africa/Maseru')::date > (now() at time zone 'Africa/Maseru')::date - p_days
+  group by 1, 2, 3, 4
+  order by 1 desc;
+$$;
@@ -0,0 +1,215 @@
+// Every route in ACCESS_POLICY is called as anonymous, a signed-in user and each admin
+// role: callers below the route's scope must get 401 (no usable session) or 403 (admin
+// role too low), callers at or above it must get through the guard.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './support/fake-supabase.js';
+import { startServer } from './support/server.js';
+
+const ADMIN_PASSWORD = 'owner-password-1234';
+const ROLE_PASSWORD = 'role-password-1234';
+
+// Who may pass each scope
+const ALLOWED = {
+  public: ['anonymous', 'user', 'viewer', 'operator', 'owner'],
+  user: ['user'],
+  admin: ['viewer', 'operator', 'owner'],
+  operator: ['operator', 'owner'],
+  owner: ['owner']
+};
+const ADMIN_IDENTITIES = ['viewer', 'operator', 'owner'];
+
+// The scope each route must have. Changing a route's scope means changing it here too.
+const EXPECTED_SCOPES = [
+  // Chat, traffic data and share pages
+  ['GET', '/', 'public'],
+  ['GET', '/status', 'public'],
+  ['GET', '/embed', 'public'],
+  ['GET', '/og.jpg', 'public'],
+  ['GET', '/admin', 'public'],
+  ['GET', '/api/health', 'public'],
+  ['GET', '/api/posts', 'public'],
+  ['GET', '/api/status', 'public'],
+  ['GET', '/api/screenshot', 'public'],
+  ['GET', '/api/frames', 'public'],
+  ['GET', '/api/wait-time', 'public'],
+  ['GET', '/api/history', 'public'],
+  ['GET', '/api/patterns', 'public'],
+  ['GET', '/api/insights', 'public'],
+  ['POST', '/api/chat', 'public'],
+  ['POST', '/api/chat/stream', 'public'],
+  ['GET', '/api/chat/conversations/:id', 'public'],
+  ['POST', '/api/reactions', 'public'],
+  ['POST', '/api/feedback', 'public'],
+  ['POST', '/api/activity/track', 'public'],
+  ['GET', '/api/alerts/push-key', 'public'],
+  ['GET', '/api/alerts/confirm/:token', 'public'],
+  ['GET', '/webhook/whatsapp', 'public'],
+  ['POST', '/webhook/whatsapp', 'public'],
+  ['POST', '/webhook/ussd', 'public'],
+  ['POST', '/webhook/sms', 'public'],
+  ['POST', '/api/auth/register', 'public'],
+  ['POST', '/api/auth/login', 'public'],
+  ['POST', '/api/auth/reset/init', 'public'],
+  ['POST', '/api/auth/reset/verify', 'public'],
+  ['POST', '/api/auth/reset/complete', 'public'],
+  ['POST', '/api/auth/reset/email', 'public'],
+  ['POST', '/api/auth/otp/request', 'public'],
+  ['POST', '/api/auth/otp/verify', 'public'],
+  ['GET', '/api/auth/me', 'user'],
+  ['GET', '/api/alerts', 'user'],
+  ['POST', '/api/alerts', 'user'],
+  ['DELETE', '/api/alerts/:id', 'user'],
+  ['GET', '/api/activity/stats', 'user'],
+  ['POST', '/api/admin/login', 'public'],
+  ['POST', '/api/admin/logout', 'public'],
+  ['GET', '/api/debug', 'admin'],
+  ['GET', '/api/reactions/stats', 'admin'],
+  ['GET', '/api/feedback/stats', 'admin'],
+  ['GET', '/api/admin/stats', 'admin'],
+  ['GET', '/api/admin/model-usage', 'admin'],
+  ['GET', '/api/admin/questions', 'admin'],
+  ['GET', '/api/admin/intent-eval', 'admin'],
+  ['GET', '/api/admin/alerts', 'admin'],
+  ['GET', '/api/admin/access-policy', 'admin'],
+  ['GET', '/api/admin/reference-frames', 'admin'],
+  ['POST', '/api/admin/reference-frames', 'operator'],
+  ['DELETE', '/api/admin/reference-frames/:id', 'operator'],
+  ['GET', '/api/admin/users', 'owner'],
+  ['POST', '/api/admin/users', 'owner'],
+  ['PATCH', '/api/admin/users/:id', 'owner'],
+  ['GET', '/api/admin/audit', 'owner']
+];
+
+let supabase;
+let server;
+let policy;
+const tokens = { anonymous: null };
+
+async function call(method, route, identity) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (tokens[identity]) headers.Authorization = `Bearer ${tokens[identity]}`;
+  const response = await fetch(`${server.url}${route}`, {
+    method,
+    headers,
+    body: method === 'GET' || method === 'HEAD' ? undefined : '{}',
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Pages, images and TwiML
+  }
+  return { status: response.status, body };
+}
+
+async function post(route, payload, token = null) {
+  const response = await fetch(`${server.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(payload)
+  });
+  const body = await response.json();
+  assert.equal(response.status, 200, `${route}: ${JSON.stringify(body)}`);
+  return body;
+}
+
+before(async () => {
+  supabase = await startFakeSupabase();
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_KEY: 'test-service-key',
+    ADMIN_PASSWORD,
+    SESSION_SECRET: 'test-session-secret',
+    OTP_PROVIDER: 'console'
+  });
+
+  tokens.owner = (await post('/api/admin/login', { username: 'admin', password: ADMIN_PASSWORD })).token;
+  for (const role of ['viewer', 'operator']) {
+    await post('/api/admin/users', { username: `test-${role}`, password: ROLE_PASSWORD, role }, tokens.owner);
+    tokens[role] = (await post('/api/admin/login', { username: `test-${role}`, password: ROLE_PASSWORD })).token;
+  }
+
+  tokens.user = (await post('/api/auth/register', {
+    phone: '50123456',
+    countryCode: '+266',
+    countryResidence: 'LS',
+    password: 'user-password',
+    securityQ1: 'pet',
+    securityA1: 'rex',
+    securityQ2: 'city',
+    securityA2: 'maseru'
+  })).token;
+
+  const response = await fetch(`${server.url}/api/admin/access-policy`, {
+    headers: { Authorization: `Bearer ${tokens.owner}` }
+  });
+  policy = await response.json();
+});
+
+after(async () => {
+  await server?.stop();
+  await supabase?.close();
+});
+
+test('every registered route is declared, and every declared route exists', () => {
+  assert.equal(policy.success, true);
+  assert.deepEqual(policy.undeclared, []);
+  assert.deepEqual(policy.stale, []);
+  assert.deepEqual(policy.invalid, []);
+});
+
+test('the policy declares the expected scope for every route', () => {
+  const key = ({ method, route }) => `${method} ${route}`;
+  const declared = Object.fromEntries(policy.routes.map(rule => [key(rule), rule.scope]));
+  const expected = Object.fromEntries(EXPECTED_SCOPES.map(([method, route, scope]) => [key({ method, route }), scope]));
+  assert.deepEqual(declared, expected);
+});
+
+test('public health and post listings leave out stream URLs and internal errors', async () => {
+  const health = await call('GET', '/api/health', 'anonymous');
+  const posts = await call('GET', '/api/posts', 'anonymous');
+  assert.equal(health.status, 200);
+  assert.equal(posts.status, 200);
+
+  const text = JSON.stringify([health.body, posts.body]);
+  for (const field of ['variantUrl', 'lastError', 'lastDecoderError', 'detectors', 'detectorUrl', 'ingest']) {
+    assert.ok(!text.includes(`"${field}"`), `${field} is public`);
+  }
+  assert.ok(!text.includes('127.0.0.1:9'), 'stream or detector URL is public');
+});
+
+test('routes missing from the policy are refused', async () => {
+  const { status, body } = await call('GET', '/api/not-a-route', 'owner');
+  assert.equal(status, 404);
+  assert.equal(body.message, 'Not found');
+});
+
+test('each route admits exactly the callers its scope allows', async t => {
+  for (const [method, route, scope] of EXPECTED_SCOPES) {
+    const path = route.replace(/:\w+/g, 'test-id');
+    // Public routes have no guard to probe; anonymous is enough to show they are reachable
+    const identities = scope === 'public' ? ['anonymous'] : ['anonymous', 'user', ...ADMIN_IDENTITIES];
+
+    await t.test(`${method} ${route} (${scope})`, async () => {
+      for (const identity of identities) {
+        const { status, body } = await call(method, path, identity);
+        const label = `${identity} -> ${status} ${JSON.stringify(body)}`;
+
+        if (ALLOWED[scope].includes(identity)) {
+          assert.ok(!(status === 404 && body?.message === 'Not found'), `${label}: rejected as undeclared`);
+          if (scope !== 'public') {
+            assert.ok(status !== 401 && status !== 403, `${label}: should pass the ${scope} guard`);
+            if (method === 'GET') assert.equal(status, 200, label);
+          }
+        } else if (ADMIN_IDENTITIES.includes(identity) && scope !== 'user') {
+          assert.equal(status, 403, `${label}: role below ${scope}`);
+        } else {
+          assert.equal(status, 401, `${label}: no ${scope} session`);
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,116 @@
+// User login: legacy SHA-256 hashes are upgraded to scrypt on the first good login,
+// unknown numbers and wrong passwords look the same, and wrong passwords lock the
+// number (and busy addresses the IP) out with 429 + Retry-After.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { startFakeSupabase } from './support/fake-supabase.js';
+import { startServer } from './support/server.js';
+
+const PASSWORD = 'user-password';
+const LOCKOUT_MS = 30 * 60 * 1000;
+
+let supabase;
+let server;
+
+// Every scenario uses its own client address (the server trusts one proxy hop)
+async function post(route, payload, ip) {
+  const response = await fetch(`${server.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify(payload)
+  });
+  return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+}
+
+function login(phone, password, ip) {
+  return post('/api/auth/login', { phone, countryCode: '+266', password }, ip);
+}
+
+function storedUser(phoneFull) {
+  return supabase.tables.get('traffic_users').find(user => user.phone_full === phoneFull);
+}
+
+before(async () => {
+  supabase = await startFakeSupabase();
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_KEY: 'test-service-key',
+    SESSION_SECRET: 'test-session-secret',
+    OTP_PROVIDER: 'console'
+  });
+
+  const registered = await post('/api/auth/register', {
+    phone: '50100001',
+    countryCode: '+266',
+    countryResidence: 'LS',
+    password: PASSWORD,
+    securityQ1: 'pet',
+    securityA1: 'rex',
+    securityQ2: 'city',
+    securityA2: 'maseru'
+  }, '10.0.0.1');
+  assert.equal(registered.status, 200, JSON.stringify(registered.body));
+});
+
+after(async () => {
+  await server?.stop();
+  await supabase?.close();
+});
+
+test('a legacy SHA-256 password logs in once and is rehashed with scrypt', async () => {
+  const legacyHash = createHash('sha256').update('legacy-password').digest('hex');
+  supabase.tables.get('traffic_users').push({
+    id: 'legacy-user',
+    phone: '50100002',
+    country_code: '+266',
+    phone_full: '+26650100002',
+    country_residence: 'LS',
+    password_hash: legacyHash,
+    created_at: new Date().toISOString()
+  });
+
+  const first = await login('50100002', 'legacy-password', '10.0.1.1');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.ok(first.body.token);
+  assert.match(storedUser('+26650100002').password_hash, /^scrypt\$/);
+
+  const second = await login('50100002', 'legacy-password', '10.0.1.1');
+  assert.equal(second.status, 200, JSON.stringify(second.body));
+  assert.equal((await login('50100002', legacyHash, '10.0.1.1')).status, 401);
+});
+
+test('unknown numbers and wrong passwords get the same answer', async () => {
+  const unknown = await login('50199999', PASSWORD, '10.0.2.1');
+  const wrong = await login('50100002', 'not-the-password', '10.0.2.1');
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown, wrong);
+});
+
+test('five wrong passwords lock the number out, even for the right password', async () => {
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    assert.equal((await login('50100001', `wrong-${attempt}`, `10.0.3.${attempt}`)).status, 401);
+  }
+
+  const locked = await login('50100001', PASSWORD, '10.0.3.9');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.retryAfter) > 0 && Number(locked.retryAfter) <= LOCKOUT_MS / 1000, `Retry-After: ${locked.retryAfter}`);
+
+  // Other numbers can still log in
+  assert.equal((await login('50100002', 'legacy-password', '10.0.3.9')).status, 200);
+
+  await server.advanceClock(LOCKOUT_MS + 1000);
+  assert.equal((await login('50100001', PASSWORD, '10.0.3.9')).status, 200);
+});
+
+test('one address is locked out after 20 auth requests', async () => {
+  for (let attempt = 1; attempt <= 20; attempt++) {
+    const { status } = await login(`501${String(attempt).padStart(5, '0')}`, 'guess', '10.0.4.1');
+    assert.equal(status, 401, `attempt ${attempt}`);
+  }
+
+  const refused = await login('50100001', PASSWORD, '10.0.4.1');
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.retryAfter) > 0);
+  assert.equal((await login('50100001', PASSWORD, '10.0.4.2')).status, 200);
+});
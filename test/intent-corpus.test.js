@@ -0,0 +1,66 @@
+// Every labelled question in data/intent-corpus.json is run through the classifier
+// (via /api/admin/intent-eval?q=) and must come back with the labelled intent,
+// language, direction, location and time. Add misclassified questions to the corpus.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { startServer } from './support/server.js';
+
+const ADMIN_PASSWORD = 'owner-password-1234';
+const CORPUS = JSON.parse(await readFile(new URL('../data/intent-corpus.json', import.meta.url), 'utf8'));
+
+let server;
+let token;
+
+async function classify(question) {
+  const response = await fetch(`${server.url}/api/admin/intent-eval?q=${encodeURIComponent(question)}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  const body = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(body));
+  return body.result;
+}
+
+before(async () => {
+  // No database: the owner account lives in memory
+  server = await startServer({ ADMIN_PASSWORD, SESSION_SECRET: 'test-session-secret' });
+  const response = await fetch(`${server.url}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+  });
+  ({ token } = await response.json());
+  assert.ok(token, 'admin login failed');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the corpus has examples for every intent', () => {
+  const intents = new Set(CORPUS.map(example => example.intent));
+  for (const intent of ['status', 'queue', 'wait_time', 'good_time', 'visual', 'info', 'greeting', 'thanks', 'offtopic']) {
+    assert.ok(intents.has(intent), `no examples for ${intent}`);
+  }
+});
+
+test('the classifier matches every labelled example', async t => {
+  for (const example of CORPUS) {
+    await t.test(example.question, async () => {
+      const result = await classify(example.question);
+      assert.deepEqual({
+        intent: result.intent,
+        language: result.language,
+        direction: result.direction,
+        location: result.location,
+        time: result.timeReference.kind
+      }, {
+        intent: example.intent,
+        language: example.language ?? null,
+        direction: example.direction ?? null,
+        location: example.location ?? null,
+        time: example.time ?? null
+      });
+    });
+  }
+});
@@ -0,0 +1,103 @@
+// Password reset: the token from verify works once and only for ten minutes, wrong
+// answers lock the number out with 429 + Retry-After, and unknown numbers get the same
+// answers as registered ones.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './support/fake-supabase.js';
+import { startServer } from './support/server.js';
+
+const PHONE = { phone: '50200001', countryCode: '+266' };
+const ANSWERS = { answer1: 'Rex', answer2: ' maseru ' };
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+let supabase;
+let server;
+
+// Every scenario uses its own client address (the server trusts one proxy hop)
+async function post(route, payload, ip) {
+  const response = await fetch(`${server.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify(payload)
+  });
+  return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+}
+
+async function resetToken(ip) {
+  const verified = await post('/api/auth/reset/verify', { ...PHONE, ...ANSWERS }, ip);
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.equal(verified.body.success, true, JSON.stringify(verified.body));
+  return verified.body.resetToken;
+}
+
+before(async () => {
+  supabase = await startFakeSupabase();
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_KEY: 'test-service-key',
+    SESSION_SECRET: 'test-session-secret',
+    OTP_PROVIDER: 'console'
+  });
+
+  const registered = await post('/api/auth/register', {
+    ...PHONE,
+    countryResidence: 'LS',
+    email: 'traveller@example.com',
+    password: 'old-password',
+    securityQ1: 'pet',
+    securityA1: 'rex',
+    securityQ2: 'city',
+    securityA2: 'maseru'
+  }, '10.1.0.1');
+  assert.equal(registered.status, 200, JSON.stringify(registered.body));
+});
+
+after(async () => {
+  await server?.stop();
+  await supabase?.close();
+});
+
+test('unknown numbers get the same kind of answers as registered ones', async () => {
+  const known = await post('/api/auth/reset/init', PHONE, '10.1.1.1');
+  const unknown = await post('/api/auth/reset/init', { phone: '50299999', countryCode: '+266' }, '10.1.1.1');
+  assert.equal(known.status, 200);
+  assert.deepEqual(Object.keys(unknown.body).sort(), Object.keys(known.body).sort());
+  assert.ok(!('hasEmail' in known.body), 'init tells whether an email is on file');
+
+  const knownEmail = await post('/api/auth/reset/email', PHONE, '10.1.1.1');
+  const unknownEmail = await post('/api/auth/reset/email', { phone: '50299999', countryCode: '+266' }, '10.1.1.1');
+  assert.deepEqual(unknownEmail, knownEmail);
+});
+
+test('a reset token sets the password once', async () => {
+  const token = await resetToken('10.1.2.1');
+
+  const first = await post('/api/auth/reset/complete', { resetToken: token, newPassword: 'new-password-1' }, '10.1.2.1');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+
+  const again = await post('/api/auth/reset/complete', { resetToken: token, newPassword: 'new-password-2' }, '10.1.2.1');
+  assert.equal(again.status, 401);
+
+  const login = await post('/api/auth/login', { ...PHONE, password: 'new-password-1' }, '10.1.2.2');
+  assert.equal(login.status, 200, JSON.stringify(login.body));
+});
+
+test('a reset token expires after ten minutes', async () => {
+  const token = await resetToken('10.1.3.1');
+  await server.advanceClock(RESET_TOKEN_TTL_MS + 1000);
+
+  const late = await post('/api/auth/reset/complete', { resetToken: token, newPassword: 'new-password-3' }, '10.1.3.1');
+  assert.equal(late.status, 401);
+});
+
+test('five wrong answers lock the number out, even for the right answers', async () => {
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const wrong = await post('/api/auth/reset/verify', { ...PHONE, answer1: 'cat', answer2: 'maseru' }, `10.1.4.${attempt}`);
+    assert.equal(wrong.body.success, false, `attempt ${attempt}`);
+  }
+
+  const locked = await post('/api/auth/reset/verify', { ...PHONE, ...ANSWERS }, '10.1.4.9');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.retryAfter) > 0, `Retry-After: ${locked.retryAfter}`);
+  assert.equal(locked.body.resetToken, undefined);
+});
@@ -0,0 +1,152 @@
+// Phone verification codes: a code works once, wrong guesses use it up, it expires after
+// ten minutes, new codes wait a minute and are capped per number and per address, and
+// wrong codes lock verification out with 429 + Retry-After.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './support/fake-supabase.js';
+import { startServer } from './support/server.js';
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_MS = 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+
+let supabase;
+let server;
+
+// Every scenario uses its own client address (the server trusts one proxy hop)
+async function post(route, payload, ip, token = null) {
+  const headers = { 'Content-Type': 'application/json', 'X-Forwarded-For': ip };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${server.url}${route}`, { method: 'POST', headers, body: JSON.stringify(payload) });
+  return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+}
+
+async function register(phone, ip) {
+  const registered = await post('/api/auth/register', {
+    phone,
+    countryCode: '+266',
+    countryResidence: 'LS',
+    password: 'user-password',
+    securityQ1: 'pet',
+    securityA1: 'rex',
+    securityQ2: 'city',
+    securityA2: 'maseru'
+  }, ip);
+  assert.equal(registered.status, 200, JSON.stringify(registered.body));
+  return registered.body;
+}
+
+// OTP_PROVIDER=console logs every code it "sends"; take the newest one for the number
+function latestCode(phone) {
+  const sent = [...server.output().matchAll(new RegExp(`OTP to \\+266${phone}: .*?\\b(\\d{6})\\b`, 'g'))];
+  assert.ok(sent.length > 0, `no code sent to ${phone}`);
+  return sent.at(-1)[1];
+}
+
+function verify(code, ip, token) {
+  return post('/api/auth/otp/verify', { purpose: 'verify', code }, ip, token);
+}
+
+function requestCode(ip, token) {
+  return post('/api/auth/otp/request', { purpose: 'verify' }, ip, token);
+}
+
+before(async () => {
+  supabase = await startFakeSupabase();
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_KEY: 'test-service-key',
+    SESSION_SECRET: 'test-session-secret',
+    OTP_PROVIDER: 'console'
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await supabase?.close();
+});
+
+test('registration sends a code that verifies the number once', async () => {
+  const { token, verificationSent, user } = await register('50300001', '10.2.1.1');
+  assert.equal(verificationSent, true);
+  assert.equal(user.phoneVerified, false);
+  const code = latestCode('50300001');
+
+  const wrong = await verify(code === '000000' ? '111111' : '000000', '10.2.1.1', token);
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.message, 'Incorrect code');
+
+  const right = await verify(code, '10.2.1.1', token);
+  assert.equal(right.status, 200, JSON.stringify(right.body));
+  assert.equal(right.body.user.phoneVerified, true);
+
+  const again = await requestCode('10.2.1.1', token);
+  assert.equal(again.body.message, 'Phone number already verified');
+});
+
+test('a code stops working after five wrong guesses', async () => {
+  const { token } = await register('50300002', '10.2.2.1');
+  const code = latestCode('50300002');
+  const row = supabase.tables.get('phone_otps').find(otp => otp.phone_full === '+26650300002' && !otp.consumed_at);
+  row.attempts = OTP_MAX_ATTEMPTS;
+
+  const refused = await verify(code, '10.2.2.1', token);
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.message, 'Code has expired. Please request a new one.');
+});
+
+test('five wrong codes lock verification out, even for the right code', async () => {
+  const { token } = await register('50300003', '10.2.3.1');
+  const code = latestCode('50300003');
+  const wrongCode = code === '000000' ? '111111' : '000000';
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    assert.equal((await verify(wrongCode, `10.2.3.${attempt}`, token)).status, 401, `attempt ${attempt}`);
+  }
+
+  const locked = await verify(code, '10.2.3.9', token);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.retryAfter) > 0, `Retry-After: ${locked.retryAfter}`);
+});
+
+test('a new code waits a minute, and a number gets five codes per window', async () => {
+  const { token } = await register('50300004', '10.2.4.1');
+
+  const tooSoon = await requestCode('10.2.4.1', token);
+  assert.equal(tooSoon.status, 429);
+  assert.ok(Number(tooSoon.retryAfter) > 0 && Number(tooSoon.retryAfter) <= OTP_RESEND_MS / 1000, `Retry-After: ${tooSoon.retryAfter}`);
+
+  // Registration sent the first of the five
+  for (let resend = 2; resend <= 5; resend++) {
+    await server.advanceClock(OTP_RESEND_MS + 1000);
+    const sent = await requestCode('10.2.4.1', token);
+    assert.equal(sent.status, 200, `code ${resend}: ${JSON.stringify(sent.body)}`);
+  }
+
+  await server.advanceClock(OTP_RESEND_MS + 1000);
+  const capped = await requestCode('10.2.4.1', token);
+  assert.equal(capped.status, 429);
+  assert.equal(capped.body.message, 'Too many codes requested. Please try again later.');
+  assert.ok(Number(capped.retryAfter) > 0);
+});
+
+test('a code expires after ten minutes', async () => {
+  const { token } = await register('50300005', '10.2.5.1');
+  const code = latestCode('50300005');
+  await server.advanceClock(OTP_TTL_MS + 1000);
+
+  const late = await verify(code, '10.2.5.1', token);
+  assert.equal(late.status, 401);
+  assert.equal(late.body.message, 'Code has expired. Please request a new one.');
+});
+
+test('one address gets ten codes, to any numbers', async () => {
+  for (let n = 1; n <= 10; n++) {
+    const { verificationSent } = await register(`503010${String(n).padStart(2, '0')}`, '10.2.6.1');
+    assert.equal(verificationSent, true, `registration ${n}`);
+  }
+
+  const eleventh = await register('50301011', '10.2.6.1');
+  assert.equal(eleventh.verificationSent, false);
+  assert.equal((await register('50301012', '10.2.6.2')).verificationSent, true);
+});
@@ -0,0 +1,22 @@
+// Preloaded into server.js by startServer: the test moves the server's clock forward
+// over IPC, so token expiry and lockouts can be checked without waiting for them.
+const RealDate = Date;
+let offsetMs = 0;
+
+class ShiftedDate extends RealDate {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [RealDate.now() + offsetMs]));
+  }
+
+  static now() {
+    return RealDate.now() + offsetMs;
+  }
+}
+
+globalThis.Date = ShiftedDate;
+
+process.on('message', message => {
+  if (typeof message?.advanceMs !== 'number') return;
+  offsetMs += message.advanceMs;
+  process.send({ offsetMs });
+});
@@ -0,0 +1,145 @@
+// In-memory stand-in for the Supabase REST API (PostgREST), enough for the server to
+// boot, register users and manage admin sessions in tests. Rows get an id and
+// created_at; filters cover the operators server.js uses.
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+function columnValue(row, column) {
+  // "preferences->alerts" reads into JSON columns
+  return column.split(/->>?/).reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+function parseLiteral(text) {
+  if (text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return text;
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual != null && String(actual) === String(expected);
+    case 'neq': return actual == null || String(actual) !== String(expected);
+    case 'gt': return actual != null && actual > expected;
+    case 'gte': return actual != null && actual >= expected;
+    case 'lt': return actual != null && actual < expected;
+    case 'lte': return actual != null && actual <= expected;
+    case 'is': return expected === null ? actual == null : actual === expected;
+    case 'in': return expected.includes(String(actual));
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+function matchesFilter(row, column, expression) {
+  const negated = expression.startsWith('not.');
+  const [op, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+  const raw = rest.join('.');
+  const expected = op === 'in' ? raw.replace(/^\(|\)$/g, '').split(',') : parseLiteral(raw);
+  const result = compare(op, columnValue(row, column), expected);
+  return negated ? !result : result;
+}
+
+// Column defaults from supabase/migrations that the server relies on
+const COLUMN_DEFAULTS = {
+  phone_otps: { attempts: 0, consumed_at: null }
+};
+
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+function applyQuery(rows, params) {
+  let result = rows.filter(row => [...params].every(([key, value]) =>
+    RESERVED_PARAMS.has(key) || matchesFilter(row, key, value)));
+
+  const order = params.get('order');
+  if (order) {
+    const [column, direction] = order.split(',')[0].split('.');
+    const sign = direction === 'desc' ? -1 : 1;
+    result = [...result].sort((a, b) => (a[column] > b[column] ? sign : a[column] < b[column] ? -sign : 0));
+  }
+  const offset = parseInt(params.get('offset') || '0', 10);
+  const limit = params.has('limit') ? parseInt(params.get('limit'), 10) : undefined;
+  return result.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+export async function startFakeSupabase() {
+  const tables = new Map();
+  const table = name => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    const prefer = req.headers.prefer || '';
+    const wantsObject = (req.headers.accept || '').includes('vnd.pgrst.object');
+
+    const send = (status, data, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    };
+    const sendRows = (rows, status = 200) => {
+      const headers = prefer.includes('count=') ? { 'Content-Range': `0-${Math.max(rows.length - 1, 0)}/${rows.length}` } : {};
+      if (req.method === 'HEAD') return send(status, undefined, headers);
+      if (wantsObject) {
+        if (rows.length !== 1) {
+          return send(406, { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned`, details: null, hint: null });
+        }
+        return send(status, rows[0], headers);
+      }
+      send(status, rows, headers);
+    };
+
+    const [, rest, version, name] = url.pathname.split('/');
+    if (rest !== 'rest' || version !== 'v1') {
+      return send(404, { message: 'Not found' });
+    }
+    if (name === 'rpc') {
+      return send(200, []);
+    }
+
+    const rows = table(name);
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD':
+        return sendRows(applyQuery(rows, url.searchParams));
+      case 'POST': {
+        const inserted = (Array.isArray(body) ? body : [body]).map(row => ({
+          id: randomUUID(),
+          created_at: new Date().toISOString(),
+          ...COLUMN_DEFAULTS[name],
+          ...row
+        }));
+        rows.push(...inserted);
+        return prefer.includes('return=representation') ? sendRows(inserted, 201) : send(201, undefined);
+      }
+      case 'PATCH': {
+        const updated = applyQuery(rows, url.searchParams);
+        for (const row of updated) Object.assign(row, body);
+        return prefer.includes('return=representation') ? sendRows(updated) : send(204, undefined);
+      }
+      case 'DELETE': {
+        const removed = applyQuery(rows, url.searchParams);
+        tables.set(name, rows.filter(row => !removed.includes(row)));
+        return prefer.includes('return=representation') ? sendRows(removed) : send(204, undefined);
+      }
+      default:
+        return send(405, { message: `Unsupported method ${req.method}` });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tables,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,72 @@
+// Runs server.js as a child process on a free port, the way `npm start` does, and
+// waits until /api/health answers. Camera ingestion and the detector stay offline.
+// The server's clock can be moved forward with advanceClock() (see clock.js).
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SUPPORT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_FILE = path.join(SUPPORT_DIR, '..', '..', 'server.js');
+const CLOCK_FILE = path.join(SUPPORT_DIR, 'clock.js');
+const STARTUP_TIMEOUT_MS = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['--import', CLOCK_FILE, SERVER_FILE], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      ANTHROPIC_API_KEY: 'test-key',
+      ANTHROPIC_BASE_URL: 'http://127.0.0.1:9',
+      DETECTOR_URL: 'http://127.0.0.1:9',
+      HLS_INGEST: 'off',
+      STREAM_URL: 'http://127.0.0.1:9/playlist.m3u8',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      if ((await fetch(`${url}/api/health`)).ok) {
+        return {
+          url,
+          output: () => output,
+          advanceClock: advanceMs => new Promise(resolve => {
+            child.once('message', resolve);
+            child.send({ advanceMs });
+          }),
+          stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', resolve);
+            child.kill();
+          })
+        };
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  child.kill();
+  throw new Error(`server.js did not start:\n${output}`);
+}